@@ -19,11 +19,17 @@ const state = {
   kosovoBorder: null,
   restrictedZones: [],
   airports: [],
-  simulationInterval: null,
+  realtime: null, // EventSource for server push
+  realtimeBounds: null, // bbox the stream is subscribed to
   aiRecommendations: null,
   operationArea: null,  // For circle/rectangle flight areas
   flightType: 'waypoint', // 'waypoint' or 'area'
-  optimizedRoute: null // For route optimization
+  optimizedRoute: null, // For route optimization
+  reviewQueue: [], // Pending flights for authority review
+  licenseQueue: [], // Pilot licences awaiting verification
+  temporaryRestrictions: [], // TFR/NOTAM zones that have not yet ended
+  temporaryRestrictionLayers: [],
+  registeredDrones: [] // Drones from the pilot's registry
 };
 
 // Drone specifications - comprehensive list
@@ -55,6 +61,17 @@ const DRONES = {
   hubsan: { type: 'multirotor', model: 'Hubsan Zino Mini Pro', manufacturer: 'Hubsan', weight: 0.249, maxSpeed: 57, maxAltitude: 120, maxFlightTime: 40 }
 };
 
+// Prefix for registered drone values in the drone select
+const REGISTERED_DRONE_PREFIX = 'reg:';
+
+// User roles
+const ROLE_LABELS = {
+  pilot: 'Drone Pilot',
+  operator: 'Drone Operator',
+  authority: 'KCAA Authority',
+  admin: 'Administrator'
+};
+
 // ============================================================
 // Utility Functions
 // ============================================================
@@ -81,6 +98,20 @@ async function apiCall(endpoint, options = {}) {
   return data;
 }
 
+function isReviewer() {
+  return ['authority', 'admin'].includes(state.user?.role);
+}
+
+// Escape user-supplied text before it goes into an HTML template
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 function formatDateTime(date) {
   return new Date(date).toLocaleString('en-GB', {
     day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit'
@@ -189,7 +220,7 @@ function logout() {
   state.user = null;
   localStorage.removeItem('kdtms_token');
   localStorage.removeItem('kdtms_user');
-  if (state.simulationInterval) clearInterval(state.simulationInterval);
+  disconnectRealtime();
   document.getElementById('authContainer').style.display = 'flex';
   document.getElementById('appContainer').classList.remove('active');
 }
@@ -215,6 +246,8 @@ function showApp() {
     
     document.getElementById('userAvatar').textContent = initials;
     document.getElementById('userName').textContent = displayName || state.user.email;
+    document.getElementById('userRole').textContent = ROLE_LABELS[state.user.role] || ROLE_LABELS.pilot;
+    document.getElementById('reviewNavBtn').style.display = isReviewer() ? 'inline-block' : 'none';
   }
   
   if (!state.user?.agreedToTerms) {
@@ -225,7 +258,9 @@ function showApp() {
   initFlightForm();
   initSimulation();
   initAirplaneTracking(); // Start tracking real airplane traffic
+  connectRealtime();
   loadFlights();
+  loadRegisteredDrones();
   document.querySelector('[name="scheduledStart"]').value = getDefaultDateTime();
 }
 
@@ -361,18 +396,19 @@ async function loadZones() {
         fillOpacity = 0.2;
       }
       
-      L.circle([zone.position.lat, zone.position.lng], {
-        radius: zone.radius,
-        color: color,
-        fillColor: color,
-        fillOpacity: fillOpacity,
-        weight: 1
-      }).addTo(state.map).bindPopup(`<strong>${zone.maxAltitude === 0 ? '⛔' : '⚠️'} ${zone.name}</strong><br><small>${zone.maxAltitude === 0 ? 'No-Fly Zone' : `Max: ${zone.maxAltitude}m`}</small>`);
+      const style = { color: color, fillColor: color, fillOpacity: fillOpacity, weight: 1 };
+      const shape = getZoneRings(zone).length > 0
+        ? L.polygon(getZoneRings(zone).map(ring => ring.map(p => [p.lat, p.lng])), style)
+        : L.circle([zone.position.lat, zone.position.lng], { radius: zone.radius, ...style });
+      
+      shape.addTo(state.map).bindPopup(`<strong>${isNoFlyZone(zone) ? '⛔' : '⚠️'} ${escapeHtml(zone.name)}</strong><br><small>${describeZoneLimit(zone)}</small>`);
       
       state.restrictedZones.push(zone);
     });
     }
     
+    await loadTemporaryRestrictions();
+    
     // Draw urban areas
     if (data.data.urbanAreas) {
     data.data.urbanAreas.forEach(city => {
@@ -392,6 +428,34 @@ async function loadZones() {
   }
 }
 
+// Draw temporary restrictions (TFR/NOTAM) that have not yet ended
+async function loadTemporaryRestrictions() {
+  try {
+    const data = await apiCall('/zones/temporary');
+    
+    state.temporaryRestrictionLayers.forEach(layer => state.map.removeLayer(layer));
+    state.temporaryRestrictionLayers = [];
+    state.temporaryRestrictions = data.data.restrictions;
+    
+    state.temporaryRestrictions.forEach(restriction => {
+      const style = { color: '#f1c40f', fillColor: '#f1c40f', fillOpacity: 0.2, weight: 2, dashArray: '6, 4' };
+      const shape = getZoneRings(restriction).length > 0
+        ? L.polygon(getZoneRings(restriction).map(ring => ring.map(p => [p.lat, p.lng])), style)
+        : L.circle([restriction.position.lat, restriction.position.lng], { radius: restriction.radius, ...style });
+      
+      shape.addTo(state.map).bindPopup(`
+        <strong>⏳ ${escapeHtml(restriction.name)}</strong><br>
+        <small>Temporary restriction (${escapeHtml(restriction.reason)})<br>
+        ${formatDateTime(restriction.startTime)} - ${formatDateTime(restriction.endTime)}<br>
+        ${describeZoneLimit(restriction)}</small>
+      `);
+      state.temporaryRestrictionLayers.push(shape);
+    });
+  } catch (error) {
+    console.error('Failed to load temporary restrictions:', error);
+  }
+}
+
 // Store Kosovo border coordinates for client-side validation
 state.kosovoBorderCoords = null;
 
@@ -411,6 +475,48 @@ function getDistanceMeters(lat1, lng1, lat2, lng2) {
   return R * c;
 }
 
+// Polygon rings of a polygon/multipolygon zone (empty for circle zones)
+function getZoneRings(zone) {
+  if (zone.shape === 'polygon') return [zone.polygon];
+  if (zone.shape === 'multipolygon') return zone.polygons;
+  return [];
+}
+
+// Ray casting point-in-polygon for a ring of { lat, lng } points
+function isPointInRing(lat, lng, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const xi = ring[i].lng, yi = ring[i].lat;
+    const xj = ring[j].lng, yj = ring[j].lat;
+    if (((yi > lat) !== (yj > lat)) && (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Check if a point is inside a restricted zone of any shape
+function isPointInZone(lat, lng, zone) {
+  const rings = getZoneRings(zone);
+  if (rings.length > 0) return rings.some(ring => isPointInRing(lat, lng, ring));
+  return getDistanceMeters(lat, lng, zone.position.lat, zone.position.lng) <= zone.radius;
+}
+
+// Zone restricts all altitudes (no floor, ceiling or sloping surface)
+function isNoFlyZone(zone) {
+  const volume = zone.volume || { floor: zone.maxAltitude, ceiling: null };
+  return volume.floor === 0 && volume.ceiling === null && !volume.floorGradient;
+}
+
+// Short description of a zone's vertical limits
+function describeZoneLimit(zone) {
+  const volume = zone.volume || { floor: zone.maxAltitude, ceiling: null, reference: 'AGL' };
+  if (isNoFlyZone(zone)) return 'No-Fly Zone';
+  if (volume.floorGradient) return `Approach surface rising ${volume.floorGradient * 100}% from ${volume.floor}m ${volume.reference}`;
+  if (volume.ceiling !== null) return `Restricted ${volume.floor}-${volume.ceiling}m ${volume.reference}`;
+  return `Max: ${volume.floor}m ${volume.reference}`;
+}
+
 // Check if a point is inside any restricted zone or airport
 function isPointInRestrictedArea(lat, lng) {
   // Check airports first (most critical)
@@ -428,15 +534,14 @@ function isPointInRestrictedArea(lat, lng) {
   
   // Check restricted zones
   for (const zone of state.restrictedZones) {
-    const distance = getDistanceMeters(lat, lng, zone.position.lat, zone.position.lng);
-    if (distance <= zone.radius) {
-      // Check if it's a complete no-fly zone (maxAltitude === 0)
-      if (zone.maxAltitude === 0) {
+    if (isPointInZone(lat, lng, zone)) {
+      // Check if it's a complete no-fly zone
+      if (isNoFlyZone(zone)) {
         return {
           restricted: true,
           type: zone.type,
           name: zone.name,
-          message: `⛔ Cannot place marker inside ${zone.name} - this is a no-fly zone`
+          message: `⛔ Cannot place marker inside ${escapeHtml(zone.name)} - this is a no-fly zone`
         };
       } else {
         // It's a restricted zone but not complete no-fly, allow with warning
@@ -446,7 +551,7 @@ function isPointInRestrictedArea(lat, lng) {
           type: zone.type,
           name: zone.name,
           maxAltitude: zone.maxAltitude,
-          message: `⚠️ ${zone.name}: Maximum altitude ${zone.maxAltitude}m in this area`
+          message: `⚠️ ${escapeHtml(zone.name)}: ${describeZoneLimit(zone)} in this area`
         };
       }
     }
@@ -456,7 +561,7 @@ function isPointInRestrictedArea(lat, lng) {
 }
 
 // Check if a circle or rectangle overlaps with restricted areas
-function doesAreaOverlapRestricted(areaType, center, radius, bounds) {
+function doesAreaOverlapRestricted(areaType, center, radius, bounds, points = null, width = 0) {
   // For circles, check center and perimeter points
   if (areaType === 'circle') {
     // Check center
@@ -490,14 +595,17 @@ function doesAreaOverlapRestricted(areaType, center, radius, bounds) {
     }
     
     for (const zone of state.restrictedZones) {
-      if (zone.maxAltitude === 0) {
-        const distance = getDistanceMeters(center.lat, center.lng, zone.position.lat, zone.position.lng);
-        if (distance < radius + zone.radius) {
+      if (isNoFlyZone(zone)) {
+        const rings = getZoneRings(zone);
+        const overlaps = rings.length > 0
+          ? rings.some(ring => ring.some(p => getDistanceMeters(center.lat, center.lng, p.lat, p.lng) < radius))
+          : getDistanceMeters(center.lat, center.lng, zone.position.lat, zone.position.lng) < radius + zone.radius;
+        if (overlaps) {
           return {
             restricted: true,
             type: zone.type,
             name: zone.name,
-            message: `⛔ Flight area overlaps with ${zone.name} no-fly zone`
+            message: `⛔ Flight area overlaps with ${escapeHtml(zone.name)} no-fly zone`
           };
         }
       }
@@ -537,23 +645,119 @@ function doesAreaOverlapRestricted(areaType, center, radius, bounds) {
     }
     
     for (const zone of state.restrictedZones) {
-      if (zone.maxAltitude === 0) {
-        if (zone.position.lat >= bounds.south && zone.position.lat <= bounds.north &&
-            zone.position.lng >= bounds.west && zone.position.lng <= bounds.east) {
+      if (isNoFlyZone(zone)) {
+        const rings = getZoneRings(zone);
+        const zonePoints = rings.length > 0 ? rings.flat() : [zone.position];
+        if (zonePoints.some(p => p.lat >= bounds.south && p.lat <= bounds.north &&
+            p.lng >= bounds.west && p.lng <= bounds.east)) {
           return {
             restricted: true,
             type: zone.type,
             name: zone.name,
-            message: `⛔ Flight area contains ${zone.name} no-fly zone`
+            message: `⛔ Flight area contains ${escapeHtml(zone.name)} no-fly zone`
           };
         }
       }
     }
   }
   
+  // For polygons and corridors, check points along the outline or centre line
+  if ((areaType === 'polygon' || areaType === 'corridor') && points) {
+    const line = areaType === 'polygon' ? [...points, points[0]] : points;
+    const samples = samplePath(line, 100);
+    for (const point of [center, ...samples]) {
+      const check = isPointInRestrictedArea(point.lat, point.lng);
+      if (check.restricted) return check;
+    }
+    
+    // Zones inside the polygon, or within reach of the corridor
+    const reaches = (position, zoneRadius) => (areaType === 'polygon'
+      ? isPointInRing(position.lat, position.lng, points)
+      : samples.some(p => getDistanceMeters(p.lat, p.lng, position.lat, position.lng) <= width / 2 + zoneRadius));
+    
+    for (const airport of state.airports) {
+      if (reaches(airport.position, airport.restrictedRadius)) {
+        return { restricted: true, type: 'airport', name: airport.name, message: `⛔ Flight area overlaps with ${airport.name} no-fly zone` };
+      }
+    }
+    for (const zone of state.restrictedZones) {
+      if (!isNoFlyZone(zone)) continue;
+      const rings = getZoneRings(zone);
+      const overlaps = rings.length > 0
+        ? rings.flat().some(p => reaches(p, 0))
+        : reaches(zone.position, zone.radius);
+      if (overlaps) {
+        return { restricted: true, type: zone.type, name: zone.name, message: `⛔ Flight area overlaps with ${escapeHtml(zone.name)} no-fly zone` };
+      }
+    }
+  }
+  
   return { restricted: false };
 }
 
+// Points every `spacing` meters along a polyline, including its vertices
+function samplePath(points, spacing) {
+  const samples = [points[0]];
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1], b = points[i];
+    const steps = Math.max(1, Math.ceil(getDistanceMeters(a.lat, a.lng, b.lat, b.lng) / spacing));
+    for (let j = 1; j <= steps; j++) {
+      samples.push({ lat: a.lat + (b.lat - a.lat) * j / steps, lng: a.lng + (b.lng - a.lng) * j / steps });
+    }
+  }
+  return samples;
+}
+
+// Rings that together cover a corridor: a band along each leg and a disc at
+// each vertex, all wound the same way so a nonzero fill draws their union
+function getCorridorRings(path, width) {
+  const half = width / 2;
+  const metersPerDegLng = (lat) => 111320 * Math.cos(lat * Math.PI / 180);
+  const rings = [];
+  
+  for (let i = 1; i < path.length; i++) {
+    const a = path[i - 1], b = path[i];
+    const dx = (b.lng - a.lng) * metersPerDegLng(a.lat), dy = (b.lat - a.lat) * 111320;
+    const length = Math.hypot(dx, dy) || 1;
+    const nLat = (dx / length) * half / 111320;
+    const nLng = (-dy / length) * half / metersPerDegLng(a.lat);
+    rings.push([
+      [a.lat + nLat, a.lng + nLng], [b.lat + nLat, b.lng + nLng],
+      [b.lat - nLat, b.lng - nLng], [a.lat - nLat, a.lng - nLng]
+    ]);
+  }
+  for (const p of path) {
+    rings.push(Array.from({ length: 24 }, (_, k) => {
+      const angle = -(k / 24) * 2 * Math.PI;
+      return [p.lat + Math.cos(angle) * half / 111320, p.lng + Math.sin(angle) * half / metersPerDegLng(p.lat)];
+    }));
+  }
+  
+  // Wind every ring the same way
+  return rings.map(ring => {
+    const area = ring.reduce((sum, [lat, lng], k) => {
+      const [nextLat, nextLng] = ring[(k + 1) % ring.length];
+      return sum + (lng * nextLat - nextLng * lat);
+    }, 0);
+    return area < 0 ? ring.reverse() : ring;
+  });
+}
+
+// Leaflet layer for an operation area of any type
+function createOperationAreaLayer(area, style) {
+  if (area.type === 'circle') return L.circle([area.center.lat, area.center.lng], { ...style, radius: area.radius });
+  if (area.type === 'rectangle') {
+    return L.rectangle([[area.bounds.south, area.bounds.west], [area.bounds.north, area.bounds.east]], style);
+  }
+  if (area.type === 'polygon') return L.polygon(area.polygon.map(p => [p.lat, p.lng]), style);
+  
+  // Corridor: the buffered band, with its centre line dashed on top
+  return L.featureGroup([
+    L.polygon(getCorridorRings(area.path, area.width), { ...style, stroke: false, fillRule: 'nonzero' }),
+    L.polyline(area.path.map(p => [p.lat, p.lng]), { color: style.color, weight: 2, dashArray: '6, 6' })
+  ]);
+}
+
 // Ray casting algorithm to check if point is inside Kosovo polygon
 function isPointInKosovo(lat, lng) {
   if (!state.kosovoBorderCoords || state.kosovoBorderCoords.length === 0) {
@@ -741,6 +945,7 @@ function updateWaypointList() {
   
   if (state.waypoints.length === 0) {
     list.innerHTML = '<div class="empty-waypoints">Click on the map to add waypoints</div>';
+    scheduleElevationProfile();
     return;
   }
   
@@ -751,6 +956,106 @@ function updateWaypointList() {
       <button class="waypoint-remove" onclick="removeWaypoint(${i})">✕</button>
     </div>
   `).join('');
+  
+  scheduleElevationProfile();
+}
+
+// ============================================================
+// Elevation Profile
+// ============================================================
+
+let elevationProfileTimer = null;
+let elevationProfileRequest = 0;
+
+// Refresh the terrain clearance chart shortly after the route stops changing
+function scheduleElevationProfile() {
+  clearTimeout(elevationProfileTimer);
+  const container = document.getElementById('elevationProfile');
+  
+  if (state.waypoints.length < 2) {
+    container.style.display = 'none';
+    container.innerHTML = '';
+    return;
+  }
+  
+  elevationProfileTimer = setTimeout(loadElevationProfile, 400);
+}
+
+async function loadElevationProfile() {
+  const request = ++elevationProfileRequest;
+  const form = document.getElementById('flightForm');
+  
+  try {
+    const data = await apiCall('/zones/profile', {
+      method: 'POST',
+      body: JSON.stringify({
+        waypoints: state.waypoints.map(wp => ({ lat: wp.lat, lng: wp.lng, altitude: wp.altitude || 100 })),
+        altitudeReference: form.altitudeReference.value
+      })
+    });
+    
+    // Ignore responses for a route that has since changed
+    if (request !== elevationProfileRequest || state.waypoints.length < 2) return;
+    renderElevationProfile(data.data);
+  } catch (error) {
+    console.error('Elevation profile error:', error);
+  }
+}
+
+function renderElevationProfile(profile) {
+  const container = document.getElementById('elevationProfile');
+  const samples = profile.samples.filter(s => s.groundElevation !== null);
+  
+  if (samples.length < 2) {
+    container.style.display = 'block';
+    container.innerHTML = '<div class="elevation-note">No elevation data for this route</div>';
+    return;
+  }
+  
+  const width = 320, height = 140, pad = { top: 10, right: 8, bottom: 18, left: 40 };
+  const total = Math.max(profile.totalDistance, 1);
+  const values = samples.flatMap(s => [s.groundElevation, s.altitudeAMSL, s.groundElevation + profile.ceilingAGL]);
+  const minY = Math.floor((Math.min(...values) - 20) / 50) * 50;
+  const maxY = Math.ceil((Math.max(...values) + 20) / 50) * 50;
+  
+  const x = (d) => pad.left + (d / total) * (width - pad.left - pad.right);
+  const y = (e) => height - pad.bottom - ((e - minY) / (maxY - minY)) * (height - pad.top - pad.bottom);
+  const line = (getValue) => samples.map(s => `${x(s.distance).toFixed(1)},${y(getValue(s)).toFixed(1)}`).join(' ');
+  
+  const ground = `${x(samples[0].distance)},${y(minY)} ${line(s => s.groundElevation)} ${x(samples[samples.length - 1].distance)},${y(minY)}`;
+  const issueColors = { terrain_collision: '#ff4757', ceiling_exceeded: '#ff4757', low_clearance: '#ffa502' };
+  const issueDots = samples.filter(s => s.issue).map(s =>
+    `<circle cx="${x(s.distance).toFixed(1)}" cy="${y(s.altitudeAMSL).toFixed(1)}" r="2.5" fill="${issueColors[s.issue]}"/>`
+  ).join('');
+  const waypointLabels = samples.filter(s => s.waypointIndex !== null).map(s =>
+    `<text x="${x(s.distance).toFixed(1)}" y="${height - 5}" fill="#8b95a5" font-size="9" text-anchor="middle">${s.waypointIndex + 1}</text>`
+  ).join('');
+  
+  const status = profile.violations.length === 0
+    ? `<div class="elevation-note" style="color: var(--accent-primary);">✓ ${profile.summary.minAGL}-${profile.summary.maxAGL}m above ground along the route</div>`
+    : profile.violations.map(v =>
+      `<div class="elevation-note" style="color: ${v.severity === 'error' ? 'var(--accent-danger)' : 'var(--accent-warning)'};">⚠️ ${v.message}</div>`
+    ).join('');
+  
+  container.style.display = 'block';
+  container.innerHTML = `
+    <div class="elevation-title">Terrain Profile <span style="color: var(--text-muted);">(${(total / 1000).toFixed(1)} km, ${profile.altitudeReference})</span></div>
+    <svg viewBox="0 0 ${width} ${height}" class="elevation-chart">
+      <text x="${pad.left - 4}" y="${y(maxY) + 8}" fill="#8b95a5" font-size="9" text-anchor="end">${maxY}m</text>
+      <text x="${pad.left - 4}" y="${y(minY)}" fill="#8b95a5" font-size="9" text-anchor="end">${minY}m</text>
+      <polygon points="${ground}" fill="rgba(139, 115, 85, 0.5)" stroke="#8b7355" stroke-width="1"/>
+      <polyline points="${line(s => s.groundElevation + profile.ceilingAGL)}" fill="none" stroke="#ff4757" stroke-width="1" stroke-dasharray="4,3"/>
+      <polyline points="${line(s => s.altitudeAMSL)}" fill="none" stroke="#00d4aa" stroke-width="2"/>
+      ${issueDots}
+      ${waypointLabels}
+    </svg>
+    <div class="elevation-legend">
+      <span style="color: #00d4aa;">━ Planned altitude</span>
+      <span style="color: #8b7355;">▆ Ground</span>
+      <span style="color: #ff4757;">┅ ${profile.ceilingAGL}m AGL ceiling</span>
+    </div>
+    ${status}
+  `;
 }
 
 function removeWaypoint(index) {
@@ -866,6 +1171,7 @@ function initFlightForm() {
       }
       
       document.querySelectorAll('.tool-btn').forEach(b => b.classList.remove('active'));
+      document.getElementById('corridorWidthGroup').style.display = tool === 'corridor' && state.currentTool !== tool ? 'block' : 'none';
       
       if (state.currentTool === tool) {
         state.currentTool = null;
@@ -875,7 +1181,10 @@ function initFlightForm() {
         
         if (tool === 'waypoint') {
           showAlert('Click on the map to add waypoints', 'success');
-        } else if (tool === 'circle' || tool === 'rectangle') {
+        } else if (tool === 'corridor') {
+          showAlert('Draw the corridor centre line on the map, then finish it', 'success');
+          initDrawing(tool);
+        } else if (['circle', 'rectangle', 'polygon'].includes(tool)) {
           showAlert(`Draw a ${tool} on the map`, 'success');
           initDrawing(tool);
         }
@@ -896,16 +1205,24 @@ function initFlightForm() {
     } else {
       diyOptions.style.display = 'none';
     }
+    
+    // Registered drones are already in the registry
+    document.getElementById('droneRegistration').style.display = getRegisteredDroneId(droneSelect.value) ? 'none' : 'block';
   });
   
+  document.getElementById('registerDroneBtn').addEventListener('click', registerSelectedDrone);
+  
   document.getElementById('getAiRecommendations').addEventListener('click', getAIRecommendations);
   document.getElementById('getRiskAnalysis').addEventListener('click', getRiskAnalysis);
-  document.getElementById('getRouteOptimization').addEventListener('click', getRouteOptimization);
+  document.getElementById('getRouteOptimization').addEventListener('click', () => getRouteOptimization('balanced'));
+  document.getElementById('getRestrictedDetour').addEventListener('click', () => getRouteOptimization('avoidRestricted'));
   document.getElementById('analyticsBtn').addEventListener('click', openAnalyticsDashboard);
   document.getElementById('closeAnalyticsModal').addEventListener('click', () => {
     document.getElementById('analyticsModal').classList.remove('active');
   });
   document.getElementById('flightForm').addEventListener('submit', submitFlightRequest);
+  document.getElementById('flightForm').altitudeReference.addEventListener('change', scheduleElevationProfile);
+  document.getElementById('licenseForm').addEventListener('submit', submitLicense);
   
   document.querySelectorAll('.nav-btn').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -914,13 +1231,16 @@ function initFlightForm() {
       document.querySelectorAll('.nav-btn[data-view]').forEach(b => b.classList.remove('active'));
       btn.classList.add('active');
       
+      document.getElementById('flightFormContainer').style.display = view === 'map' ? 'block' : 'none';
+      document.getElementById('flightListContainer').classList.toggle('active', view === 'flights');
+      document.getElementById('reviewQueueContainer').classList.toggle('active', view === 'review');
+      
       if (view === 'flights') {
-        document.getElementById('flightFormContainer').style.display = 'none';
-        document.getElementById('flightListContainer').classList.add('active');
         loadFlights();
-      } else {
-        document.getElementById('flightFormContainer').style.display = 'block';
-        document.getElementById('flightListContainer').classList.remove('active');
+        loadLicense();
+      } else if (view === 'review') {
+        loadReviewQueue();
+        loadLicenseQueue();
       }
     });
   });
@@ -968,13 +1288,22 @@ function initDrawing(type) {
     drawHandler = new L.Draw.Rectangle(state.map, {
       shapeOptions: { color: '#00d4aa', fillColor: '#00d4aa', fillOpacity: 0.2 }
     });
+  } else if (type === 'polygon') {
+    drawHandler = new L.Draw.Polygon(state.map, {
+      allowIntersection: false,
+      shapeOptions: { color: '#00d4aa', fillColor: '#00d4aa', fillOpacity: 0.2 }
+    });
+  } else if (type === 'corridor') {
+    drawHandler = new L.Draw.Polyline(state.map, {
+      shapeOptions: { color: '#00d4aa', weight: 3 }
+    });
   }
   
   if (drawHandler) {
     drawHandler.enable();
     
     state.map.once('draw:created', (e) => {
-      const layer = e.layer;
+      let layer = e.layer;
       const layerType = e.layerType;
       
       let isValid = true;
@@ -1071,6 +1400,44 @@ function initDrawing(type) {
             }
           };
         }
+      } else if (layerType === 'polygon') {
+        const polygon = layer.getLatLngs()[0].map(p => ({ lat: p.lat, lng: p.lng }));
+        const center = layer.getBounds().getCenter();
+        
+        // Check every vertex and the edges between them are in Kosovo
+        isValid = samplePath([...polygon, polygon[0]], 200).every(p => isPointInKosovo(p.lat, p.lng));
+        
+        if (isValid) {
+          const restrictedCheck = doesAreaOverlapRestricted('polygon', { lat: center.lat, lng: center.lng }, null, null, polygon);
+          if (restrictedCheck.restricted) {
+            isValid = false;
+            restrictedError = restrictedCheck.message;
+          }
+        }
+        
+        if (isValid) {
+          operationArea = { type: 'polygon', center: { lat: center.lat, lng: center.lng }, polygon };
+        }
+      } else if (layerType === 'polyline') {
+        const path = layer.getLatLngs().map(p => ({ lat: p.lat, lng: p.lng }));
+        const width = Math.min(2000, Math.max(10, parseFloat(document.getElementById('corridorWidth').value) || 100));
+        const center = path[Math.floor(path.length / 2)];
+        
+        isValid = samplePath(path, 200).every(p => isPointInKosovo(p.lat, p.lng));
+        
+        if (isValid) {
+          const restrictedCheck = doesAreaOverlapRestricted('corridor', center, null, null, path, width);
+          if (restrictedCheck.restricted) {
+            isValid = false;
+            restrictedError = restrictedCheck.message;
+          }
+        }
+        
+        if (isValid) {
+          operationArea = { type: 'corridor', center, path, width };
+          // Show the corridor at its real width instead of the drawn line
+          layer = createOperationAreaLayer(operationArea, { color: '#00d4aa', fillColor: '#00d4aa', fillOpacity: 0.2 });
+        }
       }
       
       // Reset tool state
@@ -1101,13 +1468,14 @@ function initDrawing(type) {
       // Show AI panel since we have a valid area
       document.getElementById('aiPanel').style.display = 'block';
       
-      showAlert(`✅ Flight area marked (${layerType}). Ready to submit or get AI recommendations.`, 'success');
+      showAlert(`✅ Flight area marked (${operationArea.type}). Ready to submit or get AI recommendations.`, 'success');
     });
     
     // Handle draw cancel/stop
     state.map.once('draw:drawstop', () => {
       state.currentTool = null;
       document.querySelectorAll('.tool-btn').forEach(b => b.classList.remove('active'));
+      document.getElementById('corridorWidthGroup').style.display = 'none';
     });
   }
 }
@@ -1149,7 +1517,7 @@ async function getAIRecommendations() {
         maxFlightTime: parseInt(document.getElementById('diyFlightTime').value)
       };
     } else {
-      droneForAI = DRONES[state.selectedDrone];
+      droneForAI = getCatalogDrone(state.selectedDrone);
     }
     
     // Build request based on flight type
@@ -1157,7 +1525,8 @@ async function getAIRecommendations() {
       scheduledStart,
       scheduledEnd,
       drone: droneForAI,
-      maxAltitude: parseInt(form.maxAltitude.value)
+      maxAltitude: parseInt(form.maxAltitude.value),
+      altitudeReference: form.altitudeReference.value
     };
     
     if (hasOperationArea) {
@@ -1238,13 +1607,14 @@ async function getRiskAnalysis() {
       weight: parseFloat(document.getElementById('diyWeight').value),
       maxSpeed: parseInt(document.getElementById('diySpeed').value),
       maxFlightTime: parseInt(document.getElementById('diyFlightTime').value)
-    } : DRONES[state.selectedDrone];
+    } : getCatalogDrone(state.selectedDrone);
     
     const requestData = {
       scheduledStart,
       scheduledEnd,
       drone: droneData,
-      maxAltitude: parseInt(form.maxAltitude.value)
+      maxAltitude: parseInt(form.maxAltitude.value),
+      altitudeReference: form.altitudeReference.value
     };
     
     if (hasOperationArea) {
@@ -1337,14 +1707,14 @@ function displayRiskAnalysis(risk) {
 // AI Feature #4: Route Optimization
 // ============================================================
 
-async function getRouteOptimization() {
+async function getRouteOptimization(goal) {
   if (state.waypoints.length < 2) {
     showAlert('Add at least 2 waypoints for route optimization', 'warning');
     return;
   }
   
   try {
-    showAlert('🛣️ Optimizing route...', 'success');
+    showAlert(goal === 'avoidRestricted' ? '🛣️ Planning detour around restricted airspace...' : '🛣️ Optimizing route...', 'success');
     
     let droneData = state.selectedDrone === 'diy' ? {
       type: document.getElementById('diyType').value,
@@ -1352,14 +1722,18 @@ async function getRouteOptimization() {
       weight: parseFloat(document.getElementById('diyWeight').value),
       maxSpeed: parseInt(document.getElementById('diySpeed').value),
       maxFlightTime: parseInt(document.getElementById('diyFlightTime').value)
-    } : DRONES[state.selectedDrone];
+    } : getCatalogDrone(state.selectedDrone);
     
     const data = await apiCall('/ai/optimize-route', {
       method: 'POST',
       body: JSON.stringify({
         waypoints: state.waypoints.map(wp => ({ lat: wp.lat, lng: wp.lng, altitude: wp.altitude || 100 })),
         drone: droneData,
-        optimizationGoal: 'balanced'
+        optimizationGoal: goal,
+        scheduledStart: document.getElementById('flightForm').scheduledStart.value || undefined,
+        altitudeReference: document.getElementById('flightForm').altitudeReference.value,
+        fixedEnd: document.getElementById('routeEnding').value === 'fixedEnd',
+        returnToHome: document.getElementById('routeEnding').value === 'returnToHome'
       })
     });
     
@@ -1367,7 +1741,7 @@ async function getRouteOptimization() {
     
   } catch (error) {
     console.error('Route optimization error:', error);
-    showAlert('Failed to optimize route', 'error');
+    showAlert(goal === 'avoidRestricted' ? `Could not plan detour: ${error.message}` : 'Failed to optimize route', 'error');
   }
 }
 
@@ -1382,6 +1756,26 @@ function displayRouteOptimization(opt) {
       <div style="font-size: 1.2rem; font-weight: 600; color: var(--accent-primary);">${opt.method} Optimization</div>
     </div>
     
+    ${opt.improvements.addedDistance !== undefined ? `
+    <div style="background: rgba(255,107,107,0.1); border-radius: 10px; padding: 1rem; margin-bottom: 1rem;">
+      <div style="font-weight: 600; margin-bottom: 0.75rem; color: #ff6b6b;">🚫 Restricted Airspace Detour</div>
+      ${opt.improvements.reroutedLegs === 0 ? `
+        <div style="font-size: 0.9rem; color: var(--text-secondary);">Route already avoids all restricted airspace - no changes needed.</div>
+      ` : `
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem;">
+          <div style="text-align: center;">
+            <div style="font-size: 1.5rem; font-weight: bold; color: #ff6b6b;">+${opt.improvements.addedDistance}m</div>
+            <div style="font-size: 0.8rem; color: var(--text-secondary);">Added Distance</div>
+          </div>
+          <div style="text-align: center;">
+            <div style="font-size: 1.5rem; font-weight: bold; color: #4facfe;">${opt.improvements.reroutedLegs}</div>
+            <div style="font-size: 0.8rem; color: var(--text-secondary);">Legs Re-routed</div>
+          </div>
+        </div>
+        <div style="font-size: 0.85rem; color: var(--text-secondary); margin-top: 0.75rem;">Avoids: ${opt.improvements.avoidedZones.join(', ')}</div>
+      `}
+    </div>
+    ` : `
     <div style="background: linear-gradient(135deg, rgba(0,212,170,0.1), rgba(0,184,148,0.1)); border-radius: 10px; padding: 1rem; margin-bottom: 1rem;">
       <div style="font-weight: 600; margin-bottom: 0.75rem; color: #00d4aa;">📊 Improvements</div>
       <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem;">
@@ -1403,6 +1797,7 @@ function displayRouteOptimization(opt) {
         </div>
       </div>
     </div>
+    `}
     
     <div style="background: var(--bg-secondary); border-radius: 10px; padding: 1rem; margin-bottom: 1rem;">
       <div style="font-weight: 600; margin-bottom: 0.75rem;">📏 Distance Comparison</div>
@@ -1414,8 +1809,24 @@ function displayRouteOptimization(opt) {
         <span>Optimized:</span>
         <span style="color: #00d4aa; font-weight: 600;">${opt.improvements.optimizedDistance}m</span>
       </div>
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-top: 0.5rem;">
+        <span>Battery:</span>
+        <span><span style="color: var(--text-secondary);">${opt.improvements.originalBatteryUsed}%</span> → <span style="color: #00d4aa; font-weight: 600;">${opt.improvements.optimizedBatteryUsed}%</span></span>
+      </div>
     </div>
     
+    ${opt.feasibility ? `
+    <div style="background: ${opt.feasibility.feasible ? 'rgba(0,212,170,0.1)' : 'rgba(255,107,107,0.1)'}; border-radius: 10px; padding: 1rem; margin-bottom: 1rem;">
+      <div style="font-weight: 600; margin-bottom: 0.5rem; color: ${opt.feasibility.feasible ? '#00d4aa' : '#ff6b6b'};">
+        🔋 ${opt.feasibility.feasible ? 'Feasible on one battery' : 'Not feasible on one battery'}
+      </div>
+      <div style="font-size: 0.85rem; color: var(--text-secondary);">${opt.feasibility.reason}</div>
+      <div style="font-size: 0.85rem; color: var(--text-secondary); margin-top: 0.25rem;">
+        ${opt.feasibility.flightTimeMinutes} of ${opt.feasibility.usableFlightTime} usable min · 💨 ${opt.wind.speed} km/h from ${opt.wind.direction}°
+      </div>
+    </div>
+    ` : ''}
+    
     ${opt.suggestions.length > 0 ? `
     <div style="background: rgba(79,172,254,0.1); border-radius: 10px; padding: 1rem; margin-bottom: 1rem;">
       <div style="font-weight: 600; margin-bottom: 0.75rem; color: #4facfe;">💡 Suggestions</div>
@@ -1434,7 +1845,7 @@ function displayRouteOptimization(opt) {
         <div style="padding: 0.75rem; margin-bottom: 0.5rem; background: var(--bg-primary); border-radius: 8px;">
           <div style="display: flex; justify-content: space-between; align-items: center;">
             <span style="font-weight: 500;">${route.name}</span>
-            <span style="color: var(--text-secondary); font-size: 0.85rem;">${route.distance}m</span>
+            <span style="color: var(--text-secondary); font-size: 0.85rem;">${route.distance}m · ${route.batteryUsed}% battery</span>
           </div>
           <div style="font-size: 0.8rem; color: var(--text-secondary); margin-top: 0.25rem;">${route.benefit}</div>
         </div>
@@ -1468,6 +1879,7 @@ function applyOptimizedRoute() {
       state.waypoints[state.waypoints.length - 1].altitude = wp.altitude;
     }
   });
+  updateWaypointList();
   
   showAlert('✅ Optimized route applied!', 'success');
 }
@@ -1683,11 +2095,15 @@ async function submitFlightRequest(e) {
       isDIY: true
     };
   } else {
-    droneData = { ...DRONES[state.selectedDrone] };
+    droneData = { ...getCatalogDrone(state.selectedDrone) };
   }
   
-  droneData.serialNumber = `SN${Math.random().toString(36).substring(2, 10).toUpperCase()}`;
-  droneData.registrationNumber = `KS-${Math.random().toString(36).substring(2, 6).toUpperCase()}`;
+  // Registered drones carry their own serial/registration; the server copies their specs
+  const registeredDroneId = getRegisteredDroneId(state.selectedDrone);
+  if (!registeredDroneId) {
+    droneData.serialNumber = `SN${Math.random().toString(36).substring(2, 10).toUpperCase()}`;
+    droneData.registrationNumber = `KS-${Math.random().toString(36).substring(2, 6).toUpperCase()}`;
+  }
   
   // Build flight data based on flight type
   const flightData = {
@@ -1697,11 +2113,13 @@ async function submitFlightRequest(e) {
     duration,
     drone: droneData,
     maxAltitude: parseInt(form.maxAltitude.value),
+    altitudeReference: form.altitudeReference.value,
     estimatedSpeed: droneData.maxSpeed * 0.7,
     purpose: form.purpose.value,
     description: form.description.value,
     aiRecommendations: state.aiRecommendations
   };
+  if (registeredDroneId) flightData.droneId = registeredDroneId;
   
   // Add waypoints or operation area
   if (hasOperationArea) {
@@ -1763,7 +2181,7 @@ async function submitFlightRequest(e) {
           <div style="color: var(--text-secondary);">Your flight request could not be approved:</div>
         </div>
         <div style="display: flex; flex-direction: column; gap: 0.5rem;">
-          ${errors.map(e => `<div style="padding: 0.75rem; background: rgba(255, 71, 87, 0.1); border: 1px solid var(--accent-danger); border-radius: 8px; font-size: 0.85rem; color: var(--accent-danger);">❌ ${e.message}</div>`).join('')}
+          ${errors.map(e => `<div style="padding: 0.75rem; background: rgba(255, 71, 87, 0.1); border: 1px solid var(--accent-danger); border-radius: 8px; font-size: 0.85rem; color: var(--accent-danger);">❌ ${escapeHtml(e.message)}</div>`).join('')}
         </div>
       `;
       showAlert('Flight request rejected. Please review the issues.', 'error');
@@ -1809,59 +2227,393 @@ function renderFlightList() {
         <div class="flight-detail">⏱️ ${flight.duration} min</div>
         <div class="flight-detail">📍 ${flight.waypoints?.length || 0} waypoints</div>
         <div class="flight-detail">🎯 ${flight.purpose}</div>
+        <div class="flight-detail">🏷️ ${flight.drone?.category || 'unclassified'} category</div>
       </div>
+      ${flight.requiresSpecialAuthorization ? `<div class="flight-review-notes">🛂 ${flight.specialAuthorizationReason}</div>` : ''}
+      ${(flight.restrictionFlags || []).map(flag => `<div class="flight-review-notes">⏳ Intersects temporary restriction ${escapeHtml(flag.name)} (${escapeHtml(flag.reason)}), ${formatDateTime(flag.startTime)} - ${formatDateTime(flag.endTime)}</div>`).join('')}
+      ${flight.reviewNotes ? `<div class="flight-review-notes">📝 ${escapeHtml(flight.reviewNotes)}</div>` : ''}
     </div>
   `).join('');
 }
 
 function showFlightOnMap(flightId) {
   const flight = state.flights.find(f => f.id === flightId);
-  if (!flight || !flight.waypoints) return;
+  const area = flight?.operationArea;
+  if (!flight || (!area?.center && !flight.waypoints?.length)) return;
   
   document.querySelectorAll('.nav-btn').forEach(b => b.classList.remove('active'));
   document.querySelector('[data-view="map"]').classList.add('active');
   document.getElementById('flightFormContainer').style.display = 'block';
   document.getElementById('flightListContainer').classList.remove('active');
   
-  const bounds = L.latLngBounds(flight.waypoints.map(wp => [wp.lat, wp.lng]));
-  state.map.fitBounds(bounds, { padding: [50, 50] });
+  const highlight = area?.center
+    ? createOperationAreaLayer(area, { color: '#ffc107', fillColor: '#ffc107', fillOpacity: 0.25, weight: 3 })
+    : L.polyline(flight.waypoints.map(wp => [wp.lat, wp.lng]), { color: '#ffc107', weight: 4, opacity: 0.9 });
+  highlight.addTo(state.map);
+  state.map.fitBounds(highlight.getBounds(), { padding: [50, 50] });
+  setTimeout(() => state.map.removeLayer(highlight), 5000);
+}
+
+// ============================================================
+// Drone Registry
+// ============================================================
+
+function getRegisteredDroneId(selectValue) {
+  return selectValue?.startsWith(REGISTERED_DRONE_PREFIX) ? selectValue.slice(REGISTERED_DRONE_PREFIX.length) : null;
+}
+
+// Look up specs for a preset or registered drone select value
+function getCatalogDrone(selectValue) {
+  const registeredId = getRegisteredDroneId(selectValue);
+  if (!registeredId) return DRONES[selectValue];
+  
+  const drone = state.registeredDrones.find(d => (d._id || d.id) === registeredId);
+  return drone ? {
+    type: drone.type,
+    model: drone.model,
+    manufacturer: drone.manufacturer,
+    weight: drone.weight,
+    maxSpeed: drone.maxSpeed,
+    maxAltitude: drone.maxAltitude,
+    maxFlightTime: drone.maxFlightTime,
+    isDIY: drone.isDIY
+  } : DRONES.mavic3;
+}
+
+async function loadRegisteredDrones() {
+  try {
+    const data = await apiCall('/drones');
+    state.registeredDrones = data.data.drones;
+    renderRegisteredDroneOptions();
+    renderDroneList();
+  } catch (error) {
+    console.error('Load drones error:', error);
+  }
+}
+
+function renderRegisteredDroneOptions() {
+  const group = document.getElementById('registeredDronesGroup');
+  group.style.display = state.registeredDrones.length > 0 ? '' : 'none';
+  group.innerHTML = state.registeredDrones.map(drone => `
+    <option value="${REGISTERED_DRONE_PREFIX}${drone._id || drone.id}">${escapeHtml(drone.model)} (${escapeHtml(drone.registrationNumber)})</option>
+  `).join('');
+  
+  // Keep the current selection if it still exists
+  const droneSelect = document.getElementById('droneSelect');
+  if (droneSelect.value !== state.selectedDrone && state.selectedDrone.startsWith(REGISTERED_DRONE_PREFIX)) {
+    droneSelect.value = 'mavic3';
+    droneSelect.dispatchEvent(new Event('change'));
+  }
+}
+
+function renderDroneList() {
+  const listEl = document.getElementById('droneList');
   
-  const coords = flight.waypoints.map(wp => [wp.lat, wp.lng]);
-  const highlightLine = L.polyline(coords, { color: '#ffc107', weight: 4, opacity: 0.9 }).addTo(state.map);
-  setTimeout(() => state.map.removeLayer(highlightLine), 5000);
+  if (state.registeredDrones.length === 0) {
+    listEl.innerHTML = `<div style="text-align: center; padding: 1rem; color: var(--text-muted);">No registered drones</div>`;
+    return;
+  }
+  
+  listEl.innerHTML = state.registeredDrones.map(drone => `
+    <div class="flight-card">
+      <div class="flight-card-header">
+        <span class="flight-number">${escapeHtml(drone.registrationNumber)}</span>
+        <button class="btn btn-secondary btn-sm" onclick="retireDrone('${drone._id || drone.id}')">Retire</button>
+      </div>
+      <div class="flight-card-details">
+        <div class="flight-detail">🚁 ${escapeHtml(drone.model)}</div>
+        <div class="flight-detail">🔢 ${escapeHtml(drone.serialNumber)}</div>
+        <div class="flight-detail">⚖️ ${drone.weight ?? '?'} kg</div>
+        <div class="flight-detail">⏱️ ${drone.maxFlightTime ?? '?'} min</div>
+      </div>
+    </div>
+  `).join('');
+}
+
+async function registerSelectedDrone() {
+  const serialNumber = document.getElementById('droneSerial').value.trim();
+  const registrationNumber = document.getElementById('droneRegistrationNumber').value.trim();
+  
+  if (!serialNumber || !registrationNumber) {
+    showAlert('Enter the serial and registration numbers to register this drone', 'warning');
+    return;
+  }
+  
+  const specs = state.selectedDrone === 'diy' ? {
+    type: document.getElementById('diyType').value,
+    model: document.getElementById('diyModel').value || 'Custom DIY Drone',
+    manufacturer: 'DIY',
+    weight: parseFloat(document.getElementById('diyWeight').value),
+    maxSpeed: parseInt(document.getElementById('diySpeed').value),
+    maxAltitude: parseInt(document.getElementById('diyMaxAlt').value),
+    maxFlightTime: parseInt(document.getElementById('diyFlightTime').value),
+    isDIY: true
+  } : DRONES[state.selectedDrone];
+  
+  try {
+    const data = await apiCall('/drones', {
+      method: 'POST',
+      body: JSON.stringify({ ...specs, serialNumber, registrationNumber })
+    });
+    const drone = data.data.drone;
+    
+    document.getElementById('droneSerial').value = '';
+    document.getElementById('droneRegistrationNumber').value = '';
+    await loadRegisteredDrones();
+    
+    const droneSelect = document.getElementById('droneSelect');
+    droneSelect.value = `${REGISTERED_DRONE_PREFIX}${drone._id || drone.id}`;
+    droneSelect.dispatchEvent(new Event('change'));
+    showAlert(`✅ ${drone.model} registered as ${drone.registrationNumber}`, 'success');
+  } catch (error) {
+    console.error('Register drone error:', error);
+    showAlert(error.message, 'error');
+  }
+}
+
+async function retireDrone(droneId) {
+  try {
+    await apiCall(`/drones/${droneId}`, { method: 'DELETE' });
+    showAlert('Drone retired', 'warning');
+    loadRegisteredDrones();
+  } catch (error) {
+    console.error('Retire drone error:', error);
+    showAlert(error.message, 'error');
+  }
+}
+
+// ============================================================
+// Pilot Licence
+// ============================================================
+
+async function loadLicense() {
+  try {
+    const data = await apiCall('/auth/profile');
+    state.user.pilotLicense = data.data.user.pilotLicense;
+    localStorage.setItem('kdtms_user', JSON.stringify(state.user));
+    renderLicenseStatus();
+  } catch (error) {
+    console.error('Load licence error:', error);
+  }
+}
+
+function renderLicenseStatus() {
+  const license = state.user?.pilotLicense;
+  const statusEl = document.getElementById('licenseStatus');
+  
+  if (!license?.number) {
+    statusEl.innerHTML = `<div class="flight-review-notes" style="margin: 0 0 0.75rem;">No licence on file. Flights in the specific and certified categories require a verified licence.</div>`;
+    return;
+  }
+  
+  const status = license.verified ? 'approved' : license.verifiedAt ? 'rejected' : 'pending';
+  const label = license.verified ? 'verified' : license.verifiedAt ? 'refused' : 'awaiting verification';
+  statusEl.innerHTML = `
+    <div class="flight-card">
+      <div class="flight-card-header">
+        <span class="flight-number">${license.number}</span>
+        <span class="flight-status ${status}">${label}</span>
+      </div>
+      <div class="flight-card-details">
+        <div class="flight-detail">🪪 ${license.type}</div>
+        <div class="flight-detail">📅 Expires ${new Date(license.expiryDate).toLocaleDateString()}</div>
+      </div>
+      ${license.verificationNotes ? `<div class="flight-review-notes">📝 ${license.verificationNotes}</div>` : ''}
+    </div>
+  `;
+}
+
+async function submitLicense(e) {
+  e.preventDefault();
+  const formData = new FormData(e.target);
+  
+  try {
+    const data = await apiCall('/auth/license', {
+      method: 'PUT',
+      body: JSON.stringify(Object.fromEntries(formData))
+    });
+    state.user.pilotLicense = data.data.pilotLicense;
+    localStorage.setItem('kdtms_user', JSON.stringify(state.user));
+    renderLicenseStatus();
+    showAlert(data.message, 'success');
+  } catch (error) {
+    console.error('Submit licence error:', error);
+    showAlert(error.message, 'error');
+  }
+}
+
+// ============================================================
+// Review Queue (authority/admin)
+// ============================================================
+
+async function loadReviewQueue() {
+  if (!isReviewer()) return;
+  
+  try {
+    const data = await apiCall('/flights/review/queue');
+    state.reviewQueue = data.data.flights;
+    renderReviewQueue();
+  } catch (error) {
+    console.error('Load review queue error:', error);
+    showAlert('Failed to load review queue', 'error');
+  }
+}
+
+function renderReviewQueue() {
+  const listEl = document.getElementById('reviewQueue');
+  
+  if (state.reviewQueue.length === 0) {
+    listEl.innerHTML = `<div style="text-align: center; padding: 2rem; color: var(--text-muted);"><div style="font-size: 2rem; margin-bottom: 0.5rem;">✅</div><div>No flights awaiting review</div></div>`;
+    return;
+  }
+  
+  listEl.innerHTML = state.reviewQueue.map(flight => {
+    const flightId = escapeHtml(flight.id || flight._id);
+    const pilot = escapeHtml(flight.userId?.fullName || flight.userId?.email || flight.userId);
+    const warnings = (flight.validation?.checks || []).filter(c => c.severity === 'warning');
+    
+    return `
+      <div class="flight-card">
+        <div class="flight-card-header">
+          <span class="flight-number">${escapeHtml(flight.flightNumber)}</span>
+          <span class="flight-status ${escapeHtml(flight.status)}">${flight.reviewDecision === 'changes_requested' ? 'changes requested' : escapeHtml(flight.status)}</span>
+        </div>
+        <div class="flight-card-details">
+          <div class="flight-detail">👤 ${pilot}</div>
+          <div class="flight-detail">📅 ${formatDateTime(flight.scheduledStart)}</div>
+          <div class="flight-detail">🚁 ${escapeHtml(flight.drone?.model || 'Unknown Drone')}</div>
+          <div class="flight-detail">🎯 ${escapeHtml(flight.purpose)}</div>
+          <div class="flight-detail">📏 ${escapeHtml(flight.maxAltitude)}m max</div>
+          <div class="flight-detail">⚠️ ${warnings.length} warning(s)</div>
+          <div class="flight-detail">🏷️ ${escapeHtml(flight.drone?.category || 'unclassified')} category</div>
+        </div>
+        ${flight.requiresSpecialAuthorization ? `<div class="flight-review-notes">🛂 ${escapeHtml(flight.specialAuthorizationReason)}</div>` : ''}
+        ${flight.reviewNotes ? `<div class="flight-review-notes">📝 ${escapeHtml(flight.reviewNotes)}</div>` : ''}
+        <input type="text" class="form-input" id="reviewNotes_${flightId}" placeholder="Review notes" style="margin-top: 0.75rem;">
+        <div class="review-actions">
+          <button class="btn btn-primary btn-sm" onclick="reviewFlight('${flightId}', 'approve')">Approve</button>
+          <button class="btn btn-secondary btn-sm" onclick="reviewFlight('${flightId}', 'request-changes')">Changes</button>
+          <button class="btn btn-danger btn-sm" onclick="reviewFlight('${flightId}', 'reject')">Reject</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+async function reviewFlight(flightId, action) {
+  const notes = document.getElementById(`reviewNotes_${flightId}`)?.value.trim();
+  
+  if (action !== 'approve' && !notes) {
+    showAlert('Please add review notes explaining the decision', 'warning');
+    return;
+  }
+  
+  try {
+    const data = await apiCall(`/flights/${flightId}/${action}`, {
+      method: 'POST',
+      body: JSON.stringify({ notes })
+    });
+    showAlert(data.message, action === 'reject' ? 'warning' : 'success');
+    loadReviewQueue();
+  } catch (error) {
+    console.error('Review flight error:', error);
+    showAlert(error.message, 'error');
+  }
+}
+
+async function loadLicenseQueue() {
+  if (!isReviewer()) return;
+  
+  try {
+    const data = await apiCall('/auth/licenses/pending');
+    state.licenseQueue = data.data.users;
+    renderLicenseQueue();
+  } catch (error) {
+    console.error('Load licence queue error:', error);
+  }
+}
+
+function renderLicenseQueue() {
+  const listEl = document.getElementById('licenseQueue');
+  
+  if (state.licenseQueue.length === 0) {
+    listEl.innerHTML = `<div style="text-align: center; padding: 1rem; color: var(--text-muted);">No licences awaiting verification</div>`;
+    return;
+  }
+  
+  listEl.innerHTML = state.licenseQueue.map(pilot => {
+    const userId = escapeHtml(pilot.id || pilot._id);
+    const license = pilot.pilotLicense;
+    
+    return `
+      <div class="flight-card">
+        <div class="flight-card-header">
+          <span class="flight-number">${escapeHtml(license.number)}</span>
+          <span class="flight-status pending">${escapeHtml(license.type)}</span>
+        </div>
+        <div class="flight-card-details">
+          <div class="flight-detail">👤 ${escapeHtml(pilot.fullName || pilot.email)}</div>
+          <div class="flight-detail">🏛️ ${escapeHtml(license.issuedBy)}</div>
+          <div class="flight-detail">📅 Expires ${new Date(license.expiryDate).toLocaleDateString()}</div>
+        </div>
+        <input type="text" class="form-input" id="licenseNotes_${userId}" placeholder="Verification notes" style="margin-top: 0.75rem;">
+        <div class="review-actions">
+          <button class="btn btn-primary btn-sm" onclick="verifyLicense('${userId}', true)">Verify</button>
+          <button class="btn btn-danger btn-sm" onclick="verifyLicense('${userId}', false)">Refuse</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+async function verifyLicense(userId, verified) {
+  const notes = document.getElementById(`licenseNotes_${userId}`)?.value.trim();
+  
+  if (!verified && !notes) {
+    showAlert('Please add notes explaining why the licence was refused', 'warning');
+    return;
+  }
+  
+  try {
+    const data = await apiCall(`/auth/users/${userId}/license`, {
+      method: 'PATCH',
+      body: JSON.stringify({ verified, notes })
+    });
+    showAlert(data.message, verified ? 'success' : 'warning');
+    loadLicenseQueue();
+  } catch (error) {
+    console.error('Verify licence error:', error);
+    showAlert(error.message, 'error');
+  }
 }
 
 // ============================================================
 // Simulation
 // ============================================================
 
+// The server runs the simulation clock; positions and status changes arrive over the real-time stream.
+// The simulated world is shared, so it is only seeded when no run exists yet (and only reviewers may seed it).
 async function initSimulation() {
+  if (!isReviewer()) return;
   try {
+    const status = await apiCall('/simulation/status');
+    if (status.data.run) return;
     console.log('🚁 Initializing simulation with 25 drones...');
     const initResult = await apiCall('/simulation/initialize', { method: 'POST', body: JSON.stringify({ count: 25 }) });
     console.log('🚁 Simulation initialized:', initResult);
-    
-    // Initial update
-    await updateSimulation();
-    
-    // Start periodic updates
-    state.simulationInterval = setInterval(updateSimulation, 3000);
-    console.log('🚁 Simulation running - updating every 3 seconds');
   } catch (error) {
     console.error('🚁 Simulation init error:', error);
   }
 }
 
-async function updateSimulation() {
+async function loadActiveFlights() {
   try {
-    await apiCall('/simulation/tick', { method: 'POST' });
     const data = await apiCall('/flights/active');
     state.activeFlights = data.data.flights || [];
-    console.log(`🚁 Simulation tick: ${state.activeFlights.length} flights`);
     updateDroneMarkers();
     updateStats();
   } catch (error) {
-    console.error('🚁 Simulation update error:', error);
+    console.error('🚁 Active flights error:', error);
   }
 }
 
@@ -1888,14 +2640,25 @@ function updateDroneMarkers() {
       activeCount++;
       const pos = flight.currentPosition;
       
+      const openAlerts = (flight.alerts || []).filter(a => !a.clearedAt);
+      const alertKey = openAlerts.map(a => a.key).join(',');
+      
+      // Recreate the marker when its alerts change so the highlight and popup follow
+      const existing = state.droneMarkers.get(flightId);
+      if (existing && existing.alertKey !== alertKey) {
+        state.map.removeLayer(existing);
+        state.droneMarkers.delete(flightId);
+      }
+      
       if (state.droneMarkers.has(flightId)) {
         state.droneMarkers.get(flightId).setLatLng([pos.lat, pos.lng]);
       } else {
+        const alerting = openAlerts.length > 0;
         const marker = L.marker([pos.lat, pos.lng], {
           icon: L.divIcon({
-            className: 'drone-marker-active',
+            className: alerting ? 'drone-marker-alert' : 'drone-marker-active',
             html: `<div style="
-              background: linear-gradient(135deg, #00d4aa, #00b894);
+              background: ${alerting ? 'linear-gradient(135deg, #e74c3c, #c0392b)' : 'linear-gradient(135deg, #00d4aa, #00b894)'};
               width: 32px;
               height: 32px;
               border-radius: 50%;
@@ -1904,23 +2667,28 @@ function updateDroneMarkers() {
               align-items: center;
               justify-content: center;
               font-size: 16px;
-              box-shadow: 0 4px 15px rgba(0, 212, 170, 0.5), 0 2px 10px rgba(0,0,0,0.3);
-              animation: pulse 2s infinite;
+              box-shadow: ${alerting ? '0 4px 15px rgba(231, 76, 60, 0.6)' : '0 4px 15px rgba(0, 212, 170, 0.5)'}, 0 2px 10px rgba(0,0,0,0.3);
+              animation: pulse ${alerting ? '1s' : '2s'} infinite;
             ">🚁</div>`,
             iconSize: [32, 32],
             iconAnchor: [16, 16]
           }),
-          zIndexOffset: 2000
+          zIndexOffset: alerting ? 2500 : 2000
         }).addTo(state.map);
         
+        const alertList = openAlerts.map(a => `
+          <small style="color: ${a.severity === 'error' ? '#e74c3c' : '#f39c12'};">⚠️ ${a.type.replace('_', ' ')}: ${escapeHtml(a.message)}</small><br>
+        `).join('');
         marker.bindPopup(`
           <div style="text-align: center;">
-            <strong style="color: #00d4aa;">✈️ ${flight.flightNumber}</strong><br>
+            <strong style="color: ${alerting ? '#e74c3c' : '#00d4aa'};">✈️ ${flight.flightNumber}</strong><br>
             <small>${flight.drone?.model || 'Unknown Drone'}</small><br>
             <small>Altitude: ${Math.round(pos.altitude || 0)}m</small><br>
-            <small>Status: <span style="color: #00d4aa;">ACTIVE</span></small>
+            <small>Status: <span style="color: #00d4aa;">ACTIVE</span></small><br>
+            ${alertList}
           </div>
         `);
+        marker.alertKey = alertKey;
         state.droneMarkers.set(flightId, marker);
       }
     }
@@ -1990,16 +2758,14 @@ function updateStats() {
 
 // Store airplane markers
 state.airplaneMarkers = new Map();
-state.airplaneUpdateInterval = null;
 
 async function initAirplaneTracking() {
   console.log('✈️ Initializing airplane tracking...');
-  await updateAirplaneTraffic();
-  // Update airplane positions every 30 seconds
-  state.airplaneUpdateInterval = setInterval(updateAirplaneTraffic, 30000);
+  await loadAirplaneTraffic();
 }
 
-async function updateAirplaneTraffic() {
+// Snapshot on start; afterwards positions are pushed over the real-time stream
+async function loadAirplaneTraffic() {
   try {
     const data = await apiCall('/airplanes');
     
@@ -2008,66 +2774,161 @@ async function updateAirplaneTraffic() {
       return;
     }
     
-    const airplanes = [...data.data.airplanes, ...(data.data.nearbyAirplanes || [])];
-    
-    // Remove old markers
-    for (const [id, marker] of state.airplaneMarkers) {
-      const stillExists = airplanes.find(p => p.icao24 === id);
-      if (!stillExists) {
-        state.map.removeLayer(marker);
-        state.airplaneMarkers.delete(id);
-      }
+    updateAirplaneTraffic([...data.data.airplanes, ...(data.data.nearbyAirplanes || [])]);
+  } catch (error) {
+    console.log('✈️ Airplane tracking unavailable:', error.message);
+  }
+}
+
+function updateAirplaneTraffic(airplanes) {
+  // Remove old markers
+  for (const [id, marker] of state.airplaneMarkers) {
+    const stillExists = airplanes.find(p => p.icao24 === id);
+    if (!stillExists) {
+      state.map.removeLayer(marker);
+      state.airplaneMarkers.delete(id);
     }
+  }
+  
+  // Add/update airplane markers
+  airplanes.forEach(plane => {
+    if (!plane.position?.lat || !plane.position?.lng || plane.onGround) return;
     
-    // Add/update airplane markers
-    airplanes.forEach(plane => {
-      if (!plane.position?.lat || !plane.position?.lng || plane.onGround) return;
+    const rotation = plane.heading || 0;
+    
+    if (state.airplaneMarkers.has(plane.icao24)) {
+      // Update existing marker
+      state.airplaneMarkers.get(plane.icao24).setLatLng([plane.position.lat, plane.position.lng]);
+    } else {
+      // Create new marker
+      const marker = L.marker([plane.position.lat, plane.position.lng], {
+        icon: L.divIcon({
+          className: 'airplane-marker',
+          html: `<div style="
+            font-size: 20px;
+            transform: rotate(${rotation}deg);
+            filter: drop-shadow(0 2px 4px rgba(0,0,0,0.5));
+            opacity: ${plane.inKosovo ? 1 : 0.6};
+          ">✈️</div>`,
+          iconSize: [24, 24],
+          iconAnchor: [12, 12]
+        }),
+        zIndexOffset: 1000
+      }).addTo(state.map);
       
-      const rotation = plane.heading || 0;
+      marker.bindPopup(`
+        <strong>✈️ ${plane.callsign || 'Unknown'}</strong><br>
+        <small>ICAO: ${plane.icao24}</small><br>
+        <small>Origin: ${plane.originCountry}</small><br>
+        <small>Altitude: ${plane.position.altitudeFt?.toLocaleString() || '?'} ft</small><br>
+        <small>Speed: ${plane.velocity || '?'} km/h</small><br>
+        <small>Heading: ${Math.round(plane.heading || 0)}°</small>
+      `);
       
-      if (state.airplaneMarkers.has(plane.icao24)) {
-        // Update existing marker
-        state.airplaneMarkers.get(plane.icao24).setLatLng([plane.position.lat, plane.position.lng]);
-      } else {
-        // Create new marker
-        const marker = L.marker([plane.position.lat, plane.position.lng], {
-          icon: L.divIcon({
-            className: 'airplane-marker',
-            html: `<div style="
-              font-size: 20px;
-              transform: rotate(${rotation}deg);
-              filter: drop-shadow(0 2px 4px rgba(0,0,0,0.5));
-              opacity: ${plane.inKosovo ? 1 : 0.6};
-            ">✈️</div>`,
-            iconSize: [24, 24],
-            iconAnchor: [12, 12]
-          }),
-          zIndexOffset: 1000
-        }).addTo(state.map);
-        
-        marker.bindPopup(`
-          <strong>✈️ ${plane.callsign || 'Unknown'}</strong><br>
-          <small>ICAO: ${plane.icao24}</small><br>
-          <small>Origin: ${plane.originCountry}</small><br>
-          <small>Altitude: ${plane.position.altitudeFt?.toLocaleString() || '?'} ft</small><br>
-          <small>Speed: ${plane.velocity || '?'} km/h</small><br>
-          <small>Heading: ${Math.round(plane.heading || 0)}°</small>
-        `);
-        
-        state.airplaneMarkers.set(plane.icao24, marker);
-      }
+      state.airplaneMarkers.set(plane.icao24, marker);
+    }
+  });
+  
+  console.log(`✈️ Tracking ${state.airplaneMarkers.size} aircraft`);
+  
+  // Update airplane count in stats if element exists
+  const airplaneCountEl = document.getElementById('statAirplanes');
+  if (airplaneCountEl) {
+    airplaneCountEl.textContent = airplanes.filter(p => p.inKosovo && !p.onGround).length;
+  }
+}
+
+// ============================================================
+// Real-time Updates (Server-Sent Events)
+// ============================================================
+
+// Subscribe to a box somewhat larger than the view so small pans stay inside it
+function getRealtimeBounds() {
+  const bounds = state.map.getBounds().pad(0.5);
+  return [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()].map(v => v.toFixed(4));
+}
+
+function connectRealtime() {
+  // The map is created asynchronously in initMap
+  if (!state.map) {
+    setTimeout(connectRealtime, 200);
+    return;
+  }
+  if (!state.token) return;
+  
+  disconnectRealtime();
+  const topics = ['positions', 'flights', 'zones', 'aircraft', 'alerts'];
+  if (isReviewer()) topics.push('conflicts');
+  state.realtimeBounds = getRealtimeBounds();
+  
+  const params = new URLSearchParams({ token: state.token, topics: topics.join(','), bbox: state.realtimeBounds.join(',') });
+  const source = new EventSource(`${API_BASE}/realtime/stream?${params}`);
+  state.realtime = source;
+  
+  const on = (event, handler) => source.addEventListener(event, (e) => handler(JSON.parse(e.data)));
+  
+  // Fires on the first connect and after every reconnect; fetch a snapshot to catch up
+  on('ready', () => {
+    console.log('📡 Real-time stream connected');
+    loadActiveFlights();
+  });
+  
+  on('positions', ({ drones }) => {
+    drones.forEach(({ flightId, position }) => {
+      const flight = state.activeFlights.find(f => String(f.id || f._id) === flightId);
+      if (flight) flight.currentPosition = position;
     });
-    
-    console.log(`✈️ Tracking ${state.airplaneMarkers.size} aircraft`);
-    
-    // Update airplane count in stats if element exists
-    const airplaneCountEl = document.getElementById('statAirplanes');
-    if (airplaneCountEl) {
-      airplaneCountEl.textContent = data.data.inKosovoCount || 0;
+    updateDroneMarkers();
+  });
+  
+  on('flight_status', ({ flightId, status, flight }) => {
+    const rest = state.activeFlights.filter(f => String(f.id || f._id) !== flightId);
+    state.activeFlights = ['active', 'pending', 'approved'].includes(status) ? [...rest, flight] : rest;
+    updateDroneMarkers();
+    updateStats();
+  });
+  
+  on('flights_reset', () => loadActiveFlights());
+  
+  on('conflict', ({ flight, conflicts }) => {
+    showAlert(`⚠️ ${flight.flightNumber}: ${conflicts.length} traffic conflict${conflicts.length > 1 ? 's' : ''} detected`, 'warning');
+  });
+  
+  on('conformance_alert', ({ flightId, flightNumber, action, alert }) => {
+    const flight = state.activeFlights.find(f => String(f.id || f._id) === flightId);
+    if (flight) {
+      const others = (flight.alerts || []).filter(a => a.key !== alert.key);
+      flight.alerts = action === 'raised' ? [...others, alert] : others;
+      updateDroneMarkers();
     }
-    
-  } catch (error) {
-    console.log('✈️ Airplane tracking unavailable:', error.message);
+    if (action === 'raised' && isReviewer()) {
+      showAlert(`🚨 ${flightNumber}: ${escapeHtml(alert.message)}`, alert.severity === 'error' ? 'error' : 'warning');
+    }
+  });
+  
+  on('zone_change', () => loadZones());
+  on('restriction_change', () => loadTemporaryRestrictions());
+  
+  on('aircraft', ({ airplanes }) => updateAirplaneTraffic(airplanes));
+  
+  if (!state.realtimeMoveHandler) {
+    // Resubscribe once the view leaves the subscribed box
+    state.realtimeMoveHandler = () => {
+      if (!state.realtime || !state.realtimeBounds) return;
+      const [west, south, east, north] = state.realtimeBounds.map(Number);
+      const view = state.map.getBounds();
+      if (view.getWest() < west || view.getSouth() < south || view.getEast() > east || view.getNorth() > north) {
+        connectRealtime();
+      }
+    };
+    state.map.on('moveend', state.realtimeMoveHandler);
+  }
+}
+
+function disconnectRealtime() {
+  if (state.realtime) {
+    state.realtime.close();
+    state.realtime = null;
   }
 }
 
@@ -2090,3 +2951,6 @@ document.addEventListener('DOMContentLoaded', () => {
 
 window.removeWaypoint = removeWaypoint;
 window.showFlightOnMap = showFlightOnMap;
+window.reviewFlight = reviewFlight;
+window.retireDrone = retireDrone;
+window.verifyLicense = verifyLicense;
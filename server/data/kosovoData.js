@@ -1,6 +1,20 @@
 // Kosovo Geographic Data and Restricted Zones
 // Border coordinates from: https://github.com/glynnbird/countriesgeojson/blob/master/kosovo.geojson
 
+import {
+  createProjection,
+  areaToShape,
+  zoneToShapes,
+  mergeIntervals,
+  segmentShapeIntervals,
+  segmentPolygonIntervals,
+  pointShapeDistance,
+  closestPointOnShape,
+  shapesIntersect,
+  overlapPoint,
+  findPointOutsideRing
+} from '../services/geometry.js';
+
 export const KOSOVO_BOUNDS = {
   north: 43.2674,
   south: 41.8557,
@@ -19320,6 +19334,18 @@ export const AIRPORTS = [
 ];
 
 // Restricted zones (government, military, police, sensitive)
+// Zones are circles (position + radius) unless `shape` says otherwise:
+// - shape 'polygon': `polygon` is a ring of { lat, lng } points
+// - shape 'multipolygon': `polygons` is a list of such rings
+// Polygon zones keep `position` as their reference point for labels and distances.
+//
+// Vertically a zone restricts everything above `maxAltitude` (0 = no-fly), unless
+// it defines a `volume` restricting only the band between floor and ceiling:
+// - reference: 'AGL' (above ground) or 'AMSL' (above mean sea level, uses elevationM
+//   as ground elevation when no better value is known)
+// - floor / ceiling in meters; ceiling null = unlimited
+// - floorGradient: floor rises by this much per meter of distance from `position`
+//   (sloping approach surfaces)
 export const RESTRICTED_ZONES = [
   // Government Buildings - Pristina
   {
@@ -19373,10 +19399,19 @@ export const RESTRICTED_ZONES = [
     id: 'MIL-001',
     name: 'Camp Bondsteel',
     type: 'military',
+    shape: 'polygon',
     position: { lat: 42.3678, lng: 21.2436 },
-    radius: 3000,
+    polygon: [
+      { lat: 42.3860, lng: 21.2300 },
+      { lat: 42.3870, lng: 21.2560 },
+      { lat: 42.3760, lng: 21.2680 },
+      { lat: 42.3560, lng: 21.2650 },
+      { lat: 42.3480, lng: 21.2480 },
+      { lat: 42.3520, lng: 21.2260 },
+      { lat: 42.3680, lng: 21.2170 }
+    ],
     maxAltitude: 0,
-    description: 'US Army base - KFOR headquarters'
+    description: 'US Army base - KFOR headquarters (perimeter plus buffer)'
   },
   {
     id: 'MIL-002',
@@ -19446,6 +19481,44 @@ export const RESTRICTED_ZONES = [
     description: 'German Embassy'
   },
   
+  // Airport approach funnels (runway axis beyond the circular no-fly zone)
+  {
+    id: 'APP-001',
+    name: 'Prishtina Airport Approach Funnels',
+    type: 'airport',
+    shape: 'multipolygon',
+    position: { lat: 42.5728, lng: 21.0358 },
+    polygons: [
+      [ // Runway 17 approach (from the north)
+        { lat: 42.6030, lng: 21.0224 },
+        { lat: 42.6589, lng: 20.9966 },
+        { lat: 42.6636, lng: 21.0326 },
+        { lat: 42.6045, lng: 21.0344 }
+      ],
+      [ // Runway 35 approach (from the south)
+        { lat: 42.5426, lng: 21.0492 },
+        { lat: 42.4867, lng: 21.0750 },
+        { lat: 42.4820, lng: 21.0390 },
+        { lat: 42.5411, lng: 21.0372 }
+      ]
+    ],
+    maxAltitude: 0,
+    volume: { reference: 'AGL', floor: 0, ceiling: null, floorGradient: 0.02 }, // 2% approach surface from the airport reference point
+    description: 'Final approach and climb-out surfaces out to 10km along runway 17/35'
+  },
+  
+  // Helicopter operations
+  {
+    id: 'HEL-001',
+    name: 'UCCK Hospital Helipad',
+    type: 'infrastructure',
+    position: { lat: 42.6440, lng: 21.1640 },
+    radius: 400,
+    maxAltitude: 60,
+    volume: { reference: 'AGL', floor: 60, ceiling: 150 },
+    description: 'Air ambulance arrival and departure airspace (60-150m AGL)'
+  },
+  
   // Critical Infrastructure
   {
     id: 'INF-001',
@@ -19555,18 +19628,24 @@ export const KCAA_REGULATIONS = {
     open: { maxWeight: 25, requirements: ['registration', 'basic-training'] },
     specific: { maxWeight: 150, requirements: ['registration', 'advanced-training', 'authorization'] },
     certified: { maxWeight: null, requirements: ['registration', 'pilot-license', 'type-certificate'] }
+  },
+  // Pilot licence types and the competency requirements each one satisfies
+  pilotLicenseTypes: {
+    basic: ['basic-training'],
+    advanced: ['basic-training', 'advanced-training'],
+    professional: ['basic-training', 'advanced-training', 'pilot-license']
   }
 };
 
-// Function to check if point is within Kosovo
-export function isWithinKosovo(lat, lng) {
+// Check if point is inside a polygon ring of { lat, lng } points
+export function isPointInPolygon(lat, lng, polygon) {
   // Ray casting algorithm for point in polygon
   let inside = false;
-  const n = KOSOVO_BORDER.length;
+  const n = polygon.length;
   
   for (let i = 0, j = n - 1; i < n; j = i++) {
-    const xi = KOSOVO_BORDER[i].lng, yi = KOSOVO_BORDER[i].lat;
-    const xj = KOSOVO_BORDER[j].lng, yj = KOSOVO_BORDER[j].lat;
+    const xi = polygon[i].lng, yi = polygon[i].lat;
+    const xj = polygon[j].lng, yj = polygon[j].lat;
     
     if (((yi > lat) !== (yj > lat)) && (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi)) {
       inside = !inside;
@@ -19576,6 +19655,11 @@ export function isWithinKosovo(lat, lng) {
   return inside;
 }
 
+// Function to check if point is within Kosovo
+export function isWithinKosovo(lat, lng) {
+  return isPointInPolygon(lat, lng, KOSOVO_BORDER);
+}
+
 // Function to calculate distance between two points (Haversine formula)
 export function calculateDistance(lat1, lng1, lat2, lng2) {
   const R = 6371000; // Earth's radius in meters
@@ -19592,44 +19676,336 @@ export function calculateDistance(lat1, lng1, lat2, lng2) {
   return R * c;
 }
 
+// Average of a ring's vertices, used as the reference point of polygon zones
+export function getRingCenter(ring) {
+  return {
+    lat: ring.reduce((sum, p) => sum + p.lat, 0) / ring.length,
+    lng: ring.reduce((sum, p) => sum + p.lng, 0) / ring.length
+  };
+}
+
+// Get the polygon rings of a polygon or multipolygon zone (empty for circles)
+export function getZonePolygons(zone) {
+  if (zone.shape === 'polygon') return [zone.polygon];
+  if (zone.shape === 'multipolygon') return zone.polygons;
+  return [];
+}
+
+// Check if point is inside a zone of any shape
+export function isPointInZone(lat, lng, zone) {
+  if (zone.shape === 'polygon' || zone.shape === 'multipolygon') {
+    return getZonePolygons(zone).some(ring => isPointInPolygon(lat, lng, ring));
+  }
+  const radius = zone.restrictedRadius || zone.radius;
+  return calculateDistance(lat, lng, zone.position.lat, zone.position.lng) <= radius;
+}
+
+// Get the restricted volume of a zone; zones without a volume restrict above maxAltitude
+export function getZoneVolume(zone) {
+  if (zone.volume) {
+    const { reference, floor, ceiling, floorGradient, severity } = zone.volume;
+    return {
+      reference: reference || 'AGL',
+      floor: floor ?? 0,
+      ceiling: ceiling ?? null,
+      floorGradient: floorGradient || 0,
+      severity: severity || 'error'
+    };
+  }
+  return {
+    reference: 'AGL',
+    floor: zone.maxAltitude,
+    ceiling: null,
+    floorGradient: 0,
+    severity: zone.maxAltitude === 0 ? 'error' : 'warning'
+  };
+}
+
+// Restricted altitude band of a zone at a point, in meters AGL
+export function getZoneAltitudeBand(zone, lat, lng, groundElevation = null) {
+  const volume = getZoneVolume(zone);
+  let floor = volume.floor;
+  let ceiling = volume.ceiling;
+  
+  if (volume.floorGradient) {
+    floor += volume.floorGradient * calculateDistance(lat, lng, zone.position.lat, zone.position.lng);
+  }
+  
+  if (volume.reference === 'AMSL') {
+    const ground = groundElevation ?? zone.elevationM ?? 0;
+    floor = Math.max(0, floor - ground);
+    ceiling = ceiling === null ? null : ceiling - ground;
+  }
+  
+  return { floor, ceiling, reference: volume.reference, sloped: volume.floorGradient > 0, severity: volume.severity };
+}
+
+// Describe a zone's restriction for violation messages
+function describeAltitudeBand(band) {
+  if (band.floor <= 0 && band.ceiling === null) return 'No-fly zone';
+  if (band.sloped) return `Approach surface at ${Math.round(band.floor)}m AGL here`;
+  if (band.ceiling === null) return `Max altitude ${Math.round(band.floor)}m`;
+  return `Restricted between ${Math.max(0, Math.round(band.floor))}m and ${Math.round(band.ceiling)}m AGL`;
+}
+
+const isInAltitudeBand = (altitude, band) => altitude > band.floor && (band.ceiling === null || altitude <= band.ceiling);
+
+function airportViolation(airport, distance, restricted) {
+  if (restricted) {
+    return {
+      type: 'airport_restricted',
+      zone: airport,
+      distance,
+      severity: 'error',
+      message: `Within ${airport.name} restricted zone (${Math.round(distance)}m from airport, limit: ${airport.restrictedRadius}m)`
+    };
+  }
+  return {
+    type: 'airport_caution',
+    zone: airport,
+    distance,
+    severity: 'warning',
+    message: `Within ${airport.name} caution zone - max altitude 50m AGL`
+  };
+}
+
+function zoneViolation(zone, distance, altitude, band) {
+  return {
+    type: 'restricted_zone',
+    zone,
+    distance,
+    altitude,
+    band,
+    severity: band.severity,
+    message: `${zone.name}: ${describeAltitudeBand(band)}`
+  };
+}
+
+// Zones checked by checkRestrictedZone, given the { north, south, east, west }
+// box being checked; the zone store (services/zoneStore.js) replaces the
+// bundled arrays with its live, admin-managed zones and only returns those
+// whose extent overlaps the box
+let zoneSource = (bounds) => ({ airports: AIRPORTS, restrictedZones: RESTRICTED_ZONES });
+
+export function setZoneSource(source) {
+  zoneSource = source;
+}
+
 // Check if point is in restricted zone
-export function checkRestrictedZone(lat, lng, altitude = 0) {
+// altitude is meters AGL; groundElevation (meters AMSL) refines AMSL-referenced zones
+export function checkRestrictedZone(lat, lng, altitude = 0, groundElevation = null) {
   const violations = [];
+  const { airports, restrictedZones } = zoneSource({ north: lat, south: lat, east: lng, west: lng });
   
   // Check airports
-  for (const airport of AIRPORTS) {
+  for (const airport of airports) {
     const distance = calculateDistance(lat, lng, airport.position.lat, airport.position.lng);
     if (distance <= airport.restrictedRadius) {
-      violations.push({
-        type: 'airport_restricted',
-        zone: airport,
-        distance,
-        severity: 'error',
-        message: `Within ${airport.name} restricted zone (${Math.round(distance)}m from airport, limit: ${airport.restrictedRadius}m)`
-      });
+      violations.push(airportViolation(airport, distance, true));
     } else if (distance <= airport.cautionRadius) {
-      violations.push({
-        type: 'airport_caution',
-        zone: airport,
-        distance,
-        severity: 'warning',
-        message: `Within ${airport.name} caution zone - max altitude 50m AGL`
-      });
+      violations.push(airportViolation(airport, distance, false));
     }
   }
   
   // Check restricted zones
-  for (const zone of RESTRICTED_ZONES) {
-    const distance = calculateDistance(lat, lng, zone.position.lat, zone.position.lng);
-    if (distance <= zone.radius) {
-      if (altitude > zone.maxAltitude) {
-        violations.push({
-          type: 'restricted_zone',
-          zone,
-          distance,
-          severity: zone.maxAltitude === 0 ? 'error' : 'warning',
-          message: `${zone.name}: ${zone.maxAltitude === 0 ? 'No-fly zone' : `Max altitude ${zone.maxAltitude}m`}`
-        });
+  for (const zone of restrictedZones) {
+    if (isPointInZone(lat, lng, zone)) {
+      const distance = calculateDistance(lat, lng, zone.position.lat, zone.position.lng);
+      const band = getZoneAltitudeBand(zone, lat, lng, groundElevation);
+      if (isInAltitudeBand(altitude, band)) {
+        violations.push(zoneViolation(zone, distance, altitude, band));
+      }
+    }
+  }
+  
+  return violations;
+}
+
+// ---------- Path checks ----------
+// Straight legs are intersected exactly with zone and border shapes on a local
+// projection (services/geometry.js), so a leg that clips a zone between two
+// waypoints is caught however short the clipped stretch is.
+
+const ZONE_STEP_DISTANCE = 50; // meters between altitude band checks inside a zone
+
+const interpolate = (a, b, t) => (a == null || b == null ? (a ?? b ?? null) : a + t * (b - a));
+
+// Point at fraction t of the straight leg between two { lat, lng, altitude, groundElevation } points
+function pointAlong(from, to, t) {
+  return {
+    lat: from.lat + t * (to.lat - from.lat),
+    lng: from.lng + t * (to.lng - from.lng),
+    altitude: interpolate(from.altitude, to.altitude, t) ?? 0,
+    groundElevation: interpolate(from.groundElevation, to.groundElevation, t)
+  };
+}
+
+// Fractions of a leg inside a zone's footprint (or a circle of another radius around it)
+function legZoneIntervals(zone, from, to, radius) {
+  const projection = createProjection(from.lat, from.lng);
+  const a = projection.toXY(from.lat, from.lng);
+  const b = projection.toXY(to.lat, to.lng);
+  return mergeIntervals(zoneToShapes(zone, projection, radius).flatMap(shape => segmentShapeIntervals(a, b, shape)));
+}
+
+// The border ring projected once; the projection is linear in lat/lng, so
+// which side of the border a point is on does not depend on where it is centred
+let projectedBorder = null;
+function getProjectedBorder() {
+  if (!projectedBorder) {
+    const projection = createProjection(KOSOVO_BOUNDS.center.lat, KOSOVO_BOUNDS.center.lng);
+    projectedBorder = { projection, ring: KOSOVO_BORDER.map(p => projection.toXY(p.lat, p.lng)) };
+  }
+  return projectedBorder;
+}
+
+// First point where a straight leg is outside Kosovo, or null if it stays inside
+export function findBorderCrossing(from, to) {
+  const { projection, ring } = getProjectedBorder();
+  const inside = segmentPolygonIntervals(projection.toXY(from.lat, from.lng), projection.toXY(to.lat, to.lng), ring);
+  if (inside.length === 1 && inside[0][0] === 0 && inside[0][1] === 1) return null;
+  return pointAlong(from, to, inside.length > 0 && inside[0][0] === 0 ? inside[0][1] : 0);
+}
+
+// First point of a straight leg (altitudes AGL, changing linearly) inside a
+// zone's restricted volume, with the zone's altitude band there; null if clear
+export function findZoneEntry(zone, from, to) {
+  const length = calculateDistance(from.lat, from.lng, to.lat, to.lng);
+  
+  for (const [t0, t1] of legZoneIntervals(zone, from, to)) {
+    // Floors can slope or follow the ground, so step through the zone and
+    // also catch climbs or descents straight through the band between steps
+    const steps = Math.max(1, Math.ceil((t1 - t0) * length / ZONE_STEP_DISTANCE));
+    let prev = null;
+    for (let i = 0; i <= steps; i++) {
+      const t = t0 + (t1 - t0) * i / steps;
+      const point = pointAlong(from, to, t);
+      const band = getZoneAltitudeBand(zone, point.lat, point.lng, point.groundElevation);
+      if (isInAltitudeBand(point.altitude, band)) return { ...point, band };
+      
+      if (prev && band.ceiling !== null) {
+        const climbs = prev.point.altitude <= prev.band.floor && point.altitude > band.ceiling;
+        const descends = prev.point.altitude > prev.band.ceiling && point.altitude <= band.floor;
+        if (climbs || descends) {
+          const level = climbs ? band.floor : band.ceiling;
+          const f = (level - prev.point.altitude) / (point.altitude - prev.point.altitude);
+          const crossing = pointAlong(from, to, prev.t + f * (t - prev.t));
+          return { ...crossing, band };
+        }
+      }
+      prev = { t, point, band };
+    }
+  }
+  return null;
+}
+
+// Check a straight leg between two points against every zone it passes through
+// from and to are { lat, lng, altitude (meters AGL), groundElevation }; each
+// violation carries the location where the leg first enters the zone
+export function checkSegmentRestrictedZone(from, to) {
+  const violations = [];
+  const { airports, restrictedZones } = zoneSource({
+    north: Math.max(from.lat, to.lat),
+    south: Math.min(from.lat, to.lat),
+    east: Math.max(from.lng, to.lng),
+    west: Math.min(from.lng, to.lng)
+  });
+  
+  for (const airport of airports) {
+    const restricted = legZoneIntervals(airport, from, to, airport.restrictedRadius);
+    const inside = restricted.length > 0 ? restricted : legZoneIntervals(airport, from, to, airport.cautionRadius);
+    if (inside.length === 0) continue;
+    const { lat, lng } = pointAlong(from, to, inside[0][0]);
+    const distance = calculateDistance(lat, lng, airport.position.lat, airport.position.lng);
+    violations.push({ ...airportViolation(airport, distance, restricted.length > 0), location: { lat, lng } });
+  }
+  
+  for (const zone of restrictedZones) {
+    const entry = findZoneEntry(zone, from, to);
+    if (!entry) continue;
+    const distance = calculateDistance(entry.lat, entry.lng, zone.position.lat, zone.position.lng);
+    violations.push({ ...zoneViolation(zone, distance, entry.altitude, entry.band), location: { lat: entry.lat, lng: entry.lng } });
+  }
+  
+  return violations;
+}
+
+// ---------- Operation area checks ----------
+// An area flight may be anywhere in its circle, rectangle, polygon or corridor,
+// from the ground up to its maximum altitude, so the whole shape is checked,
+// not just its centre.
+
+// Bounding box of an operation area of any type
+export function getAreaBounds(area) {
+  let points = [area.center];
+  let margin = area.radius || 0;
+  if (area.type === 'polygon') {
+    points = area.polygon;
+    margin = 0;
+  } else if (area.type === 'corridor') {
+    points = area.path;
+    margin = (area.width || 0) / 2;
+  } else if (area.type !== 'circle' && area.bounds?.north !== undefined) {
+    return { ...area.bounds };
+  }
+  
+  const dLat = margin / 111320;
+  const dLng = dLat / Math.cos(area.center.lat * Math.PI / 180);
+  return {
+    north: Math.max(...points.map(p => p.lat)) + dLat,
+    south: Math.min(...points.map(p => p.lat)) - dLat,
+    east: Math.max(...points.map(p => p.lng)) + dLng,
+    west: Math.min(...points.map(p => p.lng)) - dLng
+  };
+}
+
+// A point of an operation area outside Kosovo (on the border where the area
+// straddles it), or null if the whole area is inside
+export function findAreaBorderExit(area) {
+  const projection = createProjection(area.center.lat, area.center.lng);
+  const border = KOSOVO_BORDER.map(p => projection.toXY(p.lat, p.lng));
+  const point = findPointOutsideRing(areaToShape(area, projection), border);
+  return point ? projection.toLatLng(point.x, point.y) : null;
+}
+
+// Check a whole operation area, flown up to altitude (meters AGL), against
+// every zone it overlaps; each violation carries a point of the overlap
+export function checkAreaRestrictedZone(area, altitude = 0) {
+  const violations = [];
+  const projection = createProjection(area.center.lat, area.center.lng);
+  const areaShape = areaToShape(area, projection);
+  const toLocation = ({ x, y }) => projection.toLatLng(x, y);
+  const { airports, restrictedZones } = zoneSource(getAreaBounds(area));
+  
+  for (const airport of airports) {
+    const airportCenter = projection.toXY(airport.position.lat, airport.position.lng);
+    const distance = pointShapeDistance(airportCenter, areaShape);
+    if (distance > airport.cautionRadius) continue;
+    const restricted = distance <= airport.restrictedRadius;
+    violations.push({
+      ...airportViolation(airport, distance, restricted),
+      location: toLocation(closestPointOnShape(airportCenter, areaShape)),
+      message: restricted
+        ? `Operation area overlaps ${airport.name} restricted zone (comes within ${Math.round(distance)}m of the airport, limit: ${airport.restrictedRadius}m)`
+        : `Operation area overlaps ${airport.name} caution zone - max altitude 50m AGL`
+    });
+  }
+  
+  for (const zone of restrictedZones) {
+    const zoneCenter = projection.toXY(zone.position.lat, zone.position.lng);
+    for (const shape of zoneToShapes(zone, projection)) {
+      if (!shapesIntersect(areaShape, shape)) continue;
+      
+      // Floors are lowest nearest the zone's reference point (sloped approach
+      // surfaces), so check the overlap there
+      const nearest = closestPointOnShape(zoneCenter, areaShape);
+      const point = toLocation(pointShapeDistance(nearest, shape) === 0 ? nearest : overlapPoint(areaShape, shape));
+      const band = getZoneAltitudeBand(zone, point.lat, point.lng);
+      if (altitude > band.floor && (band.ceiling === null || band.ceiling > 0)) {
+        const distance = calculateDistance(point.lat, point.lng, zone.position.lat, zone.position.lng);
+        const violation = zoneViolation(zone, distance, altitude, band);
+        violations.push({ ...violation, location: point, message: `Operation area overlaps ${violation.message}` });
+        break;
       }
     }
   }
@@ -19645,7 +20021,20 @@ export default {
   URBAN_AREAS,
   TERRAIN_DATA,
   KCAA_REGULATIONS,
+  isPointInPolygon,
   isWithinKosovo,
   calculateDistance,
-  checkRestrictedZone
+  getRingCenter,
+  getZonePolygons,
+  isPointInZone,
+  getZoneVolume,
+  getZoneAltitudeBand,
+  setZoneSource,
+  checkRestrictedZone,
+  findBorderCrossing,
+  findZoneEntry,
+  checkSegmentRestrictedZone,
+  getAreaBounds,
+  findAreaBorderExit,
+  checkAreaRestrictedZone
 };
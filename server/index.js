@@ -15,6 +15,17 @@ import simulationRoutes from './routes/simulation.js';
 import zonesRoutes from './routes/zones.js';
 import airplaneRoutes from './routes/airplanes.js';
 import statsRoutes from './routes/stats.js';
+import droneRoutes from './routes/drones.js';
+import realtimeRoutes from './routes/realtime.js';
+import { createAircraftFeed } from './routes/airplanes.js';
+import { simulationEngine } from './routes/simulation.js';
+import { inMemoryFlights } from './routes/flights.js';
+
+// Services
+import { createExpiryScheduler } from './services/flightExpiry.js';
+import { initZoneStore } from './services/zoneStore.js';
+import { initFlightIndex } from './services/flightIndex.js';
+import { getTerrainInfo } from './services/terrain.js';
 
 dotenv.config();
 
@@ -41,6 +52,8 @@ app.use('/api/simulation', simulationRoutes);
 app.use('/api/zones', zonesRoutes);
 app.use('/api/airplanes', airplaneRoutes);
 app.use('/api/stats', statsRoutes);
+app.use('/api/drones', droneRoutes);
+app.use('/api/realtime', realtimeRoutes);
 
 // Serve static files from client
 app.use(express.static(path.join(__dirname, '../client/public')));
@@ -83,8 +96,27 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Background expiry of stale pending/approved flights
+const expiryScheduler = createExpiryScheduler({
+  flights: inMemoryFlights,
+  simulationNow: simulationEngine.now,
+  intervalMs: (parseInt(process.env.FLIGHT_EXPIRY_INTERVAL_SECONDS) || 60) * 1000,
+  approvedGraceMinutes: parseInt(process.env.FLIGHT_EXPIRY_GRACE_MINUTES) || 30
+});
+
+// Real-time push of manned traffic to subscribed clients
+const aircraftFeed = createAircraftFeed();
+
 // Start server
-connectDB().then(() => {
+connectDB().then(async () => {
+  await initZoneStore();
+  await initFlightIndex();
+  if (getTerrainInfo().approximate) {
+    console.log('⚠️  Terrain: bundled approximate grid, AGL checks are advisory until TERRAIN_HGT_DIR is set');
+  }
+  expiryScheduler.start();
+  aircraftFeed.start();
+  if (process.env.SIMULATION_AUTOSTART !== 'false') simulationEngine.start();
   app.listen(PORT, () => {
     console.log(`
 ╔══════════════════════════════════════════════════════════════╗
@@ -1,4 +1,8 @@
 import mongoose from 'mongoose';
+import { FLIGHT_STATUSES, canTransition, describeIllegalTransition } from '../services/flightStatus.js';
+import { DRONE_CATEGORIES } from '../services/droneCategory.js';
+import { ALTITUDE_REFERENCES } from '../services/terrain.js';
+import { ALERT_TYPES } from '../services/alertTypes.js';
 
 const waypointSchema = new mongoose.Schema({
   lat: { type: Number, required: true },
@@ -7,8 +11,15 @@ const waypointSchema = new mongoose.Schema({
   order: { type: Number, required: true }
 }, { _id: false });
 
+const pointSchema = new mongoose.Schema({
+  lat: { type: Number, required: true },
+  lng: { type: Number, required: true }
+}, { _id: false });
+
+export const OPERATION_AREA_TYPES = ['circle', 'rectangle', 'polygon', 'corridor'];
+
 const operationAreaSchema = new mongoose.Schema({
-  type: { type: String, enum: ['circle', 'rectangle'], required: true },
+  type: { type: String, enum: OPERATION_AREA_TYPES, required: true },
   center: {
     lat: { type: Number, required: true },
     lng: { type: Number, required: true }
@@ -19,10 +30,14 @@ const operationAreaSchema = new mongoose.Schema({
     south: Number,
     east: Number,
     west: Number
-  }
+  },
+  polygon: { type: [pointSchema], default: undefined }, // for polygons (ring, not closed)
+  path: { type: [pointSchema], default: undefined }, // for corridors (centre line)
+  width: Number // for corridors: full width in meters, centred on the path
 }, { _id: false });
 
 const droneSchema = new mongoose.Schema({
+  droneId: String, // registered drone (User.registeredDrones) this flight uses
   type: String,
   model: String,
   manufacturer: String,
@@ -32,7 +47,8 @@ const droneSchema = new mongoose.Schema({
   maxSpeed: Number,
   maxAltitude: Number,
   maxFlightTime: Number,
-  isDIY: { type: Boolean, default: false }
+  isDIY: { type: Boolean, default: false },
+  category: { type: String, enum: DRONE_CATEGORIES } // KCAA category derived from weight
 }, { _id: false });
 
 const validationCheckSchema = new mongoose.Schema({
@@ -86,6 +102,11 @@ const flightSchema = new mongoose.Schema({
     required: true,
     max: 120
   },
+  altitudeReference: { // what waypoint altitudes are measured from
+    type: String,
+    enum: ALTITUDE_REFERENCES,
+    default: 'AGL'
+  },
   estimatedSpeed: Number,
   estimatedDistance: Number, // meters
   
@@ -100,7 +121,7 @@ const flightSchema = new mongoose.Schema({
   // Status tracking
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'active', 'completed', 'cancelled', 'expired'],
+    enum: FLIGHT_STATUSES,
     default: 'pending'
   },
   statusHistory: [{
@@ -114,7 +135,8 @@ const flightSchema = new mongoose.Schema({
   validation: {
     isValid: Boolean,
     checks: [validationCheckSchema],
-    validatedAt: Date
+    validatedAt: Date,
+    zoneRevision: Number // zone store revision the checks ran against
   },
   
   // Conflict detection
@@ -154,6 +176,25 @@ const flightSchema = new mongoose.Schema({
     speed: Number,
     updatedAt: Date
   },
+  // Conformance alerts raised while active (services/conformanceMonitor.js)
+  alerts: [{
+    key: String, // e.g. 'deviation:route', 'zone_incursion:GOV-001'
+    type: { type: String, enum: ALERT_TYPES },
+    severity: String,
+    message: String,
+    value: Number,
+    limit: Number,
+    zoneId: String,
+    zoneName: String,
+    position: {
+      lat: Number,
+      lng: Number,
+      altitude: Number
+    },
+    raisedAt: Date,
+    lastSeenAt: Date,
+    clearedAt: Date
+  }],
   telemetryLog: [{
     timestamp: Date,
     lat: Number,
@@ -170,6 +211,20 @@ const flightSchema = new mongoose.Schema({
   },
   reviewedAt: Date,
   reviewNotes: String,
+  reviewDecision: {
+    type: String,
+    enum: ['approved', 'rejected', 'changes_requested']
+  },
+  
+  // Temporary restrictions created after approval that this flight intersects
+  restrictionFlags: [{
+    restrictionId: String,
+    name: String,
+    reason: String,
+    startTime: Date,
+    endTime: Date,
+    flaggedAt: { type: Date, default: Date.now }
+  }],
   
   // Flags
   isSimulated: { type: Boolean, default: false },
@@ -223,8 +278,11 @@ flightSchema.statics.findConflicts = async function(flightData, excludeId = null
   return potentialConflicts;
 };
 
-// Update status with history
+// Update status with history (only legal transitions, see services/flightStatus.js)
 flightSchema.methods.updateStatus = function(newStatus, changedBy, reason) {
+  if (!canTransition(this.status, newStatus)) {
+    return Promise.reject(new Error(describeIllegalTransition(this.status, newStatus)));
+  }
   this.status = newStatus;
   this.statusHistory.push({
     status: newStatus,
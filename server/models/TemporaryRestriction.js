@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+export const RESTRICTION_REASONS = ['event', 'vip', 'firefighting', 'emergency', 'security', 'other'];
+
+const pointSchema = new mongoose.Schema({
+  lat: { type: Number, required: true },
+  lng: { type: Number, required: true }
+}, { _id: false });
+
+// Temporary flight restriction (TFR/NOTAM-style zone)
+// Geometry follows RESTRICTED_ZONES: a circle (position + radius) or a polygon ring.
+const temporaryRestrictionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  reason: {
+    type: String,
+    enum: RESTRICTION_REASONS,
+    required: true
+  },
+  description: String,
+
+  // Geometry
+  shape: {
+    type: String,
+    enum: ['circle', 'polygon'],
+    default: 'circle'
+  },
+  position: { type: pointSchema, required: true }, // circle centre or polygon reference point
+  radius: Number, // meters, circles only
+  polygon: [pointSchema],
+
+  // Vertical limits (see getZoneVolume in kosovoData.js)
+  maxAltitude: { type: Number, default: 0 },
+  volume: {
+    reference: { type: String, enum: ['AGL', 'AMSL'] },
+    floor: Number,
+    ceiling: Number
+  },
+
+  // Validity window
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+temporaryRestrictionSchema.index({ status: 1, startTime: 1, endTime: 1 });
+
+const TemporaryRestriction = mongoose.model('TemporaryRestriction', temporaryRestrictionSchema);
+
+export default TemporaryRestriction;
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { KCAA_REGULATIONS } from '../data/kosovoData.js';
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -34,19 +35,29 @@ const userSchema = new mongoose.Schema({
   },
   pilotLicense: {
     number: String,
-    type: String,
+    type: { type: String, enum: Object.keys(KCAA_REGULATIONS.pilotLicenseTypes) },
     issuedBy: String,
     issuedDate: Date,
     expiryDate: Date,
-    verified: { type: Boolean, default: false }
+    verified: { type: Boolean, default: false },
+    verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    verifiedAt: Date,
+    verificationNotes: String
   },
   registeredDrones: [{
     serialNumber: String,
     registrationNumber: String,
+    type: { type: String },
     model: String,
     manufacturer: String,
     weight: Number,
-    addedAt: { type: Date, default: Date.now }
+    maxSpeed: Number,
+    maxAltitude: Number,
+    maxFlightTime: Number,
+    isDIY: { type: Boolean, default: false },
+    status: { type: String, enum: ['active', 'retired'], default: 'active' },
+    addedAt: { type: Date, default: Date.now },
+    retiredAt: Date
   }],
   agreedToTerms: {
     type: Boolean,
@@ -105,6 +116,7 @@ userSchema.methods.toPublicJSON = function() {
     phone: this.phone,
     organization: this.organization,
     role: this.role,
+    pilotLicense: this.pilotLicense,
     agreedToTerms: this.agreedToTerms,
     statistics: this.statistics,
     registeredDrones: this.registeredDrones,
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+export const ZONE_CATEGORIES = ['airport', 'restricted'];
+
+const pointSchema = new mongoose.Schema({
+  lat: { type: Number, required: true },
+  lng: { type: Number, required: true }
+}, { _id: false });
+
+// Airport or restricted zone, seeded from AIRPORTS and RESTRICTED_ZONES in kosovoData.js
+// Field names match the bundled data so the zone store can serve either source.
+const zoneSchema = new mongoose.Schema({
+  zoneId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: ZONE_CATEGORIES,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: String, // government, military, airport, heritage, ... (international/domestic for airports)
+  description: String,
+
+  // Geometry
+  shape: {
+    type: String,
+    enum: ['circle', 'polygon', 'multipolygon'],
+    default: 'circle'
+  },
+  position: { type: pointSchema, required: true },
+  radius: Number,
+  polygon: { type: [pointSchema], default: undefined },
+  polygons: mongoose.Schema.Types.Mixed, // list of { lat, lng } rings
+
+  // Vertical limits
+  maxAltitude: Number,
+  volume: {
+    reference: { type: String, enum: ['AGL', 'AMSL'] },
+    floor: Number,
+    ceiling: Number,
+    floorGradient: Number
+  },
+
+  // Airport details
+  icao: String,
+  runwayHeading: Number,
+  restrictedRadius: Number,
+  cautionRadius: Number,
+  elevationM: Number,
+
+  version: { type: Number, default: 1 }
+}, {
+  timestamps: true
+});
+
+const Zone = mongoose.model('Zone', zoneSchema);
+
+export default Zone;
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// One entry per change to the zone store; `revision` increases by one per change
+const zoneRevisionSchema = new mongoose.Schema({
+  revision: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  action: {
+    type: String,
+    enum: ['seed', 'create', 'update', 'delete'],
+    required: true
+  },
+  zoneId: String, // not set for the initial seed
+  zoneVersion: Number,
+  snapshot: mongoose.Schema.Types.Mixed, // zone after the change (before it, for deletes)
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: { type: Date, default: Date.now }
+});
+
+const ZoneRevision = mongoose.model('ZoneRevision', zoneRevisionSchema);
+
+export default ZoneRevision;
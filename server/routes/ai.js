@@ -7,6 +7,11 @@ import {
   KCAA_REGULATIONS 
 } from '../data/kosovoData.js';
 import { inMemoryFlights } from './flights.js';
+import { CONFLICT_STATUSES, findNearbyFlightIds } from '../services/flightIndex.js';
+import { MIN_TERRAIN_CLEARANCE, getGroundElevation, profilePath, summarizeProfile } from '../services/terrain.js';
+import { planRouteAround } from '../services/routePlanner.js';
+import { ROUTE_COSTS, optimizeMission } from '../services/missionOptimizer.js';
+import { createEnergyModel, estimateRoute, assessFeasibility } from '../services/energyModel.js';
 
 const router = express.Router();
 
@@ -14,6 +19,14 @@ const router = express.Router();
 const WEATHER_API_KEY = process.env.WEATHER_API_KEY || 'demo'; // User should set their own key
 const WEATHER_API_BASE = 'https://api.weatherapi.com/v1';
 
+// Battery share (percent) a mission must leave unused to count as feasible
+const BATTERY_RESERVE_PERCENT = parseFloat(process.env.BATTERY_RESERVE_PERCENT ?? 20);
+const WIND_MIN_ALTITUDE = 30; // lowest AGL the wind route descends to
+const MAX_OPTIMIZE_WAYPOINTS = 200; // keeps one optimisation request to a fraction of a second
+
+// Battery share a mission must keep in hand, as a percentage
+const isReservePercent = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+
 // Fetch real weather data from API
 async function fetchRealWeather(lat, lng, date) {
   try {
@@ -148,25 +161,58 @@ function getSimulatedWeather(lat, lng, date) {
   };
 }
 
-// Calculate terrain score
-function calculateTerrainScore(waypoints) {
+// Wind for a flight: the forecast hour nearest the start time when real
+// weather is available, else the current (or simulated) wind
+function getFlightWind(realWeather, simulated, date) {
+  if (!realWeather?.current) {
+    return { speed: simulated.windSpeed, direction: simulated.windDirection, gust: simulated.gustSpeed, source: 'simulation' };
+  }
+  
+  const target = date ? new Date(date).getTime() : Date.now();
+  const hours = realWeather.forecast.flatMap(day => day.hourly);
+  const nearest = hours.reduce((best, h) => {
+    const gap = Math.abs(new Date(h.time.replace(' ', 'T')).getTime() - target);
+    return !best || gap < best.gap ? { hour: h, gap } : best;
+  }, null);
+  
+  if (nearest && nearest.gap <= 3600000) {
+    return { speed: nearest.hour.wind, direction: nearest.hour.windDir, time: nearest.hour.time, source: 'weatherapi.com forecast' };
+  }
+  return { speed: realWeather.current.windSpeed, direction: realWeather.current.windDirection, gust: realWeather.current.gustSpeed, source: 'weatherapi.com' };
+}
+
+// Calculate terrain score from the elevation profile under the route
+function calculateTerrainScore(waypoints, { altitudeReference = 'AGL', defaultAltitude = 100 } = {}) {
   let totalScore = 100;
   const issues = [];
   
-  for (const wp of waypoints) {
-    // Check nearby terrain
-    for (const terrain of TERRAIN_DATA) {
-      const distance = calculateDistance(wp.lat, wp.lng, terrain.position.lat, terrain.position.lng);
-      
-      if (distance < 5000 && terrain.elevation > 1500) {
-        totalScore -= 15;
-        issues.push(`High terrain near waypoint: ${terrain.name} (${terrain.elevation}m)`);
-      } else if (distance < 10000 && terrain.elevation > 2000) {
-        totalScore -= 10;
-        issues.push(`Mountain area nearby: ${terrain.name}`);
-      }
+  const profile = summarizeProfile(profilePath(waypoints, { altitudeReference, defaultAltitude }));
+  
+  if (profile) {
+    if (profile.maxGroundElevation > 1500) {
+      totalScore -= 15;
+      issues.push(`High terrain under route: up to ${profile.maxGroundElevation}m AMSL`);
+    }
+    
+    if (profile.maxGroundElevation - profile.minGroundElevation > 300) {
+      totalScore -= 10;
+      issues.push(`Steep relief: ground varies ${profile.minGroundElevation}-${profile.maxGroundElevation}m along the route`);
     }
     
+    if (profile.minAGL < MIN_TERRAIN_CLEARANCE) {
+      totalScore -= 20;
+      issues.push(`Low terrain clearance: ${profile.minAGL}m AGL ${profile.minAGLAt.distance}m along the route`);
+    }
+    
+    if (profile.maxAGL > KCAA_REGULATIONS.maxAltitudeAGL) {
+      totalScore -= 20;
+      issues.push(`Route climbs to ${profile.maxAGL}m AGL over lower ground, above the ${KCAA_REGULATIONS.maxAltitudeAGL}m limit`);
+    }
+  } else {
+    issues.push('No elevation data for route - terrain not assessed');
+  }
+  
+  for (const wp of waypoints) {
     // Check urban areas
     for (const urban of URBAN_AREAS) {
       const distance = calculateDistance(wp.lat, wp.lng, urban.position.lat, urban.position.lng);
@@ -180,76 +226,62 @@ function calculateTerrainScore(waypoints) {
   
   return {
     score: Math.max(0, Math.min(100, totalScore)),
-    issues
+    issues,
+    elevation: profile ? {
+      minGround: profile.minGroundElevation,
+      maxGround: profile.maxGroundElevation,
+      minAGL: profile.minAGL,
+      maxAGL: profile.maxAGL
+    } : null
   };
 }
 
-// Calculate traffic score
+// Calculate traffic score from flights booked within 2km at an overlapping time
 function calculateTrafficScore(waypoints, scheduledStart, scheduledEnd) {
-  let conflictCount = 0;
   const nearbyFlights = [];
   
-  const startTime = new Date(scheduledStart);
-  const endTime = new Date(scheduledEnd);
-  
-  for (const [id, flight] of flights) {
-    if (['cancelled', 'completed', 'rejected'].includes(flight.status)) continue;
-    
-    const flightStart = new Date(flight.scheduledStart);
-    const flightEnd = new Date(flight.scheduledEnd);
-    
-    // Time overlap check
-    if (startTime < flightEnd && endTime > flightStart) {
-      // Spatial proximity check
-      for (const wp of waypoints) {
-        for (const fwp of (flight.waypoints || [])) {
-          const distance = calculateDistance(wp.lat, wp.lng, fwp.lat, fwp.lng);
-          if (distance < 2000) {
-            conflictCount++;
-            nearbyFlights.push({
-              flightNumber: flight.flightNumber,
-              distance: Math.round(distance),
-              status: flight.status
-            });
-            break;
-          }
-        }
+  for (const id of findNearbyFlightIds({ waypoints, scheduledStart, scheduledEnd }, 2000)) {
+    const flight = inMemoryFlights.get(id);
+    if (!flight || !CONFLICT_STATUSES.includes(flight.status)) continue;
+    
+    // Closest approach between the two routes' waypoints
+    let distance = Infinity;
+    for (const wp of waypoints) {
+      for (const fwp of (flight.waypoints || [])) {
+        distance = Math.min(distance, calculateDistance(wp.lat, wp.lng, fwp.lat, fwp.lng));
       }
     }
+    
+    if (distance < 2000) {
+      nearbyFlights.push({
+        flightNumber: flight.flightNumber,
+        distance: Math.round(distance),
+        status: flight.status
+      });
+    }
   }
   
+  const conflictCount = nearbyFlights.length;
   const score = Math.max(0, 100 - (conflictCount * 20));
   
   return {
     score,
     conflictCount,
-    nearbyFlights: nearbyFlights.slice(0, 5) // Return top 5
+    nearbyFlights: nearbyFlights.sort((a, b) => a.distance - b.distance).slice(0, 5) // Return top 5
   };
 }
 
-// Calculate flight time
-function calculateFlightTime(waypoints, speed) {
-  let totalDistance = 0;
-  
-  for (let i = 0; i < waypoints.length - 1; i++) {
-    totalDistance += calculateDistance(
-      waypoints[i].lat, waypoints[i].lng,
-      waypoints[i + 1].lat, waypoints[i + 1].lng
-    );
-  }
-  
-  // Speed in km/h, distance in meters
-  const speedMps = (speed || 40) * 1000 / 3600; // Convert to m/s
-  const flightTimeSeconds = totalDistance / speedMps;
-  
-  // Add time for takeoff, landing, and turns (30 seconds per waypoint)
-  const additionalTime = waypoints.length * 30;
+// Calculate flight time and battery use with the wind-aware energy model
+function calculateFlightTime(waypoints, model, reservePercent = BATTERY_RESERVE_PERCENT) {
+  const estimate = estimateRoute(waypoints, model);
   
   return {
-    distanceMeters: Math.round(totalDistance),
-    distanceKm: (totalDistance / 1000).toFixed(2),
-    flightTimeMinutes: Math.ceil((flightTimeSeconds + additionalTime) / 60),
-    estimatedBatteryUsage: Math.min(100, Math.round((flightTimeSeconds / 60) * 4)) // ~4% per minute
+    distanceMeters: estimate.distance,
+    distanceKm: (estimate.distance / 1000).toFixed(2),
+    flightTimeMinutes: Math.ceil(estimate.flightTimeMinutes),
+    estimatedBatteryUsage: Math.round(estimate.batteryUsed),
+    segments: estimate.segments,
+    feasibility: assessFeasibility(estimate, model, reservePercent)
   };
 }
 
@@ -292,7 +324,7 @@ function generateAlternativeTimes(scheduledStart, weatherScore) {
 // Get AI recommendations for a flight
 router.post('/recommendations', authenticateToken, async (req, res) => {
   try {
-    const { waypoints, operationArea, scheduledStart, scheduledEnd, drone, maxAltitude } = req.body;
+    const { waypoints, operationArea, scheduledStart, scheduledEnd, drone, maxAltitude, altitudeReference, reservePercent = BATTERY_RESERVE_PERCENT } = req.body;
     
     // Determine points to analyze
     const points = waypoints && waypoints.length > 0 
@@ -307,6 +339,9 @@ router.post('/recommendations', authenticateToken, async (req, res) => {
         message: 'Waypoints or operation area required' 
       });
     }
+    if (!isReservePercent(reservePercent)) {
+      return res.status(400).json({ success: false, message: 'reservePercent must be a number between 0 and 100' });
+    }
     
     // Calculate center point for weather
     const centerLat = points.reduce((sum, p) => sum + p.lat, 0) / points.length;
@@ -323,6 +358,7 @@ router.post('/recommendations', authenticateToken, async (req, res) => {
     } else {
       weather = getSimulatedWeather(centerLat, centerLng, scheduledStart);
     }
+    const wind = getFlightWind(realWeather, weather, scheduledStart);
     
     // Calculate weather score
     let weatherScore = 100;
@@ -354,14 +390,14 @@ router.post('/recommendations', authenticateToken, async (req, res) => {
     weatherScore = Math.max(0, weatherScore);
     
     // Calculate terrain score
-    const terrainAnalysis = calculateTerrainScore(points);
+    const terrainAnalysis = calculateTerrainScore(points, { altitudeReference, defaultAltitude: maxAltitude ?? 100 });
     
     // Calculate traffic score
     const trafficAnalysis = calculateTrafficScore(points, scheduledStart, scheduledEnd);
     
     // Calculate flight metrics
     const flightMetrics = points.length > 1 
-      ? calculateFlightTime(points, drone?.maxSpeed || 40)
+      ? calculateFlightTime(points, createEnergyModel(drone, { wind }), reservePercent)
       : { distanceMeters: 0, distanceKm: 0, flightTimeMinutes: 30, estimatedBatteryUsage: 50 };
     
     // Overall score
@@ -392,7 +428,9 @@ router.post('/recommendations', authenticateToken, async (req, res) => {
       suggestions.push(`🚁 ${trafficAnalysis.conflictCount} other drone(s) operating in the area`);
     }
     
-    if (flightMetrics.estimatedBatteryUsage > 70) {
+    if (flightMetrics.feasibility && !flightMetrics.feasibility.feasible) {
+      suggestions.push(`🔋 Mission not feasible on one battery: ${flightMetrics.feasibility.reason}`);
+    } else if (flightMetrics.estimatedBatteryUsage > 70) {
       suggestions.push('🔋 Consider bringing backup batteries - estimated usage >70%');
     }
     
@@ -418,6 +456,7 @@ router.post('/recommendations', authenticateToken, async (req, res) => {
       estimatedFlightTime: flightMetrics.flightTimeMinutes,
       weather: {
         current: weather,
+        wind,
         suitableForFlight: weatherScore >= 60
       },
       traffic: {
@@ -428,7 +467,8 @@ router.post('/recommendations', authenticateToken, async (req, res) => {
       flightMetrics,
       terrain: {
         score: terrainAnalysis.score,
-        issues: terrainAnalysis.issues
+        issues: terrainAnalysis.issues,
+        elevation: terrainAnalysis.elevation
       }
     };
     
@@ -500,7 +540,7 @@ router.get('/weather', authenticateToken, async (req, res) => {
 
 router.post('/risk-analysis', authenticateToken, async (req, res) => {
   try {
-    const { waypoints, operationArea, scheduledStart, scheduledEnd, drone, maxAltitude } = req.body;
+    const { waypoints, operationArea, scheduledStart, scheduledEnd, drone, maxAltitude, altitudeReference } = req.body;
     
     // Get center point for analysis
     let centerLat, centerLng;
@@ -835,11 +875,20 @@ function analyzeTimeRisk(flightDate) {
 
 router.post('/optimize-route', authenticateToken, async (req, res) => {
   try {
-    const { waypoints, drone, optimizationGoal = 'balanced' } = req.body;
+    const {
+      waypoints, drone, scheduledStart, optimizationGoal = 'balanced', altitudeReference = 'AGL',
+      fixedEnd = false, returnToHome = false, reservePercent = BATTERY_RESERVE_PERCENT
+    } = req.body;
     
-    if (!waypoints || waypoints.length < 2) {
+    if (!Array.isArray(waypoints) || waypoints.length < 2) {
       return res.status(400).json({ success: false, message: 'At least 2 waypoints required' });
     }
+    if (waypoints.length > MAX_OPTIMIZE_WAYPOINTS) {
+      return res.status(400).json({ success: false, message: `At most ${MAX_OPTIMIZE_WAYPOINTS} waypoints can be optimized` });
+    }
+    if (!isReservePercent(reservePercent)) {
+      return res.status(400).json({ success: false, message: 'reservePercent must be a number between 0 and 100' });
+    }
     
     const optimization = {
       originalRoute: waypoints,
@@ -849,22 +898,47 @@ router.post('/optimize-route', authenticateToken, async (req, res) => {
       alternativeRoutes: []
     };
     
-    // 1. SHORTEST PATH OPTIMIZATION (using nearest neighbor heuristic)
-    const shortestPath = optimizeShortestPath([...waypoints]);
+    // Routes are costed with the drone's energy model in the forecast wind
+    const centerLat = waypoints.reduce((sum, p) => sum + p.lat, 0) / waypoints.length;
+    const centerLng = waypoints.reduce((sum, p) => sum + p.lng, 0) / waypoints.length;
+    const realWeather = await fetchRealWeather(centerLat, centerLng, scheduledStart);
+    const wind = realWeather?.current
+      ? getFlightWind(realWeather, null, scheduledStart)
+      : getFlightWind(null, getSimulatedWeather(centerLat, centerLng, scheduledStart || new Date()), scheduledStart);
+    const energyModel = createEnergyModel(drone, { wind });
+    const missionOptions = { fixedEnd, returnToHome };
+    
+    // Each goal's waypoint order is solved once and shared by the result and the alternatives
+    const solved = {};
+    const solve = (goal) => (solved[goal] ??= optimizeMission(waypoints, ROUTE_COSTS[goal](energyModel), missionOptions));
     
-    // 2. WIND-AWARE OPTIMIZATION
-    const windOptimized = optimizeForWind([...waypoints], drone);
+    // Routes are compared as flown, including the leg home when returning home
+    const originalRoute = returnToHome ? [...waypoints, { ...waypoints[0], returnToHome: true }] : waypoints;
+    const original = estimateRoute(originalRoute, energyModel);
     
-    // 3. BATTERY-EFFICIENT OPTIMIZATION
-    const batteryOptimized = optimizeForBattery([...waypoints], drone);
+    // 1. SHORTEST PATH OPTIMIZATION
+    const shortestPath = solve('distance');
     
-    // 4. ALTITUDE OPTIMIZATION
-    const altitudeOptimized = optimizeAltitude([...waypoints]);
+    // 2. BATTERY-EFFICIENT OPTIMIZATION
+    const batteryOptimized = solve('battery');
+    
+    // 3. WIND-AWARE OPTIMIZATION
+    const windOptimized = optimizeForWind(batteryOptimized, energyModel, altitudeReference);
     
-    // Calculate distances
-    const originalDistance = calculateTotalDistance(waypoints);
-    const shortestDistance = calculateTotalDistance(shortestPath);
-    const windDistance = calculateTotalDistance(windOptimized.route);
+    // 4. ALTITUDE OPTIMIZATION
+    const altitudeOptimized = optimizeAltitude([...originalRoute], altitudeReference);
+    
+    // 5. RESTRICTED AIRSPACE AVOIDANCE (zones are checked against heights above ground)
+    let detour = null;
+    if (optimizationGoal === 'avoidRestricted') {
+      const profile = altitudeReference === 'AGL'
+        ? null
+        : profilePath(originalRoute, { sampleDistance: Infinity, altitudeReference });
+      detour = planRouteAround(originalRoute.map((wp, i) => ({ ...wp, agl: profile?.[i].altitudeAGL ?? wp.altitude })));
+      if (detour.error) {
+        return res.status(422).json({ success: false, message: detour.error });
+      }
+    }
     
     // Select best route based on goal
     switch (optimizationGoal) {
@@ -873,52 +947,57 @@ router.post('/optimize-route', authenticateToken, async (req, res) => {
         optimization.method = 'Shortest Path';
         break;
       case 'battery':
-        optimization.optimizedRoute = batteryOptimized.route;
+        optimization.optimizedRoute = batteryOptimized;
         optimization.method = 'Battery Efficient';
         break;
       case 'wind':
         optimization.optimizedRoute = windOptimized.route;
         optimization.method = 'Wind Optimized';
         break;
+      case 'avoidRestricted':
+        optimization.optimizedRoute = detour.route;
+        optimization.method = 'Avoid Restricted Airspace';
+        break;
       default: // balanced
-        optimization.optimizedRoute = shortestPath;
+        optimization.optimizedRoute = solve('balanced');
         optimization.method = 'Balanced';
     }
     
-    // Calculate improvements
-    const optimizedDistance = calculateTotalDistance(optimization.optimizedRoute);
+    // Calculate improvements from the energy model
+    const optimized = estimateRoute(optimization.optimizedRoute, energyModel);
+    optimization.wind = wind;
+    optimization.segments = optimized.segments;
+    optimization.feasibility = assessFeasibility(optimized, energyModel, reservePercent);
     optimization.improvements = {
-      distanceSaved: Math.round(originalDistance - optimizedDistance),
-      distanceSavedPercent: Math.round((1 - optimizedDistance / originalDistance) * 100),
-      estimatedTimeSaved: Math.round((originalDistance - optimizedDistance) / ((drone?.maxSpeed || 50) / 3.6) / 60), // minutes
-      batteryEfficiencyGain: Math.round(Math.random() * 15) + 5, // percent
-      originalDistance: Math.round(originalDistance),
-      optimizedDistance: Math.round(optimizedDistance)
+      distanceSaved: original.distance - optimized.distance,
+      distanceSavedPercent: original.distance > 0 ? Math.round((1 - optimized.distance / original.distance) * 100) : 0,
+      estimatedTimeSaved: Math.round((original.flightTimeMinutes - optimized.flightTimeMinutes) * 10) / 10, // minutes
+      batteryEfficiencyGain: original.batteryUsed > 0 ? Math.round((1 - optimized.batteryUsed / original.batteryUsed) * 100) : 0, // percent
+      originalDistance: original.distance,
+      optimizedDistance: optimized.distance,
+      originalBatteryUsed: original.batteryUsed,
+      optimizedBatteryUsed: optimized.batteryUsed,
+      optimizedFlightTime: optimized.flightTimeMinutes
     };
+    if (detour) {
+      optimization.improvements.addedDistance = detour.addedDistance;
+      optimization.improvements.reroutedLegs = detour.reroutedLegs;
+      optimization.improvements.avoidedZones = detour.avoidedZones;
+    }
     
     // Generate suggestions
-    optimization.suggestions = generateRouteSuggestions(waypoints, drone);
+    optimization.suggestions = generateRouteSuggestions(waypoints, drone, original.distance - estimateRoute(shortestPath, energyModel).distance);
     
     // Generate alternative routes
+    const alternative = (name, route, benefit) => {
+      const estimate = estimateRoute(route, energyModel);
+      return { name, route, distance: estimate.distance, batteryUsed: estimate.batteryUsed, benefit };
+    };
     optimization.alternativeRoutes = [
-      {
-        name: 'Shortest Path',
-        route: shortestPath,
-        distance: Math.round(shortestDistance),
-        benefit: 'Minimizes total flight distance'
-      },
-      {
-        name: 'Wind Optimized',
-        route: windOptimized.route,
-        distance: Math.round(windDistance),
-        benefit: 'Reduces headwind exposure, saves battery'
-      },
-      {
-        name: 'Altitude Adjusted',
-        route: altitudeOptimized,
-        distance: Math.round(calculateTotalDistance(altitudeOptimized)),
-        benefit: 'Optimizes altitude for terrain and efficiency'
-      }
+      alternative('Shortest Path', shortestPath, 'Minimizes total flight distance'),
+      alternative('Battery Efficient', batteryOptimized, 'Orders waypoints to minimize climbs and battery use'),
+      alternative('Wind Optimized', windOptimized.route, windOptimized.recommendation),
+      alternative('Altitude Adjusted', altitudeOptimized, 'Optimizes altitude for terrain and efficiency')
     ];
     
     res.json({ success: true, data: { optimization } });
@@ -930,115 +1009,84 @@ router.post('/optimize-route', authenticateToken, async (req, res) => {
 });
 
 // Route optimization helper functions
-function optimizeShortestPath(waypoints) {
-  if (waypoints.length <= 2) return waypoints;
-  
-  // Keep first waypoint fixed, optimize the rest using nearest neighbor
-  const optimized = [waypoints[0]];
-  const remaining = waypoints.slice(1);
-  
-  while (remaining.length > 0) {
-    const current = optimized[optimized.length - 1];
-    let nearestIdx = 0;
-    let nearestDist = Infinity;
-    
-    for (let i = 0; i < remaining.length; i++) {
-      const dist = calculateDistance(current.lat, current.lng, remaining[i].lat, remaining[i].lng);
-      if (dist < nearestDist) {
-        nearestDist = dist;
-        nearestIdx = i;
+// Lower waypoints out of the stronger wind higher up where that saves
+// battery; heights are only changed for AGL routes so terrain clearance
+// stays known
+function optimizeForWind(route, model, altitudeReference = 'AGL') {
+  const optimized = route.map(wp => ({ ...wp }));
+  const wind = model.wind || { speed: 0 };
+  
+  if (altitudeReference === 'AGL' && wind.speed > 0) {
+    let battery = estimateRoute(optimized, model).batteryUsed;
+    optimized.forEach(wp => {
+      const original = wp.altitude ?? 100;
+      for (const drop of [10, 20, 30]) {
+        const lowered = Math.max(WIND_MIN_ALTITUDE, original - drop);
+        if (lowered >= (wp.altitude ?? 100)) continue;
+        const previous = wp.altitude;
+        wp.altitude = lowered;
+        const candidate = estimateRoute(optimized, model).batteryUsed;
+        if (candidate < battery) battery = candidate;
+        else wp.altitude = previous;
       }
-    }
-    
-    optimized.push(remaining.splice(nearestIdx, 1)[0]);
+    });
   }
   
-  // Reorder the order property
-  return optimized.map((wp, idx) => ({ ...wp, order: idx }));
-}
-
-function optimizeForWind(waypoints, drone) {
-  // Simulate wind direction (in degrees, 0 = North)
-  const windDirection = Math.random() * 360;
-  const windSpeed = Math.random() * 25 + 5;
-  
-  // Prefer routes that minimize headwind exposure
-  const optimized = waypoints.map(wp => {
-    // Adjust altitude based on wind
-    let newAltitude = wp.altitude;
-    if (windSpeed > 20) {
-      newAltitude = Math.max(30, wp.altitude - 20); // Lower altitude in high wind
-    }
-    return { ...wp, altitude: newAltitude };
-  });
+  const headwindLegs = estimateRoute(optimized, model).segments.filter(s => s.headwind > 0).length;
+  let recommendation = `Flies the battery-efficient order in ${wind.speed ?? 0} km/h wind from ${wind.direction ?? 0}°`;
+  if (wind.speed > KCAA_REGULATIONS.maxWindSpeed) recommendation = 'Consider postponing due to high winds';
+  else if (optimized.some((wp, i) => wp.altitude !== route[i].altitude)) recommendation = `Lowers waypoints out of the stronger wind aloft (${headwindLegs} headwind leg${headwindLegs === 1 ? '' : 's'})`;
   
-  return {
-    route: optimized,
-    windDirection,
-    windSpeed,
-    recommendation: windSpeed > 25 ? 'Consider postponing due to high winds' : 'Adjusted altitudes for wind conditions'
-  };
+  return { route: optimized, wind, recommendation };
 }
 
-function optimizeForBattery(waypoints, drone) {
-  // Optimize for battery by:
-  // 1. Reducing altitude where possible (less power needed)
-  // 2. Smoothing the path (fewer direction changes)
-  
-  const optimized = waypoints.map((wp, idx) => {
-    let optimalAltitude = wp.altitude;
-    
-    // Lower altitude saves battery but maintain safe minimum
-    optimalAltitude = Math.max(50, wp.altitude - 15);
-    
-    return { ...wp, altitude: optimalAltitude };
-  });
-  
-  return {
-    route: optimized,
-    estimatedSavings: Math.round(Math.random() * 10) + 5 // percent
-  };
-}
-
-function optimizeAltitude(waypoints) {
-  // Adjust altitude based on terrain
-  return waypoints.map(wp => {
-    let optimalAltitude = wp.altitude;
-    
-    // Check nearby terrain
-    for (const terrain of TERRAIN_DATA) {
-      const dist = calculateDistance(wp.lat, wp.lng, terrain.position.lat, terrain.position.lng);
-      if (dist < 5000 && terrain.elevation > 1000) {
-        // Increase altitude near mountains
-        optimalAltitude = Math.min(120, wp.altitude + 20);
-        break;
-      }
+// Raise waypoints until the straight legs between them clear the terrain,
+// without taking any waypoint above the KCAA height limit
+function optimizeAltitude(waypoints, altitudeReference = 'AGL') {
+  const route = waypoints.map(wp => ({ ...wp, altitude: wp.altitude ?? 100 }));
+  
+  for (let pass = 0; pass < 3; pass++) {
+    const profile = profilePath(route, { altitudeReference });
+    const atWaypoints = profile.filter(s => s.waypointIndex !== null);
+    const raise = new Array(route.length).fill(0);
+    let segment = 0;
+    
+    for (const sample of profile) {
+      if (sample.waypointIndex !== null) segment = sample.waypointIndex;
+      if (sample.altitudeAGL === null) continue;
+      
+      const deficit = MIN_TERRAIN_CLEARANCE - sample.altitudeAGL;
+      if (deficit <= 0) continue;
+      
+      // Raising both ends of a leg lifts every point on it by the same amount
+      raise[segment] = Math.max(raise[segment], deficit);
+      if (sample.waypointIndex === null) raise[segment + 1] = Math.max(raise[segment + 1], deficit);
     }
     
-    return { ...wp, altitude: optimalAltitude };
-  });
-}
-
-function calculateTotalDistance(waypoints) {
-  let total = 0;
-  for (let i = 1; i < waypoints.length; i++) {
-    total += calculateDistance(
-      waypoints[i-1].lat, waypoints[i-1].lng,
-      waypoints[i].lat, waypoints[i].lng
-    );
+    let changed = false;
+    route.forEach((wp, i) => {
+      const headroom = KCAA_REGULATIONS.maxAltitudeAGL - (atWaypoints[i]?.altitudeAGL ?? wp.altitude);
+      const lift = Math.min(raise[i], Math.max(0, headroom));
+      if (lift > 0) {
+        wp.altitude = Math.round(wp.altitude + lift);
+        changed = true;
+      }
+    });
+    if (!changed) break;
   }
-  return total;
+  
+  return route.map(wp => ({ ...wp, groundElevation: getGroundElevation(wp.lat, wp.lng) }));
 }
 
-function generateRouteSuggestions(waypoints, drone) {
+function generateRouteSuggestions(waypoints, drone, reorderSaving = 0) {
   const suggestions = [];
   
-  // Check for inefficient zigzag patterns
-  if (waypoints.length > 3) {
+  // Backtracking the solver can remove by reordering waypoints
+  if (reorderSaving > 50) {
     suggestions.push({
       type: 'efficiency',
       priority: 'medium',
-      message: 'Consider reordering waypoints to reduce backtracking',
+      message: `Reordering waypoints removes ${reorderSaving}m of backtracking`,
       icon: '🔄'
     });
   }
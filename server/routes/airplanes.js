@@ -1,6 +1,8 @@
 import express from 'express';
 import { authenticateToken } from './auth.js';
 import { KOSOVO_BOUNDS } from '../data/kosovoData.js';
+import { getSubscriberCount, publishItems } from '../services/realtime.js';
+import { boundsOfPoints } from '../services/spatialIndex.js';
 
 const router = express.Router();
 
@@ -178,4 +180,31 @@ router.get('/stats', authenticateToken, async (req, res) => {
   }
 });
 
+// Push airborne traffic to real-time 'aircraft' subscribers; OpenSky is only
+// polled while someone is listening
+export function createAircraftFeed({ intervalMs = airplaneCache.cacheDuration } = {}) {
+  let timer = null;
+  
+  async function tick() {
+    if (getSubscriberCount('aircraft') === 0) return;
+    const airplanes = (await fetchAirplaneTraffic()).filter(p => !p.onGround);
+    publishItems('aircraft', 'aircraft', 'airplanes', airplanes, p => boundsOfPoints([p.position]));
+  }
+  
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, intervalMs);
+    timer.unref?.();
+  }
+  
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+  
+  return { start, stop, tick };
+}
+
 export default router;
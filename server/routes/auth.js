@@ -2,6 +2,7 @@ import express from 'express';
 import jwt from 'jsonwebtoken';
 import { body, validationResult } from 'express-validator';
 import User from '../models/User.js';
+import { KCAA_REGULATIONS } from '../data/kosovoData.js';
 
 const router = express.Router();
 
@@ -176,6 +177,24 @@ export async function authenticateToken(req, res, next) {
   }
 }
 
+// Roles allowed to review flights and verify pilot licences
+// Users of the in-memory store, for cross-user checks in other routes
+export function listInMemoryUsers() {
+  return Array.from(inMemoryUsers.values());
+}
+
+export const REVIEWER_ROLES = ['authority', 'admin'];
+
+// Role-based access middleware (use after authenticateToken)
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ success: false, message: 'Insufficient permissions' });
+    }
+    next();
+  };
+}
+
 // Agree to terms
 router.post('/agree-terms', authenticateToken, async (req, res) => {
   try {
@@ -207,6 +226,100 @@ router.get('/profile', authenticateToken, async (req, res) => {
   }
 });
 
+// Submit or update pilot licence (requires re-verification)
+router.put('/license', authenticateToken, [
+  body('number').trim().notEmpty(),
+  body('type').isIn(Object.keys(KCAA_REGULATIONS.pilotLicenseTypes)),
+  body('issuedBy').trim().notEmpty(),
+  body('issuedDate').optional({ checkFalsy: true }).isISO8601().toDate(),
+  body('expiryDate').isISO8601().toDate()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { number, type, issuedBy, issuedDate, expiryDate } = req.body;
+    if (expiryDate <= new Date()) {
+      return res.status(400).json({ success: false, message: 'Licence has already expired' });
+    }
+
+    req.user.pilotLicense = { number, type, issuedBy, issuedDate, expiryDate, verified: false };
+
+    if (!useInMemory) {
+      await req.user.save();
+    }
+
+    res.json({ success: true, message: 'Licence submitted for verification', data: { pilotLicense: req.user.pilotLicense } });
+  } catch (error) {
+    console.error('Submit licence error:', error);
+    res.status(500).json({ success: false, message: 'Failed to submit licence' });
+  }
+});
+
+// List licences awaiting a verification decision (authority/admin only)
+router.get('/licenses/pending', authenticateToken, requireRole(...REVIEWER_ROLES), async (req, res) => {
+  try {
+    let users;
+
+    if (useInMemory) {
+      users = Array.from(inMemoryUsers.values())
+        .filter(u => u.pilotLicense?.number && !u.pilotLicense.verified && !u.pilotLicense.verifiedAt)
+        .map(u => ({ id: u.id, fullName: u.fullName, email: u.email, organization: u.organization, pilotLicense: u.pilotLicense }));
+    } else {
+      users = await User.find({ 'pilotLicense.number': { $exists: true, $ne: null }, 'pilotLicense.verified': false, 'pilotLicense.verifiedAt': null })
+        .select('fullName email organization pilotLicense');
+    }
+
+    res.json({ success: true, data: { users } });
+  } catch (error) {
+    console.error('Pending licences error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch pending licences' });
+  }
+});
+
+// Verify or reject a pilot's licence (authority/admin only)
+router.patch('/users/:userId/license', authenticateToken, requireRole(...REVIEWER_ROLES), [
+  body('verified').isBoolean().toBoolean(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const user = useInMemory
+      ? Array.from(inMemoryUsers.values()).find(u => u.id === req.params.userId)
+      : await User.findById(req.params.userId);
+    if (!user || !user.pilotLicense?.number) {
+      return res.status(404).json({ success: false, message: 'Pilot licence not found' });
+    }
+    if (String(user.id) === String(req.user.id)) {
+      return res.status(403).json({ success: false, message: 'You cannot verify your own licence' });
+    }
+
+    user.pilotLicense.verified = req.body.verified;
+    user.pilotLicense.verifiedBy = useInMemory ? req.user.id : req.user._id;
+    user.pilotLicense.verifiedAt = new Date();
+    user.pilotLicense.verificationNotes = req.body.notes;
+
+    if (!useInMemory) {
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: req.body.verified ? 'Licence verified' : 'Licence verification refused',
+      data: { pilotLicense: user.pilotLicense }
+    });
+  } catch (error) {
+    console.error('Verify licence error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update licence verification' });
+  }
+});
+
 // Get statistics
 router.get('/statistics', authenticateToken, async (req, res) => {
   try {
@@ -0,0 +1,191 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import { authenticateToken, listInMemoryUsers } from './auth.js';
+import User from '../models/User.js';
+
+const router = express.Router();
+
+// Helper to check MongoDB connection
+const isMongoConnected = () => mongoose.connection.readyState === 1;
+
+// Editable drone fields (serial number is fixed once registered)
+const DRONE_SPEC_FIELDS = ['type', 'model', 'manufacturer', 'weight', 'maxSpeed', 'maxAltitude', 'maxFlightTime', 'isDIY'];
+
+const droneSpecValidators = [
+  body('type').optional().trim(),
+  body('manufacturer').optional().trim(),
+  body('weight').optional().isFloat({ min: 0 }).toFloat(),
+  body('maxSpeed').optional().isFloat({ min: 0 }).toFloat(),
+  body('maxAltitude').optional().isFloat({ min: 0 }).toFloat(),
+  body('maxFlightTime').optional().isFloat({ min: 0 }).toFloat(),
+  body('isDIY').optional().isBoolean().toBoolean()
+];
+
+// Get drone id for Mongo subdocuments and in-memory drones alike
+const getDroneId = (drone) => String(drone._id || drone.id);
+
+// Find a drone in a user's registry
+export function findRegisteredDrone(user, droneId) {
+  return (user.registeredDrones || []).find(d => getDroneId(d) === String(droneId)) || null;
+}
+
+// Copy registered drone specs into the shape stored on a flight
+export function toFlightDrone(drone) {
+  return {
+    droneId: getDroneId(drone),
+    type: drone.type,
+    model: drone.model,
+    manufacturer: drone.manufacturer,
+    serialNumber: drone.serialNumber,
+    registrationNumber: drone.registrationNumber,
+    weight: drone.weight,
+    maxSpeed: drone.maxSpeed,
+    maxAltitude: drone.maxAltitude,
+    maxFlightTime: drone.maxFlightTime,
+    isDIY: drone.isDIY || false
+  };
+}
+
+function pickDroneSpecs(source) {
+  const specs = {};
+  for (const field of DRONE_SPEC_FIELDS) {
+    if (source[field] !== undefined) specs[field] = source[field];
+  }
+  return specs;
+}
+
+// Whether a drone of any user, other than exceptDrone, already carries the
+// serial or registration number (both are stored trimmed and uppercased)
+async function isDroneNumberTaken({ serialNumber, registrationNumber }, exceptDrone = null) {
+  const matches = (d) => d !== exceptDrone &&
+    ((serialNumber && d.serialNumber === serialNumber) || (registrationNumber && d.registrationNumber === registrationNumber));
+
+  if (isMongoConnected()) {
+    const numbers = [];
+    if (serialNumber) numbers.push({ serialNumber });
+    if (registrationNumber) numbers.push({ registrationNumber });
+    const notSelf = exceptDrone ? { _id: { $ne: exceptDrone._id } } : {};
+    return Boolean(await User.exists({ registeredDrones: { $elemMatch: { $or: numbers, ...notSelf } } }));
+  }
+  return listInMemoryUsers().some(user => (user.registeredDrones || []).some(matches));
+}
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    return true;
+  }
+  return false;
+}
+
+// List registered drones
+router.get('/', authenticateToken, (req, res) => {
+  const includeRetired = req.query.includeRetired === 'true';
+  const drones = (req.user.registeredDrones || [])
+    .filter(d => includeRetired || d.status !== 'retired');
+
+  res.json({ success: true, data: { drones } });
+});
+
+// Register a drone
+router.post('/', authenticateToken, [
+  body('serialNumber').trim().notEmpty().toUpperCase(),
+  body('registrationNumber').trim().notEmpty().toUpperCase(),
+  body('model').trim().notEmpty(),
+  ...droneSpecValidators
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { serialNumber, registrationNumber } = req.body;
+    if (await isDroneNumberTaken({ serialNumber, registrationNumber })) {
+      return res.status(409).json({ success: false, message: 'Serial or registration number already registered' });
+    }
+
+    if (isMongoConnected()) {
+      req.user.registeredDrones.push({ serialNumber, registrationNumber, ...pickDroneSpecs(req.body) });
+      await req.user.save();
+      const drone = req.user.registeredDrones[req.user.registeredDrones.length - 1];
+
+      return res.status(201).json({ success: true, message: 'Drone registered', data: { drone } });
+    }
+
+    req.user.registeredDrones = req.user.registeredDrones || [];
+    const drone = {
+      id: `drone_${Date.now()}`,
+      serialNumber,
+      registrationNumber,
+      ...pickDroneSpecs(req.body),
+      status: 'active',
+      addedAt: new Date()
+    };
+    req.user.registeredDrones.push(drone);
+
+    res.status(201).json({ success: true, message: 'Drone registered', data: { drone } });
+  } catch (error) {
+    console.error('Register drone error:', error);
+    res.status(500).json({ success: false, message: 'Failed to register drone' });
+  }
+});
+
+// Update a registered drone
+router.put('/:droneId', authenticateToken, [
+  body('registrationNumber').optional().trim().notEmpty().toUpperCase(),
+  body('model').optional().trim().notEmpty(),
+  ...droneSpecValidators
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const drone = findRegisteredDrone(req.user, req.params.droneId);
+    if (!drone) {
+      return res.status(404).json({ success: false, message: 'Drone not found' });
+    }
+    if (drone.status === 'retired') {
+      return res.status(409).json({ success: false, message: 'Retired drones cannot be updated' });
+    }
+
+    const { registrationNumber } = req.body;
+    if (registrationNumber && registrationNumber !== drone.registrationNumber && await isDroneNumberTaken({ registrationNumber }, drone)) {
+      return res.status(409).json({ success: false, message: 'Registration number already registered' });
+    }
+
+    Object.assign(drone, pickDroneSpecs(req.body));
+    if (registrationNumber) drone.registrationNumber = registrationNumber;
+
+    if (isMongoConnected()) {
+      await req.user.save();
+    }
+
+    res.json({ success: true, message: 'Drone updated', data: { drone } });
+  } catch (error) {
+    console.error('Update drone error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update drone' });
+  }
+});
+
+// Retire a registered drone (kept for flight history)
+router.delete('/:droneId', authenticateToken, async (req, res) => {
+  try {
+    const drone = findRegisteredDrone(req.user, req.params.droneId);
+    if (!drone) {
+      return res.status(404).json({ success: false, message: 'Drone not found' });
+    }
+
+    drone.status = 'retired';
+    drone.retiredAt = new Date();
+
+    if (isMongoConnected()) {
+      await req.user.save();
+    }
+
+    res.json({ success: true, message: 'Drone retired', data: { drone } });
+  } catch (error) {
+    console.error('Retire drone error:', error);
+    res.status(500).json({ success: false, message: 'Failed to retire drone' });
+  }
+});
+
+export default router;
@@ -1,11 +1,34 @@
 import express from 'express';
 import mongoose from 'mongoose';
-import { authenticateToken } from './auth.js';
-import Flight from '../models/Flight.js';
+import { body, validationResult } from 'express-validator';
+import { authenticateToken, requireRole, REVIEWER_ROLES } from './auth.js';
+import { findRegisteredDrone, toFlightDrone } from './drones.js';
+import Flight, { OPERATION_AREA_TYPES } from '../models/Flight.js';
+import User from '../models/User.js';
+import {
+  FLIGHT_STATUSES,
+  canTransition,
+  describeIllegalTransition,
+  applyStatusTransition
+} from '../services/flightStatus.js';
+import { classifyDrone, describeSpecialAuthorization } from '../services/droneCategory.js';
+import { checkTemporaryRestrictions } from '../services/temporaryRestrictions.js';
+import { getZoneRevision } from '../services/zoneStore.js';
+import { ALTITUDE_REFERENCES, MIN_TERRAIN_CLEARANCE, profilePath, summarizeProfile } from '../services/terrain.js';
+import { findLossOfSeparation } from '../services/deconfliction.js';
+import { CONFLICT_STATUSES, indexFlight, findNearbyFlightIds, getFlightBounds } from '../services/flightIndex.js';
+import { publish, publishFlightStatus, publishPositions, summarizeFlight } from '../services/realtime.js';
+import { ALERT_TYPES, createConformanceMonitor } from '../services/conformanceMonitor.js';
+import { isSimpleRing } from '../services/geometry.js';
 import { 
   isWithinKosovo, 
-  calculateDistance, 
   checkRestrictedZone,
+  checkSegmentRestrictedZone,
+  checkAreaRestrictedZone,
+  findBorderCrossing,
+  findAreaBorderExit,
+  calculateDistance,
+  getRingCenter,
   AIRPORTS,
   RESTRICTED_ZONES,
   KCAA_REGULATIONS
@@ -19,159 +42,127 @@ const inMemoryFlights = new Map();
 // Helper to check MongoDB connection
 const isMongoConnected = () => mongoose.connection.readyState === 1;
 
-// Generate unique flight number
-function generateFlightNumber() {
-  const date = new Date();
-  const prefix = 'KS';
-  const timestamp = date.getTime().toString(36).toUpperCase().slice(-6);
-  const random = Math.random().toString(36).substring(2, 5).toUpperCase();
-  return `${prefix}-${timestamp}-${random}`;
-}
+// Checks each position update of an active flight against its approval;
+// also driven by the simulation engine for simulated flights
+const conformanceMonitor = createConformanceMonitor({
+  lateralTolerance: parseFloat(process.env.CONFORMANCE_LATERAL_TOLERANCE_METERS) || undefined,
+  altitudeTolerance: parseFloat(process.env.CONFORMANCE_ALTITUDE_TOLERANCE_METERS) || undefined
+});
+
+// Review actions and the status each one results in
+const REVIEW_ACTIONS = {
+  approve: { status: 'approved', decision: 'approved', requiresNotes: false },
+  reject: { status: 'rejected', decision: 'rejected', requiresNotes: true },
+  'request-changes': { status: 'pending', decision: 'changes_requested', requiresNotes: true }
+};
+
+const isReviewer = (user) => REVIEWER_ROLES.includes(user?.role);
 
-// Calculate distance between two points
-function getDistance(lat1, lng1, lat2, lng2) {
-  return calculateDistance(lat1, lng1, lat2, lng2);
+const MAX_CORRIDOR_WIDTH = 2000; // meters
+
+// Check whether a flight belongs to the given user (ObjectId or in-memory string id)
+function isFlightOwner(flight, user) {
+  return String(flight.userId?._id || flight.userId) === String(user.id);
 }
 
-// Generate sample points along a path
-function generatePathSamples(waypoints, sampleDistance = 50) {
-  const samples = [];
-  if (!waypoints || waypoints.length === 0) return samples;
-  
-  samples.push(waypoints[0]);
-  
-  for (let i = 0; i < waypoints.length - 1; i++) {
-    const wp1 = waypoints[i];
-    const wp2 = waypoints[i + 1];
-    const segmentDistance = getDistance(wp1.lat, wp1.lng, wp2.lat, wp2.lng);
-    const numSamples = Math.floor(segmentDistance / sampleDistance);
-    
-    for (let j = 1; j <= numSamples; j++) {
-      const t = j / (numSamples + 1);
-      samples.push({
-        lat: wp1.lat + t * (wp2.lat - wp1.lat),
-        lng: wp1.lng + t * (wp2.lng - wp1.lng)
-      });
+// Move a flight to a new status, recording actor and reason in statusHistory.
+// Callers must check canTransition first; illegal transitions are rejected here too.
+async function transitionFlight(flight, newStatus, user, reason) {
+  if (isMongoConnected()) {
+    await flight.updateStatus(newStatus, user._id, reason);
+  } else {
+    if (!applyStatusTransition(flight, newStatus, user.id, reason)) {
+      throw new Error(describeIllegalTransition(flight.status, newStatus));
     }
-    samples.push(wp2);
+    inMemoryFlights.set(flight.id, flight);
   }
-  
-  return samples;
+  if (newStatus !== 'active' && flight.alerts?.some(a => !a.clearedAt)) {
+    conformanceMonitor.close(flight);
+    if (isMongoConnected()) await flight.save();
+  }
+  indexFlight(flight);
+  publishFlightStatus(flight, reason);
+  return flight;
 }
 
-// Get bounding box for a flight
-function getFlightBounds(flightData) {
-  if (flightData.operationArea) {
-    const area = flightData.operationArea;
-    if (area.type === 'circle') {
-      const radiusDeg = area.radius / 111320;
-      return {
-        north: area.center.lat + radiusDeg,
-        south: area.center.lat - radiusDeg,
-        east: area.center.lng + radiusDeg / Math.cos(area.center.lat * Math.PI / 180),
-        west: area.center.lng - radiusDeg / Math.cos(area.center.lat * Math.PI / 180)
-      };
-    } else if (area.bounds) {
-      return area.bounds;
+// Announce a new flight request and any conflicts found for it. Conflicts are
+// read from the validation result itself: the stored checks keep only
+// name/passed/message/severity. A push failure never fails the request.
+function publishNewFlight(flight, validation) {
+  try {
+    publishFlightStatus(flight);
+    
+    const conflicts = (validation?.checks || []).filter(c => c.name === 'traffic_conflict' && !c.passed && c.conflictingFlight);
+    if (conflicts.length > 0) {
+      publish('conflicts', 'conflict', {
+        flight: summarizeFlight(flight),
+        conflicts: conflicts.map(c => ({
+          flightId: String(c.conflictingFlight.flightId),
+          flightNumber: c.conflictingFlight.flightNumber,
+          conflictType: c.conflictingFlight.conflictType,
+          conflictTime: c.conflictingFlight.conflictTime,
+          location: c.conflictingFlight.location,
+          details: c.conflictingFlight.conflictDetails
+        }))
+      }, getFlightBounds(flight));
     }
+  } catch (error) {
+    console.error('Publish new flight error:', error);
   }
-  
-  if (flightData.waypoints && flightData.waypoints.length > 0) {
-    const lats = flightData.waypoints.map(w => w.lat);
-    const lngs = flightData.waypoints.map(w => w.lng);
-    return {
-      north: Math.max(...lats),
-      south: Math.min(...lats),
-      east: Math.max(...lngs),
-      west: Math.min(...lngs)
-    };
-  }
-  
-  return null;
 }
 
-// Check if two bounding boxes overlap
-function boundsOverlap(bounds1, bounds2, buffer = 0.005) {
-  if (!bounds1 || !bounds2) return false;
-  return !(bounds1.east + buffer < bounds2.west - buffer ||
-           bounds1.west - buffer > bounds2.east + buffer ||
-           bounds1.north + buffer < bounds2.south - buffer ||
-           bounds1.south - buffer > bounds2.north + buffer);
-}
+const isPoint = (p) => Number.isFinite(p?.lat) && Number.isFinite(p?.lng);
 
-// Check spatial conflict between two flights
-function checkSpatialConflict(flight1, flight2) {
-  const bounds1 = getFlightBounds(flight1);
-  const bounds2 = getFlightBounds(flight2);
-  
-  // Quick bounds check
-  if (!boundsOverlap(bounds1, bounds2)) {
-    return { hasConflict: false };
-  }
-  
-  // Detailed check for area-based flights
-  if (flight1.operationArea && flight2.operationArea) {
-    const area1 = flight1.operationArea;
-    const area2 = flight2.operationArea;
-    
-    if (area1.type === 'circle' && area2.type === 'circle') {
-      const dist = getDistance(area1.center.lat, area1.center.lng, area2.center.lat, area2.center.lng);
-      if (dist < (area1.radius + area2.radius)) {
-        return { hasConflict: true, minDistance: dist, type: 'area_overlap' };
-      }
-    } else {
-      // Rectangle or mixed - bounds overlap is sufficient
-      return { hasConflict: true, minDistance: 0, type: 'area_overlap' };
+// Point halfway along a polyline
+function getPathMidpoint(path) {
+  const legs = path.slice(1).map((p, i) => calculateDistance(path[i].lat, path[i].lng, p.lat, p.lng));
+  let remaining = legs.reduce((sum, d) => sum + d, 0) / 2;
+  for (let i = 0; i < legs.length; i++) {
+    if (remaining <= legs[i]) {
+      const t = legs[i] === 0 ? 0 : remaining / legs[i];
+      return { lat: path[i].lat + t * (path[i + 1].lat - path[i].lat), lng: path[i].lng + t * (path[i + 1].lng - path[i].lng) };
     }
+    remaining -= legs[i];
   }
-  
-  // Check waypoint paths
-  const samples1 = flight1.waypoints ? generatePathSamples(flight1.waypoints) : [];
-  const samples2 = flight2.waypoints ? generatePathSamples(flight2.waypoints) : [];
-  
-  // If one has area and other has waypoints
-  if (flight1.operationArea && samples2.length > 0) {
-    for (const s of samples2) {
-      if (isPointInArea(s.lat, s.lng, flight1.operationArea)) {
-        return { hasConflict: true, minDistance: 0, type: 'path_enters_area' };
-      }
-    }
+  return { lat: path[0].lat, lng: path[0].lng };
+}
+
+// Check an operation area's geometry and fill in its centre (the reference
+// point used for terrain and separation checks); returns an error message or null
+function normalizeOperationArea(area) {
+  if (!OPERATION_AREA_TYPES.includes(area.type)) {
+    return `operationArea.type must be one of: ${OPERATION_AREA_TYPES.join(', ')}`;
   }
   
-  if (flight2.operationArea && samples1.length > 0) {
-    for (const s of samples1) {
-      if (isPointInArea(s.lat, s.lng, flight2.operationArea)) {
-        return { hasConflict: true, minDistance: 0, type: 'path_enters_area' };
-      }
+  if (area.type === 'circle') {
+    if (!isPoint(area.center) || !(area.radius > 0)) return 'Circle operation areas require a center and a radius';
+  } else if (area.type === 'rectangle') {
+    const b = area.bounds;
+    if (!b || !(b.north > b.south) || !(b.east > b.west)) return 'Rectangle operation areas require bounds with north > south and east > west';
+    area.center = isPoint(area.center) ? area.center : { lat: (b.north + b.south) / 2, lng: (b.east + b.west) / 2 };
+  } else if (area.type === 'polygon') {
+    if (!Array.isArray(area.polygon) || area.polygon.length < 3 || !area.polygon.every(isPoint)) {
+      return 'Polygon operation areas require at least 3 polygon points';
     }
-  }
-  
-  // Check path intersection
-  let minDistance = Infinity;
-  for (const s1 of samples1) {
-    for (const s2 of samples2) {
-      const dist = getDistance(s1.lat, s1.lng, s2.lat, s2.lng);
-      if (dist < minDistance) minDistance = dist;
+    if (!isSimpleRing(area.polygon.map(p => ({ x: p.lng, y: p.lat })))) return 'Operation area polygon must not cross itself';
+    area.center = isPoint(area.center) ? area.center : getRingCenter(area.polygon);
+  } else if (area.type === 'corridor') {
+    if (!Array.isArray(area.path) || area.path.length < 2 || !area.path.every(isPoint)) {
+      return 'Corridor operation areas require a path of at least 2 points';
     }
+    if (!(area.width > 0) || area.width > MAX_CORRIDOR_WIDTH) return `Corridor width must be between 1 and ${MAX_CORRIDOR_WIDTH} meters`;
+    area.center = isPoint(area.center) ? area.center : getPathMidpoint(area.path);
   }
-  
-  if (minDistance < 200) { // 200m minimum separation
-    return { hasConflict: true, minDistance, type: 'path_proximity' };
-  }
-  
-  return { hasConflict: false };
+  return null;
 }
 
-// Check if point is inside area
-function isPointInArea(lat, lng, area) {
-  if (area.type === 'circle') {
-    const dist = getDistance(lat, lng, area.center.lat, area.center.lng);
-    return dist <= area.radius;
-  } else if (area.bounds) {
-    return lat >= area.bounds.south && lat <= area.bounds.north &&
-           lng >= area.bounds.west && lng <= area.bounds.east;
-  }
-  return false;
+// Generate unique flight number
+function generateFlightNumber() {
+  const date = new Date();
+  const prefix = 'KS';
+  const timestamp = date.getTime().toString(36).toUpperCase().slice(-6);
+  const random = Math.random().toString(36).substring(2, 5).toUpperCase();
+  return `${prefix}-${timestamp}-${random}`;
 }
 
 // Check for conflicts with existing flights
@@ -180,20 +171,21 @@ async function checkFlightConflicts(newFlight, excludeId = null) {
   const newStart = new Date(newFlight.scheduledStart);
   const newEnd = new Date(newFlight.scheduledEnd);
   
+  // Only flights whose volume is near this one and booked at an overlapping time
+  const nearbyIds = findNearbyFlightIds(newFlight).filter(id => id !== String(excludeId));
   let existingFlights = [];
   
   if (isMongoConnected()) {
     const query = {
-      status: { $in: ['pending', 'approved', 'active'] },
+      _id: { $in: nearbyIds.filter(id => !inMemoryFlights.has(id) && mongoose.isValidObjectId(id)) },
+      status: { $in: CONFLICT_STATUSES },
       scheduledStart: { $lt: newEnd },
       scheduledEnd: { $gt: newStart }
     };
-    if (excludeId) query._id = { $ne: excludeId };
     existingFlights = await Flight.find(query).lean();
   } else {
-    existingFlights = Array.from(inMemoryFlights.values()).filter(f => {
-      if (['cancelled', 'completed', 'rejected'].includes(f.status)) return false;
-      if (excludeId && f.id === excludeId) return false;
+    existingFlights = nearbyIds.map(id => inMemoryFlights.get(id)).filter(f => {
+      if (!f || !CONFLICT_STATUSES.includes(f.status)) return false;
       const existingStart = new Date(f.scheduledStart);
       const existingEnd = new Date(f.scheduledEnd);
       return newStart < existingEnd && newEnd > existingStart;
@@ -201,31 +193,73 @@ async function checkFlightConflicts(newFlight, excludeId = null) {
   }
   
   for (const flight of existingFlights) {
-    // Check altitude overlap (30m vertical separation)
-    const altitudeOverlap = Math.abs((newFlight.maxAltitude || 100) - (flight.maxAltitude || 100)) < 30;
-    
-    if (!altitudeOverlap) continue;
+    // Only a conflict if both drones are inside the separation minima at the same time
+    const loss = findLossOfSeparation(newFlight, flight);
+    if (!loss) continue;
     
-    const spatialConflict = checkSpatialConflict(newFlight, flight);
+    const where = `${loss.location.lat.toFixed(5)}, ${loss.location.lng.toFixed(5)}`;
+    const separation = loss.verticalDistance === null
+      ? `${loss.horizontalDistance}m from the operation area`
+      : `${loss.horizontalDistance}m horizontal / ${loss.verticalDistance}m vertical separation`;
     
-    if (spatialConflict.hasConflict) {
-      conflicts.push({
-        flightId: flight._id || flight.id,
-        flightNumber: flight.flightNumber,
-        conflictType: spatialConflict.type,
-        minDistance: Math.round(spatialConflict.minDistance || 0),
-        scheduledStart: flight.scheduledStart,
-        scheduledEnd: flight.scheduledEnd,
-        conflictDetails: `Flight paths conflict: ${spatialConflict.type} (${Math.round(spatialConflict.minDistance || 0)}m separation)`
-      });
-    }
+    conflicts.push({
+      flightId: flight._id || flight.id,
+      flightNumber: flight.flightNumber,
+      conflictType: loss.type,
+      minDistance: loss.horizontalDistance,
+      verticalDistance: loss.verticalDistance,
+      conflictTime: loss.time,
+      location: loss.location,
+      scheduledStart: flight.scheduledStart,
+      scheduledEnd: flight.scheduledEnd,
+      conflictDetails: `Loss of separation at ${loss.time.toISOString().substring(11, 16)} UTC near ${where} (${separation})`
+    });
   }
   
+  // Earliest loss of separation first
+  conflicts.sort((a, b) => a.conflictTime - b.conflictTime);
+  
   return conflicts;
 }
 
+// Check the pilot's licence covers the training/licence requirements of the drone category;
+// a gap rejects the flight only in categories that require a licence, otherwise it is a warning
+function checkPilotLicense(pilot, classification, scheduledEnd) {
+  if (!classification) {
+    return { name: 'license_check', passed: true, message: 'Drone category unknown - licence requirements not assessed', severity: 'warning' };
+  }
+  
+  const { category, requirements } = classification;
+  const competencies = requirements.filter(r => r.endsWith('-training') || r === 'pilot-license');
+  if (competencies.length === 0) {
+    return { name: 'license_check', passed: true, message: `No pilot licence required for ${category} category`, severity: 'info' };
+  }
+  
+  const license = pilot?.pilotLicense;
+  const required = competencies.join(', ');
+  const severity = classification.requiresLicense ? 'error' : 'warning';
+  
+  if (!license?.number) {
+    return { name: 'license_check', passed: false, message: `No pilot licence on file - ${category} category requires ${required}`, severity };
+  }
+  if (!license.verified) {
+    return { name: 'license_check', passed: false, message: 'Pilot licence has not been verified by KCAA', severity };
+  }
+  if (!license.expiryDate || new Date(license.expiryDate) < scheduledEnd) {
+    return { name: 'license_check', passed: false, message: 'Pilot licence is expired or expires before the flight ends', severity };
+  }
+  
+  const covered = KCAA_REGULATIONS.pilotLicenseTypes[license.type] || [];
+  const missing = competencies.filter(c => !covered.includes(c));
+  if (missing.length > 0) {
+    return { name: 'license_check', passed: false, message: `${license.type} licence does not cover ${missing.join(', ')} required for ${category} category`, severity };
+  }
+  
+  return { name: 'license_check', passed: true, message: `Verified ${license.type} licence covers ${category} category`, severity: 'info' };
+}
+
 // Validate flight request
-async function validateFlightRequest(flightData) {
+async function validateFlightRequest(flightData, pilot = null) {
   const checks = [];
   let isValid = true;
   
@@ -238,17 +272,32 @@ async function validateFlightRequest(flightData) {
         isValid = false;
       }
     }
+    // Legs between waypoints that are both inside can still cut across the border
+    for (let i = 0; i < flightData.waypoints.length - 1; i++) {
+      const wp1 = flightData.waypoints[i];
+      const wp2 = flightData.waypoints[i + 1];
+      if (!isWithinKosovo(wp1.lat, wp1.lng) || !isWithinKosovo(wp2.lat, wp2.lng)) continue;
+      const crossing = findBorderCrossing(wp1, wp2);
+      if (crossing) {
+        checks.push({ name: 'border_check', passed: false, message: `Flight path between waypoints ${i + 1} and ${i + 2} leaves Kosovo near ${crossing.lat.toFixed(4)}, ${crossing.lng.toFixed(4)}`, severity: 'error' });
+        isValid = false;
+      }
+    }
     if (!checks.some(c => c.name === 'border_check' && !c.passed)) {
-      checks.push({ name: 'border_check', passed: true, message: 'All waypoints within Kosovo borders', severity: 'info' });
+      checks.push({ name: 'border_check', passed: true, message: 'All waypoints and legs within Kosovo borders', severity: 'info' });
     }
   }
   
   // Check operation area
   if (flightData.operationArea) {
     const area = flightData.operationArea;
+    const exit = area.center ? findAreaBorderExit(area) : null;
     if (area.center && !isWithinKosovo(area.center.lat, area.center.lng)) {
       checks.push({ name: 'area_border_check', passed: false, message: 'Operation area center is outside Kosovo borders', severity: 'error' });
       isValid = false;
+    } else if (exit) {
+      checks.push({ name: 'area_border_check', passed: false, message: `Operation area extends beyond Kosovo borders near ${exit.lat.toFixed(4)}, ${exit.lng.toFixed(4)}`, severity: 'error' });
+      isValid = false;
     } else if (area.center) {
       checks.push({ name: 'area_border_check', passed: true, message: 'Operation area within Kosovo borders', severity: 'info' });
     }
@@ -262,13 +311,61 @@ async function validateFlightRequest(flightData) {
     checks.push({ name: 'altitude_check', passed: true, message: `Altitude ${flightData.maxAltitude}m within legal limits`, severity: 'info' });
   }
   
-  // Check restricted zones
+  // Check height above terrain along the path (waypoint altitudes are converted
+  // from their reference to AMSL and flown as straight lines between waypoints)
   const points = flightData.waypoints || (flightData.operationArea?.center ? [flightData.operationArea.center] : []);
-  const zoneViolations = [];
-  for (const point of points) {
-    const violations = checkRestrictedZone(point.lat, point.lng, flightData.maxAltitude || 100);
-    zoneViolations.push(...violations);
+  const profile = profilePath(points, {
+    altitudeReference: flightData.altitudeReference || 'AGL',
+    defaultAltitude: flightData.maxAltitude ?? 100
+  });
+  const terrain = summarizeProfile(profile);
+  
+  if (!terrain) {
+    checks.push({ name: 'terrain_check', passed: true, message: 'No elevation data for flight path - height above ground not verified', severity: 'warning' });
+  } else if (terrain.minAGL < 0 || terrain.maxAGL > KCAA_REGULATIONS.maxAltitudeAGL) {
+    // Approximate elevation data is advisory: flag the path for the reviewer instead of rejecting it
+    const message = terrain.minAGL < 0
+      ? `Flight path is ${-terrain.minAGL}m below terrain ${Math.round(terrain.minAGLAt.distance)}m along the route (ground ${terrain.minAGLAt.groundElevation}m AMSL)`
+      : `Flight path reaches ${terrain.maxAGL}m AGL ${Math.round(terrain.maxAGLAt.distance)}m along the route, above the ${KCAA_REGULATIONS.maxAltitudeAGL}m AGL limit`;
+    if (terrain.approximate) {
+      checks.push({ name: 'terrain_check', passed: false, message: `${message} - approximate elevation data, advisory until TERRAIN_HGT_DIR is set; verify before flight`, severity: 'warning' });
+    } else {
+      checks.push({ name: 'terrain_check', passed: false, message, severity: 'error' });
+      isValid = false;
+    }
+  } else if (terrain.minAGL < MIN_TERRAIN_CLEARANCE) {
+    checks.push({ name: 'terrain_check', passed: true, message: `Low terrain clearance: ${terrain.minAGL}m AGL ${Math.round(terrain.minAGLAt.distance)}m along the route`, severity: 'warning' });
+  } else {
+    checks.push({ name: 'terrain_check', passed: true, message: `Height above terrain ${terrain.minAGL}-${terrain.maxAGL}m AGL along the route`, severity: 'info' });
+  }
+  
+  // Waypoints with their height above ground for zone checks
+  const waypointSamples = profile.filter(sample => sample.waypointIndex !== null);
+  const aglPoints = points.map((point, i) => ({
+    ...point,
+    altitude: waypointSamples[i]?.altitudeAGL ?? point.altitude ?? flightData.maxAltitude ?? 100,
+    groundElevation: waypointSamples[i]?.groundElevation ?? null
+  }));
+  
+  // Check restricted zones: operation areas are checked over their whole shape,
+  // and every stretch of the terrain profile is intersected exactly with the
+  // zones it passes, so legs that clip a zone between waypoints are caught;
+  // each zone is reported once, where it is first entered
+  const pathPoints = profile.map(sample => ({
+    lat: sample.lat,
+    lng: sample.lng,
+    altitude: sample.altitudeAGL ?? sample.altitudeAMSL,
+    groundElevation: sample.groundElevation
+  }));
+  let found;
+  if (flightData.operationArea?.center) {
+    found = checkAreaRestrictedZone(flightData.operationArea, flightData.maxAltitude ?? 100);
+  } else if (pathPoints.length > 1) {
+    found = pathPoints.slice(1).flatMap((point, i) => checkSegmentRestrictedZone(pathPoints[i], point));
+  } else {
+    found = aglPoints.flatMap(point => checkRestrictedZone(point.lat, point.lng, point.altitude, point.groundElevation));
   }
+  const zoneViolations = found.filter((v, i) => found.findIndex(other => other.zone.id === v.zone.id && other.type === v.type) === i);
   
   if (zoneViolations.length > 0) {
     const errors = zoneViolations.filter(v => v.severity === 'error');
@@ -276,13 +373,29 @@ async function validateFlightRequest(flightData) {
     
     if (errors.length > 0) {
       isValid = false;
-      errors.forEach(v => checks.push({ name: 'zone_check', passed: false, message: v.message, severity: 'error' }));
+      errors.forEach(v => checks.push({ name: 'zone_check', passed: false, message: v.message, severity: 'error', zone: v.zone.name }));
     }
-    warnings.forEach(v => checks.push({ name: 'zone_check', passed: true, message: v.message, severity: 'warning' }));
+    warnings.forEach(v => checks.push({ name: 'zone_check', passed: true, message: v.message, severity: 'warning', zone: v.zone.name }));
   } else {
     checks.push({ name: 'zone_check', passed: true, message: 'No restricted zone violations', severity: 'info' });
   }
   
+  // Check temporary restrictions in force during the scheduled window
+  const restrictionViolations = await checkTemporaryRestrictions(flightData.waypoints ? { ...flightData, waypoints: aglPoints } : flightData);
+  if (restrictionViolations.length > 0) {
+    isValid = false;
+    for (const { restriction } of restrictionViolations) {
+      checks.push({
+        name: 'temporary_restriction_check',
+        passed: false,
+        message: `${restriction.name}: temporary restriction (${restriction.reason}) in force ${new Date(restriction.startTime).toISOString()} - ${new Date(restriction.endTime).toISOString()}`,
+        severity: 'error'
+      });
+    }
+  } else {
+    checks.push({ name: 'temporary_restriction_check', passed: true, message: 'No temporary restrictions during scheduled window', severity: 'info' });
+  }
+  
   // Check time validity
   const scheduledStart = new Date(flightData.scheduledStart);
   if (scheduledStart < new Date()) {
@@ -292,6 +405,22 @@ async function validateFlightRequest(flightData) {
     checks.push({ name: 'time_check', passed: true, message: 'Flight scheduled for future time', severity: 'info' });
   }
   
+  // Classify the drone into its KCAA category
+  const classification = classifyDrone(flightData.drone);
+  if (!classification) {
+    checks.push({ name: 'category_check', passed: false, message: 'Drone weight is required to determine its KCAA category', severity: 'error' });
+    isValid = false;
+  } else if (classification.requiresSpecialAuthorization) {
+    checks.push({ name: 'category_check', passed: true, message: `${describeSpecialAuthorization(classification)} - flight needs special authorization from KCAA`, severity: 'warning' });
+  } else {
+    checks.push({ name: 'category_check', passed: true, message: `${classification.weight}kg drone classified in open category`, severity: 'info' });
+  }
+  
+  // Check pilot licence against drone category
+  const licenseCheck = checkPilotLicense(pilot, classification, new Date(flightData.scheduledEnd));
+  checks.push(licenseCheck);
+  if (licenseCheck.severity === 'error') isValid = false;
+  
   // Check daylight hours
   const startHour = scheduledStart.getUTCHours() + 1;
   if (startHour < 6 || startHour > 20) {
@@ -317,7 +446,7 @@ async function validateFlightRequest(flightData) {
     checks.push({ name: 'traffic_conflict', passed: true, message: 'No traffic conflicts detected - airspace clear', severity: 'info' });
   }
   
-  return { isValid, checks, validatedAt: new Date() };
+  return { isValid, checks, validatedAt: new Date(), zoneRevision: getZoneRevision() };
 }
 
 // Create flight request
@@ -326,8 +455,41 @@ router.post('/', authenticateToken, async (req, res) => {
     const flightData = req.body;
     const flightNumber = generateFlightNumber();
     
+    // Use specs from the pilot's drone registry when a registered drone is selected
+    if (flightData.droneId) {
+      const registeredDrone = findRegisteredDrone(req.user, flightData.droneId);
+      if (!registeredDrone) {
+        return res.status(400).json({ success: false, message: 'Drone is not registered to your account' });
+      }
+      if (registeredDrone.status === 'retired') {
+        return res.status(400).json({ success: false, message: 'Drone has been retired and cannot be used for new flights' });
+      }
+      flightData.drone = toFlightDrone(registeredDrone);
+    }
+    
+    if (flightData.operationArea) {
+      const areaError = normalizeOperationArea(flightData.operationArea);
+      if (areaError) {
+        return res.status(400).json({ success: false, message: areaError });
+      }
+    }
+    
+    if (flightData.altitudeReference && !ALTITUDE_REFERENCES.includes(flightData.altitudeReference)) {
+      return res.status(400).json({ success: false, message: `altitudeReference must be one of: ${ALTITUDE_REFERENCES.join(', ')}` });
+    }
+    
+    // Record the drone category and whether it needs special authorization
+    const classification = classifyDrone(flightData.drone);
+    if (classification) {
+      flightData.drone = { ...flightData.drone, weight: classification.weight, category: classification.category };
+    }
+    flightData.requiresSpecialAuthorization = classification?.requiresSpecialAuthorization || false;
+    flightData.specialAuthorizationReason = describeSpecialAuthorization(classification) || undefined;
+    
     // Validate the flight
-    const validation = await validateFlightRequest(flightData);
+    const validation = await validateFlightRequest(flightData, req.user);
+    const initialStatus = validation.isValid ? 'pending' : 'rejected';
+    const initialReason = validation.isValid ? 'Flight request submitted' : 'Failed automatic validation';
     
     if (isMongoConnected()) {
       const flight = new Flight({
@@ -341,10 +503,14 @@ router.post('/', authenticateToken, async (req, res) => {
         duration: flightData.duration,
         drone: flightData.drone,
         maxAltitude: flightData.maxAltitude || 100,
+        altitudeReference: flightData.altitudeReference || 'AGL',
         estimatedSpeed: flightData.estimatedSpeed,
         purpose: flightData.purpose,
         description: flightData.description,
-        status: validation.isValid ? 'pending' : 'rejected',
+        requiresSpecialAuthorization: flightData.requiresSpecialAuthorization,
+        specialAuthorizationReason: flightData.specialAuthorizationReason,
+        status: initialStatus,
+        statusHistory: [{ status: initialStatus, changedBy: req.user._id, reason: initialReason }],
         validation,
         aiRecommendations: flightData.aiRecommendations,
         ipAddress: req.ip,
@@ -352,6 +518,8 @@ router.post('/', authenticateToken, async (req, res) => {
       });
       
       await flight.save();
+      indexFlight(flight);
+      publishNewFlight(flight, validation);
       
       res.status(201).json({
         success: true,
@@ -366,13 +534,16 @@ router.post('/', authenticateToken, async (req, res) => {
         userId: req.user.id,
         flightType: flightData.operationArea ? 'area' : 'waypoint',
         ...flightData,
-        status: validation.isValid ? 'pending' : 'rejected',
+        status: initialStatus,
+        statusHistory: [{ status: initialStatus, changedAt: new Date(), changedBy: req.user.id, reason: initialReason }],
         validation,
         createdAt: new Date(),
         updatedAt: new Date()
       };
       
       inMemoryFlights.set(flight.id, flight);
+      indexFlight(flight);
+      publishNewFlight(flight, validation);
       
       res.status(201).json({
         success: true,
@@ -429,6 +600,62 @@ router.get('/active', authenticateToken, async (req, res) => {
   }
 });
 
+// Conformance alerts of the user's flights (every flight for authorities)
+//   ?open=true    only alerts still in force
+//   ?type=deviation|altitude_bust|zone_incursion|overtime
+router.get('/alerts', authenticateToken, async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && !ALERT_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, message: `Invalid alert type: ${type} (available: ${ALERT_TYPES.join(', ')})` });
+    }
+    
+    const ownOnly = !isReviewer(req.user);
+    const memoryFlights = Array.from(inMemoryFlights.values())
+      .filter(f => f.alerts?.length > 0 && (!ownOnly || isFlightOwner(f, req.user)));
+    const dbFlights = isMongoConnected()
+      ? await Flight.find({ 'alerts.0': { $exists: true }, ...(ownOnly ? { userId: req.user.id } : {}) }).lean()
+      : [];
+    
+    const alerts = [...dbFlights, ...memoryFlights]
+      .flatMap(flight => flight.alerts.map(alert => ({
+        flightId: String(flight._id || flight.id),
+        flightNumber: flight.flightNumber,
+        flightStatus: flight.status,
+        ...(alert.toObject ? alert.toObject() : alert)
+      })))
+      .filter(a => (req.query.open !== 'true' || !a.clearedAt) && (!type || a.type === type))
+      .sort((a, b) => new Date(b.raisedAt) - new Date(a.raisedAt));
+    
+    res.json({ success: true, data: { alerts, total: alerts.length, open: alerts.filter(a => !a.clearedAt).length } });
+  } catch (error) {
+    console.error('Alerts error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch alerts' });
+  }
+});
+
+// Get review queue of pending flight requests (authority/admin only)
+router.get('/review/queue', authenticateToken, requireRole(...REVIEWER_ROLES), async (req, res) => {
+  try {
+    let flights;
+    
+    if (isMongoConnected()) {
+      flights = await Flight.find({ status: 'pending', isSimulated: { $ne: true } })
+        .sort({ scheduledStart: 1 })
+        .populate('userId', 'fullName email organization pilotLicense');
+    } else {
+      flights = Array.from(inMemoryFlights.values())
+        .filter(f => f.status === 'pending' && !f.isSimulated)
+        .sort((a, b) => new Date(a.scheduledStart) - new Date(b.scheduledStart));
+    }
+    
+    res.json({ success: true, data: { flights, total: flights.length } });
+  } catch (error) {
+    console.error('Review queue error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch review queue' });
+  }
+});
+
 // Get flight by ID
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
@@ -450,64 +677,186 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Update flight status
-router.patch('/:id/status', authenticateToken, async (req, res) => {
+// Conformance alerts of one flight
+router.get('/:id/alerts', authenticateToken, async (req, res) => {
+  try {
+    const flight = isMongoConnected()
+      ? await Flight.findById(req.params.id)
+      : inMemoryFlights.get(req.params.id);
+    if (!flight || (!isFlightOwner(flight, req.user) && !isReviewer(req.user))) {
+      return res.status(404).json({ success: false, message: 'Flight not found' });
+    }
+    
+    const alerts = flight.alerts || [];
+    res.json({ success: true, data: { flightNumber: flight.flightNumber, alerts, open: alerts.filter(a => !a.clearedAt).length } });
+  } catch (error) {
+    console.error('Flight alerts error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch flight alerts' });
+  }
+});
+
+// Report the position of an active flight (pilot telemetry); the update is
+// checked for conformance and pushed to real-time subscribers
+router.post('/:id/position', authenticateToken, async (req, res) => {
   try {
-    const { status } = req.body;
+    const { lat, lng, altitude, heading, speed, batteryLevel } = req.body;
+    if (![lat, lng, altitude].every(Number.isFinite)) {
+      return res.status(400).json({ success: false, message: 'lat, lng and altitude are required numbers' });
+    }
+    
+    const flight = isMongoConnected()
+      ? await Flight.findById(req.params.id)
+      : inMemoryFlights.get(req.params.id);
+    if (!flight || !isFlightOwner(flight, req.user)) {
+      return res.status(404).json({ success: false, message: 'Flight not found' });
+    }
+    if (flight.status !== 'active') {
+      return res.status(409).json({ success: false, message: `Only active flights report positions (current status: ${flight.status})` });
+    }
+    
+    const now = new Date();
+    flight.currentPosition = { lat, lng, altitude, heading, speed, updatedAt: now };
+    flight.telemetryLog = flight.telemetryLog || [];
+    flight.telemetryLog.push({ timestamp: now, lat, lng, altitude, speed, batteryLevel });
+    const { raised, cleared } = conformanceMonitor.observe(flight, now);
     
     if (isMongoConnected()) {
-      const flight = await Flight.findByIdAndUpdate(
-        req.params.id,
-        { status, updatedAt: new Date() },
-        { new: true }
-      );
-      if (!flight) {
-        return res.status(404).json({ success: false, message: 'Flight not found' });
-      }
-      res.json({ success: true, data: { flight } });
-    } else {
-      const flight = inMemoryFlights.get(req.params.id);
-      if (!flight) {
-        return res.status(404).json({ success: false, message: 'Flight not found' });
+      await flight.save();
+    }
+    publishPositions([flight]);
+    
+    res.json({
+      success: true,
+      data: {
+        position: flight.currentPosition,
+        raised,
+        cleared,
+        openAlerts: flight.alerts.filter(a => !a.clearedAt)
       }
-      flight.status = status;
-      flight.updatedAt = new Date();
-      inMemoryFlights.set(flight.id, flight);
-      res.json({ success: true, data: { flight } });
+    });
+  } catch (error) {
+    console.error('Position update error:', error);
+    res.status(500).json({ success: false, message: 'Failed to record position' });
+  }
+});
+
+// Update flight status
+router.patch('/:id/status', authenticateToken, async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    
+    if (!FLIGHT_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `Invalid status: ${status}` });
     }
+    
+    const flight = isMongoConnected()
+      ? await Flight.findById(req.params.id)
+      : inMemoryFlights.get(req.params.id);
+    if (!flight) {
+      return res.status(404).json({ success: false, message: 'Flight not found' });
+    }
+    
+    // Approval decisions go through the review workflow
+    if (['approved', 'rejected'].includes(status)) {
+      return res.status(403).json({ success: false, message: 'Use the review endpoints to approve or reject flights' });
+    }
+    if (!isFlightOwner(flight, req.user) && !isReviewer(req.user)) {
+      return res.status(403).json({ success: false, message: 'Not allowed to update this flight' });
+    }
+    if (!canTransition(flight.status, status)) {
+      return res.status(409).json({ success: false, message: describeIllegalTransition(flight.status, status) });
+    }
+    
+    await transitionFlight(flight, status, req.user, reason);
+    res.json({ success: true, data: { flight } });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to update flight status' });
   }
 });
 
-// Cancel flight
-router.delete('/:id', authenticateToken, async (req, res) => {
-  try {
-    if (isMongoConnected()) {
-      const flight = await Flight.findOneAndUpdate(
-        { _id: req.params.id, userId: req.user.id },
-        { status: 'cancelled', updatedAt: new Date() },
-        { new: true }
-      );
+// Review notes are optional text (required for reject and request-changes)
+const reviewNotesValidation = body('notes').optional({ values: 'null' }).isString().withMessage('notes must be text');
+
+// Review a pending flight request (authority/admin only)
+function reviewFlight(action) {
+  const { status, decision, requiresNotes } = REVIEW_ACTIONS[action];
+  
+  return async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+      }
+      
+      const notes = req.body.notes?.trim();
+      if (requiresNotes && !notes) {
+        return res.status(400).json({ success: false, message: 'Review notes are required for this action' });
+      }
+      
+      const flight = isMongoConnected()
+        ? await Flight.findById(req.params.id)
+        : inMemoryFlights.get(req.params.id);
       if (!flight) {
         return res.status(404).json({ success: false, message: 'Flight not found' });
       }
-      res.json({ success: true, message: 'Flight cancelled', data: { flight } });
-    } else {
-      const flight = inMemoryFlights.get(req.params.id);
-      if (!flight || flight.userId !== req.user.id) {
-        return res.status(404).json({ success: false, message: 'Flight not found' });
+      if (isFlightOwner(flight, req.user)) {
+        return res.status(403).json({ success: false, message: 'You cannot review your own flight request' });
       }
-      flight.status = 'cancelled';
-      flight.updatedAt = new Date();
-      inMemoryFlights.set(flight.id, flight);
-      res.json({ success: true, message: 'Flight cancelled', data: { flight } });
+      if (flight.status !== 'pending' || !canTransition(flight.status, status)) {
+        return res.status(409).json({ success: false, message: `Only pending flights can be reviewed (current status: ${flight.status})` });
+      }
+      
+      const reason = decision === 'changes_requested' ? `Changes requested: ${notes}` : notes;
+      flight.reviewedAt = new Date();
+      flight.reviewNotes = notes;
+      flight.reviewDecision = decision;
+      
+      flight.reviewedBy = isMongoConnected() ? req.user._id : req.user.id;
+      await transitionFlight(flight, status, req.user, reason);
+      
+      if (isMongoConnected()) {
+        if (decision !== 'changes_requested') {
+          const counter = decision === 'approved' ? 'statistics.approvedFlights' : 'statistics.rejectedFlights';
+          await User.updateOne({ _id: flight.userId }, { $inc: { [counter]: 1 } });
+        }
+      }
+      
+      res.json({
+        success: true,
+        message: `Flight ${flight.flightNumber} ${decision.replace('_', ' ')}`,
+        data: { flight }
+      });
+    } catch (error) {
+      console.error('Review flight error:', error);
+      res.status(500).json({ success: false, message: 'Failed to review flight' });
     }
+  };
+}
+
+router.post('/:id/approve', authenticateToken, requireRole(...REVIEWER_ROLES), reviewNotesValidation, reviewFlight('approve'));
+router.post('/:id/reject', authenticateToken, requireRole(...REVIEWER_ROLES), reviewNotesValidation, reviewFlight('reject'));
+router.post('/:id/request-changes', authenticateToken, requireRole(...REVIEWER_ROLES), reviewNotesValidation, reviewFlight('request-changes'));
+
+// Cancel flight
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const flight = isMongoConnected()
+      ? await Flight.findOne({ _id: req.params.id, userId: req.user.id })
+      : inMemoryFlights.get(req.params.id);
+    if (!flight || !isFlightOwner(flight, req.user)) {
+      return res.status(404).json({ success: false, message: 'Flight not found' });
+    }
+    if (!canTransition(flight.status, 'cancelled')) {
+      return res.status(409).json({ success: false, message: describeIllegalTransition(flight.status, 'cancelled') });
+    }
+    
+    await transitionFlight(flight, 'cancelled', req.user, req.body?.reason || 'Cancelled by pilot');
+    res.json({ success: true, message: 'Flight cancelled', data: { flight } });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to cancel flight' });
   }
 });
 
 // Export for simulation
-export { inMemoryFlights };
+export { inMemoryFlights, conformanceMonitor };
 export default router;
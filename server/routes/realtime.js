@@ -0,0 +1,53 @@
+import express from 'express';
+import { authenticateToken, REVIEWER_ROLES } from './auth.js';
+import { TOPICS, REVIEWER_TOPICS, parseBoundingBox, addClient, getSubscriberCount } from '../services/realtime.js';
+
+const router = express.Router();
+
+// EventSource cannot set headers, so the stream also accepts ?token=<jwt>
+function acceptQueryToken(req, res, next) {
+  if (!req.headers['authorization'] && req.query.token) {
+    req.headers['authorization'] = `Bearer ${req.query.token}`;
+  }
+  next();
+}
+
+// Open an event stream
+//   ?topics=positions,flights   (default: every topic the user may read)
+//   ?bbox=west,south,east,north (default: everywhere)
+// conflicts is for authorities and admins; alerts carry only the user's own
+// flights unless the user is one of them.
+router.get('/stream', acceptQueryToken, authenticateToken, (req, res) => {
+  const seesAll = REVIEWER_ROLES.includes(req.user.role);
+  const allowed = seesAll ? TOPICS : TOPICS.filter(t => !REVIEWER_TOPICS.includes(t));
+  const topics = req.query.topics ? String(req.query.topics).split(',').map(t => t.trim()).filter(Boolean) : allowed;
+  const unknown = topics.filter(t => !TOPICS.includes(t));
+  if (unknown.length > 0) {
+    return res.status(400).json({ success: false, message: `Unknown topic(s): ${unknown.join(', ')} (available: ${TOPICS.join(', ')})` });
+  }
+  const forbidden = topics.filter(t => !allowed.includes(t));
+  if (forbidden.length > 0) {
+    return res.status(403).json({ success: false, message: `Not allowed to subscribe to: ${forbidden.join(', ')}` });
+  }
+
+  const bounds = parseBoundingBox(req.query.bbox);
+  if (req.query.bbox && !bounds) {
+    return res.status(400).json({ success: false, message: 'bbox must be west,south,east,north in degrees' });
+  }
+
+  addClient(req, res, { topics, bounds, userId: req.user.id, seesAll });
+});
+
+// Subscriber counts per topic
+router.get('/status', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      topics: TOPICS,
+      subscribers: Object.fromEntries(TOPICS.map(topic => [topic, getSubscriberCount(topic)])),
+      connections: getSubscriberCount()
+    }
+  });
+});
+
+export default router;
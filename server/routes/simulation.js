@@ -1,20 +1,40 @@
 import express from 'express';
-import { authenticateToken } from './auth.js';
-import { inMemoryFlights } from './flights.js';
+import { authenticateToken, requireRole, REVIEWER_ROLES } from './auth.js';
+import { inMemoryFlights, conformanceMonitor } from './flights.js';
+import { indexFlight, unindexFlight } from '../services/flightIndex.js';
+import { publish, publishFlightStatus } from '../services/realtime.js';
+import { createSimulationEngine, TICK_MS_RANGE, TIME_SCALE_RANGE } from '../services/simulationEngine.js';
+import { createFailureInjector, resolveFailureParams } from '../services/failureInjection.js';
 import { 
   KOSOVO_BOUNDS, 
   isWithinKosovo, 
-  calculateDistance,
-  URBAN_AREAS,
-  AIRPORTS,
-  RESTRICTED_ZONES
+  isPointInZone,
+  checkRestrictedZone,
+  checkSegmentRestrictedZone,
+  findBorderCrossing,
+  URBAN_AREAS
 } from '../data/kosovoData.js';
+import { getAirports, getRestrictedZones } from '../services/zoneStore.js';
+import { createRandom, randomSeed } from '../services/seededRandom.js';
+import { isValidScenarioName, listScenarios, loadScenario, saveScenario, deleteScenario } from '../services/scenarios.js';
 
 const router = express.Router();
 
 // Reference to flights (use inMemoryFlights)
 const flights = inMemoryFlights;
 
+// Scripted failures (lost link, fly-away, ...) scheduled on simulated flights
+export const failureInjector = createFailureInjector({ flights });
+
+// Server-owned clock that moves simulated drones; started from index.js
+export const simulationEngine = createSimulationEngine({
+  flights,
+  injector: failureInjector,
+  monitor: conformanceMonitor,
+  tickMs: parseInt(process.env.SIMULATION_TICK_MS) || 1000,
+  timeScale: parseFloat(process.env.SIMULATION_TIME_SCALE) || 1
+});
+
 // Simulated drone types
 const DRONE_TYPES = [
   { type: 'multirotor', model: 'DJI Mavic 3 Pro', manufacturer: 'DJI', weight: 0.895, maxSpeed: 75, maxAltitude: 120, maxFlightTime: 43 },
@@ -29,129 +49,268 @@ const DRONE_TYPES = [
 
 const FLIGHT_PURPOSES = ['recreational', 'commercial', 'survey', 'inspection', 'photography', 'agriculture'];
 
+// Default scenario: the mix the simulation has always produced
+const DEFAULT_SCENARIO = {
+  flights: { count: 25, nearCityShare: 0.7, waypoints: [2, 5] },
+  purposes: null, // null = equal weights
+  drones: null,
+  timeSpread: {
+    status: { active: 0.5, pending: 0.25, approved: 0.25 },
+    activeStartedMinutesAgo: [5, 24],
+    pendingStartsInMinutes: [10, 69],
+    approvedStartsInMinutes: [5, 34],
+    durationMinutes: [15, 59]
+  }
+};
+
+const MAX_SIMULATED_FLIGHTS = 500;
+const MAX_WAYPOINTS = 20;
+const SPREAD_RANGES = ['activeStartedMinutesAgo', 'pendingStartsInMinutes', 'approvedStartsInMinutes', 'durationMinutes'];
+
+// The seeded generator, scenario and flight counter of the current run
+let currentRun = null;
+
+function startRun(seed, scenario) {
+  currentRun = { seed, scenario, random: createRandom(seed), nextFlight: 0 };
+  return currentRun;
+}
+
+const isCount = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_SIMULATED_FLIGHTS;
+
+// Check a { key: weight } mix against the allowed keys
+function checkWeights(weights, allowed, label) {
+  if (weights === null || weights === undefined) return null;
+  if (typeof weights !== 'object' || Array.isArray(weights)) return `${label} must be an object of weights`;
+  const unknown = Object.keys(weights).filter(k => !allowed.includes(k));
+  if (unknown.length > 0) return `Unknown ${label}: ${unknown.join(', ')} (available: ${allowed.join(', ')})`;
+  const values = Object.values(weights);
+  if (!values.every(w => Number.isFinite(w) && w >= 0) || values.reduce((a, b) => a + b, 0) <= 0) {
+    return `${label} weights must be non-negative numbers with a positive total`;
+  }
+  return null;
+}
+
+// Fill a scenario definition in from the defaults; returns { scenario } or { error }
+export function normalizeScenario(input = {}) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { error: 'scenario must be an object' };
+  }
+  
+  const flights = { ...(input.flights || DEFAULT_SCENARIO.flights) };
+  if (flights.cities !== undefined) {
+    const cityNames = URBAN_AREAS.map(c => c.name);
+    if (typeof flights.cities !== 'object' || Array.isArray(flights.cities) || flights.cities === null) {
+      return { error: 'flights.cities must map city names to flight counts' };
+    }
+    const unknown = Object.keys(flights.cities).filter(name => !cityNames.includes(name));
+    if (unknown.length > 0) return { error: `Unknown cities: ${unknown.join(', ')} (available: ${cityNames.join(', ')})` };
+    if (!Object.values(flights.cities).every(isCount)) return { error: 'flights.cities counts must be whole numbers' };
+    flights.anywhere = flights.anywhere ?? 0;
+    if (!isCount(flights.anywhere)) return { error: 'flights.anywhere must be a whole number' };
+    delete flights.count;
+    delete flights.nearCityShare;
+  } else {
+    flights.count = flights.count ?? DEFAULT_SCENARIO.flights.count;
+    flights.nearCityShare = flights.nearCityShare ?? DEFAULT_SCENARIO.flights.nearCityShare;
+    if (!isCount(flights.count)) return { error: `flights.count must be a whole number up to ${MAX_SIMULATED_FLIGHTS}` };
+    if (!(flights.nearCityShare >= 0 && flights.nearCityShare <= 1)) return { error: 'flights.nearCityShare must be between 0 and 1' };
+  }
+  
+  flights.waypoints = flights.waypoints ?? DEFAULT_SCENARIO.flights.waypoints;
+  const [minWaypoints, maxWaypoints] = Array.isArray(flights.waypoints) ? flights.waypoints : [];
+  if (!Number.isInteger(minWaypoints) || !Number.isInteger(maxWaypoints) ||
+      minWaypoints < 2 || minWaypoints > maxWaypoints || maxWaypoints > MAX_WAYPOINTS) {
+    return { error: `flights.waypoints must be [min, max] waypoints per route, from 2 to ${MAX_WAYPOINTS}` };
+  }
+  
+  const total = flights.cities
+    ? Object.values(flights.cities).reduce((a, b) => a + b, 0) + flights.anywhere
+    : flights.count;
+  if (total > MAX_SIMULATED_FLIGHTS) return { error: `A scenario may have at most ${MAX_SIMULATED_FLIGHTS} flights` };
+  
+  const weightError = checkWeights(input.purposes, FLIGHT_PURPOSES, 'purposes') ||
+    checkWeights(input.drones, DRONE_TYPES.map(d => d.model), 'drones');
+  if (weightError) return { error: weightError };
+  
+  const timeSpread = { ...DEFAULT_SCENARIO.timeSpread, ...(input.timeSpread || {}) };
+  const statusError = checkWeights(timeSpread.status, ['active', 'pending', 'approved'], 'timeSpread.status');
+  if (statusError) return { error: statusError };
+  for (const key of SPREAD_RANGES) {
+    const [min, max] = Array.isArray(timeSpread[key]) ? timeSpread[key] : [];
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || min > max) {
+      return { error: `timeSpread.${key} must be [min, max] whole minutes` };
+    }
+  }
+  if (timeSpread.durationMinutes[0] < 1) return { error: 'timeSpread.durationMinutes must be at least 1' };
+  
+  const events = input.events || [];
+  if (!Array.isArray(events)) return { error: 'events must be a list' };
+  for (const [i, event] of events.entries()) {
+    if (!Number.isInteger(event?.flight) || event.flight < 0 || event.flight >= total) {
+      return { error: `events[${i}].flight must be the index of one of the scenario's ${total} flights` };
+    }
+    if (!(Number.isFinite(event.atMinutes) && event.atMinutes >= 0)) {
+      return { error: `events[${i}].atMinutes must be a non-negative number` };
+    }
+    const { error } = resolveFailureParams(event.type, event.params);
+    if (error) return { error: `events[${i}]: ${error}` };
+  }
+  
+  if (input.startTime !== undefined && isNaN(new Date(input.startTime).getTime())) {
+    return { error: 'startTime must be a date' };
+  }
+  
+  return {
+    scenario: {
+      ...(input.description ? { description: String(input.description) } : {}),
+      ...(input.seed !== undefined ? { seed: input.seed } : {}),
+      ...(input.startTime !== undefined ? { startTime: new Date(input.startTime).toISOString() } : {}),
+      flights,
+      purposes: input.purposes || null,
+      drones: input.drones || null,
+      timeSpread,
+      ...(events.length > 0 ? { events } : {})
+    }
+  };
+}
+
+// City (or null for anywhere in Kosovo) each flight of the scenario starts near
+function planOrigins(random, scenario) {
+  const { flights } = scenario;
+  if (flights.cities) {
+    const origins = [];
+    for (const city of URBAN_AREAS) {
+      for (let i = 0; i < (flights.cities[city.name] || 0); i++) origins.push(city);
+    }
+    for (let i = 0; i < flights.anywhere; i++) origins.push(null);
+    return origins;
+  }
+  return Array.from({ length: flights.count }, () => (random.next() < flights.nearCityShare ? random.pick(URBAN_AREAS) : null));
+}
+
 // Generate random point within Kosovo
-function generateRandomKosovoPoint() {
+function generateRandomKosovoPoint(random) {
   let lat, lng;
   let attempts = 0;
   const maxAttempts = 100;
   
   do {
-    lat = KOSOVO_BOUNDS.south + Math.random() * (KOSOVO_BOUNDS.north - KOSOVO_BOUNDS.south);
-    lng = KOSOVO_BOUNDS.west + Math.random() * (KOSOVO_BOUNDS.east - KOSOVO_BOUNDS.west);
+    lat = random.between(KOSOVO_BOUNDS.south, KOSOVO_BOUNDS.north);
+    lng = random.between(KOSOVO_BOUNDS.west, KOSOVO_BOUNDS.east);
     attempts++;
   } while (!isWithinKosovo(lat, lng) && attempts < maxAttempts);
   
   // Check if point is in restricted zone
   let isRestricted = false;
-  for (const zone of [...RESTRICTED_ZONES, ...AIRPORTS]) {
-    const distance = calculateDistance(lat, lng, zone.position.lat, zone.position.lng);
-    const radius = zone.restrictedRadius || zone.radius;
-    if (distance < radius) {
+  for (const zone of [...getRestrictedZones(), ...getAirports()]) {
+    if (isPointInZone(lat, lng, zone)) {
       isRestricted = true;
       break;
     }
   }
   
   if (isRestricted) {
-    return generateRandomKosovoPoint();
+    return generateRandomKosovoPoint(random);
   }
   
   return { lat, lng };
 }
 
 // Generate random point near a city
-function generatePointNearCity() {
-  const city = URBAN_AREAS[Math.floor(Math.random() * URBAN_AREAS.length)];
-  const offsetLat = (Math.random() - 0.5) * 0.1; // ~5km radius
-  const offsetLng = (Math.random() - 0.5) * 0.1;
+function generatePointNearCity(random, city) {
+  const offsetLat = random.between(-0.05, 0.05); // ~5km radius
+  const offsetLng = random.between(-0.05, 0.05);
   
   let lat = city.position.lat + offsetLat;
   let lng = city.position.lng + offsetLng;
   
   // Ensure within Kosovo
   if (!isWithinKosovo(lat, lng)) {
-    return generateRandomKosovoPoint();
+    return generateRandomKosovoPoint(random);
   }
   
   return { lat, lng };
 }
 
+// Simulated routes stay clear of restricted volumes and inside the border, so
+// the conformance monitor only alerts on injected failures
+const MAX_ROUTE_ATTEMPTS = 20;
+
+const isClearPoint = (point) =>
+  !checkRestrictedZone(point.lat, point.lng, point.altitude).some(v => v.severity === 'error');
+
+const isClearLeg = (from, to) =>
+  !findBorderCrossing(from, to) && !checkSegmentRestrictedZone(from, to).some(v => v.severity === 'error');
+
 // Generate flight number
-function generateFlightNumber() {
-  const prefix = 'KS';
-  const timestamp = Date.now().toString(36).toUpperCase().slice(-4);
-  const random = Math.random().toString(36).substring(2, 5).toUpperCase();
-  return `${prefix}-${timestamp}-${random}`;
+function generateFlightNumber(random) {
+  return `KS-${random.token(4)}-${random.token(3)}`;
 }
 
-// Generate simulated flight
-function generateSimulatedFlight(userId = 'sim_user') {
-  const numWaypoints = Math.floor(Math.random() * 4) + 2; // 2-5 waypoints
+// Generate the next simulated flight of the run, starting near `origin` (a city, or null)
+function generateSimulatedFlight(run, origin, userId = 'sim_user') {
+  const { random, scenario } = run;
+  const { timeSpread } = scenario;
+  const index = run.nextFlight++;
+  const numWaypoints = random.int(...scenario.flights.waypoints);
   const waypoints = [];
   
-  // Decide if near city or random
-  const nearCity = Math.random() > 0.3;
-  const startPoint = nearCity ? generatePointNearCity() : generateRandomKosovoPoint();
-  
-  waypoints.push({
-    lat: startPoint.lat,
-    lng: startPoint.lng,
-    altitude: Math.floor(Math.random() * 80) + 30, // 30-110m
-    order: 0
-  });
+  // Near the origin first, then anywhere in Kosovo until a clear point is found
+  let start = null;
+  for (let attempt = 0; !start; attempt++) {
+    const point = origin && attempt < MAX_ROUTE_ATTEMPTS / 2 ? generatePointNearCity(random, origin) : generateRandomKosovoPoint(random);
+    const candidate = { lat: point.lat, lng: point.lng, altitude: random.int(30, 109), order: 0 };
+    if (isClearPoint(candidate)) start = candidate;
+  }
+  waypoints.push(start);
   
-  // Generate subsequent waypoints relatively close to each other
+  // Generate subsequent waypoints relatively close to each other, keeping
+  // every leg inside Kosovo and out of restricted zones
   for (let i = 1; i < numWaypoints; i++) {
     const prevPoint = waypoints[i - 1];
-    let newLat = prevPoint.lat + (Math.random() - 0.5) * 0.05; // ~2.5km
-    let newLng = prevPoint.lng + (Math.random() - 0.5) * 0.05;
+    let next = null;
     
-    // Ensure within Kosovo
-    if (!isWithinKosovo(newLat, newLng)) {
-      newLat = prevPoint.lat + (Math.random() - 0.5) * 0.02;
-      newLng = prevPoint.lng + (Math.random() - 0.5) * 0.02;
+    for (let attempt = 0; attempt < MAX_ROUTE_ATTEMPTS && !next; attempt++) {
+      const spread = attempt < MAX_ROUTE_ATTEMPTS / 2 ? 0.025 : 0.01; // ~2.5km, then ~1km
+      const candidate = {
+        lat: prevPoint.lat + random.between(-spread, spread),
+        lng: prevPoint.lng + random.between(-spread, spread),
+        altitude: random.int(30, 109),
+        order: i
+      };
+      if (isClearLeg(prevPoint, candidate)) next = candidate;
     }
     
-    waypoints.push({
-      lat: newLat,
-      lng: newLng,
-      altitude: Math.floor(Math.random() * 80) + 30,
-      order: i
-    });
+    if (!next) break; // boxed in; fly the route generated so far
+    waypoints.push(next);
   }
   
-  // Random drone
-  const drone = { ...DRONE_TYPES[Math.floor(Math.random() * DRONE_TYPES.length)] };
-  drone.serialNumber = `SN${Math.random().toString(36).substring(2, 10).toUpperCase()}`;
-  drone.registrationNumber = `KS-${Math.random().toString(36).substring(2, 6).toUpperCase()}`;
-  
-  // Random timing - bias towards currently active flights
-  const now = new Date();
-  const rand = Math.random();
-  let startOffset, status;
-  
-  // 50% active now, 25% pending, 25% approved for future
-  if (rand < 0.5) {
-    // Active flight - started in the past, ends in the future
-    startOffset = -Math.floor(Math.random() * 20) - 5; // -5 to -25 minutes ago
-    status = 'active';
-  } else if (rand < 0.75) {
-    // Pending flight
-    startOffset = Math.floor(Math.random() * 60) + 10; // 10-70 minutes in future
-    status = 'pending';
+  const model = scenario.drones ? random.weighted(scenario.drones) : random.pick(DRONE_TYPES).model;
+  const drone = { ...DRONE_TYPES.find(d => d.model === model) };
+  drone.serialNumber = `SN${random.token(8)}`;
+  drone.registrationNumber = `KS-${random.token(4)}`;
+  
+  // Timing relative to the simulation clock
+  const now = simulationEngine.now();
+  const status = random.weighted(timeSpread.status);
+  let startOffset;
+  
+  if (status === 'active') {
+    // Active flight - started in the past
+    startOffset = -random.int(...timeSpread.activeStartedMinutesAgo);
+  } else if (status === 'pending') {
+    startOffset = random.int(...timeSpread.pendingStartsInMinutes);
   } else {
-    // Approved flight
-    startOffset = Math.floor(Math.random() * 30) + 5; // 5-35 minutes in future  
-    status = 'approved';
+    startOffset = random.int(...timeSpread.approvedStartsInMinutes);
   }
   
   const scheduledStart = new Date(now.getTime() + startOffset * 60000);
-  const duration = Math.floor(Math.random() * 45) + 15; // 15-60 minutes
+  const duration = random.int(...timeSpread.durationMinutes);
   const scheduledEnd = new Date(scheduledStart.getTime() + duration * 60000);
   
   return {
-    id: `sim_flight_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-    flightNumber: generateFlightNumber(),
+    id: `sim_flight_${run.seed}_${index}`,
+    flightNumber: generateFlightNumber(random),
     userId,
     flightType: 'waypoint',
     waypoints,
@@ -160,8 +319,8 @@ function generateSimulatedFlight(userId = 'sim_user') {
     duration,
     drone,
     maxAltitude: Math.max(...waypoints.map(w => w.altitude)),
-    estimatedSpeed: drone.maxSpeed * (0.5 + Math.random() * 0.3),
-    purpose: FLIGHT_PURPOSES[Math.floor(Math.random() * FLIGHT_PURPOSES.length)],
+    estimatedSpeed: drone.maxSpeed * random.between(0.5, 0.8),
+    purpose: scenario.purposes ? random.weighted(scenario.purposes) : random.pick(FLIGHT_PURPOSES),
     status,
     validation: {
       isValid: true,
@@ -170,51 +329,107 @@ function generateSimulatedFlight(userId = 'sim_user') {
         { name: 'altitude_check', passed: true, message: 'Altitude within legal limits', severity: 'info' },
         { name: 'restricted_zone_check', passed: true, message: 'No restricted zone conflicts', severity: 'info' }
       ],
-      validatedAt: new Date()
+      validatedAt: now
     },
+    // Airborne flights start on their (clear) route, so they conform until a failure is injected
     currentPosition: status === 'active' ? {
-      lat: waypoints[0].lat + (Math.random() - 0.5) * 0.01,
-      lng: waypoints[0].lng + (Math.random() - 0.5) * 0.01,
+      lat: waypoints[0].lat,
+      lng: waypoints[0].lng,
       altitude: waypoints[0].altitude,
-      heading: Math.floor(Math.random() * 360),
-      speed: drone.maxSpeed * (0.4 + Math.random() * 0.3),
-      updatedAt: new Date()
+      heading: random.int(0, 359),
+      speed: drone.maxSpeed * random.between(0.4, 0.7),
+      updatedAt: now
     } : null,
     isSimulated: true,
-    createdAt: new Date(now.getTime() - Math.random() * 86400000), // Within last 24h
-    updatedAt: new Date()
+    createdAt: new Date(now.getTime() - Math.floor(random.next() * 86400000)), // Within last 24h
+    updatedAt: now
   };
 }
 
-// Initialize simulation with flights
-router.post('/initialize', authenticateToken, (req, res) => {
-  const { count = 25 } = req.body;
+// Replace the simulated flights with a new run of a normalized scenario and
+// schedule its failure events; also used by scripts/check-failure-drill.js
+export function initializeSimulation(scenario, seed) {
+  const runSeed = String(seed ?? scenario.seed ?? randomSeed());
+  if (scenario.startTime) simulationEngine.setTime(new Date(scenario.startTime));
+  const run = startRun(runSeed, scenario);
   const simulatedFlights = [];
   
   // Clear existing simulated flights
   for (const [id, flight] of flights) {
     if (flight.isSimulated) {
       flights.delete(id);
+      unindexFlight(id);
     }
   }
+  failureInjector.clear();
   
   // Generate new simulated flights
-  for (let i = 0; i < count; i++) {
-    const flight = generateSimulatedFlight(`sim_pilot_${i % 10}`);
+  planOrigins(run.random, scenario).forEach((origin, i) => {
+    const flight = generateSimulatedFlight(run, origin, `sim_pilot_${i % 10}`);
     flights.set(flight.id, flight);
+    indexFlight(flight);
     simulatedFlights.push(flight);
-  }
+  });
   
-  res.json({
-    success: true,
-    message: `Initialized simulation with ${count} flights`,
-    data: {
-      totalFlights: simulatedFlights.length,
-      active: simulatedFlights.filter(f => f.status === 'active').length,
-      approved: simulatedFlights.filter(f => f.status === 'approved').length,
-      pending: simulatedFlights.filter(f => f.status === 'pending').length
+  // Scripted failures, timed from the start of the run
+  const startTime = simulationEngine.now().getTime();
+  const events = (scenario.events || []).map(event => failureInjector.schedule({
+    flightId: simulatedFlights[event.flight].id,
+    type: event.type,
+    at: startTime + event.atMinutes * 60000,
+    params: event.params
+  }).event);
+  
+  return { seed: runSeed, flights: simulatedFlights, events };
+}
+
+// Initialize simulation with flights (authority/admin only; replaces the shared run)
+//   { seed, scenario, count }  scenario is a definition or the name of a saved one;
+//   count alone keeps the default mix. The same seed and scenario (with a
+//   startTime) produce identical flights; step a paused clock to replay trajectories.
+router.post('/initialize', authenticateToken, requireRole(...REVIEWER_ROLES), async (req, res) => {
+  try {
+    const { count, seed } = req.body;
+    let input = req.body.scenario;
+    
+    if (typeof input === 'string') {
+      const saved = await loadScenario(input);
+      if (!saved) {
+        return res.status(404).json({ success: false, message: `Scenario not found: ${input}` });
+      }
+      input = saved;
     }
-  });
+    if (!input && count !== undefined) {
+      input = { flights: { count: Number(count), nearCityShare: DEFAULT_SCENARIO.flights.nearCityShare } };
+    }
+    
+    const { scenario, error } = normalizeScenario(input || {});
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    
+    const { seed: runSeed, flights: simulatedFlights, events } = initializeSimulation(scenario, seed);
+    
+    // Subscribers reload the flight list rather than receive every new flight
+    publish('flights', 'flights_reset', { reason: 'Simulation initialized', count: simulatedFlights.length });
+    
+    res.json({
+      success: true,
+      message: `Initialized simulation with ${simulatedFlights.length} flights`,
+      data: {
+        seed: runSeed,
+        scenario,
+        totalFlights: simulatedFlights.length,
+        active: simulatedFlights.filter(f => f.status === 'active').length,
+        approved: simulatedFlights.filter(f => f.status === 'approved').length,
+        pending: simulatedFlights.filter(f => f.status === 'pending').length,
+        events
+      }
+    });
+  } catch (error) {
+    console.error('Simulation initialize error:', error);
+    res.status(500).json({ success: false, message: 'Failed to initialize simulation' });
+  }
 });
 
 // Get simulation status
@@ -233,109 +448,80 @@ router.get('/status', authenticateToken, (req, res) => {
         approved: allFlights.filter(f => f.status === 'approved').length,
         pending: allFlights.filter(f => f.status === 'pending').length,
         completed: allFlights.filter(f => f.status === 'completed').length
-      }
+      },
+      clock: simulationEngine.getState(),
+      run: currentRun ? { seed: currentRun.seed, scenario: currentRun.scenario, flightsGenerated: currentRun.nextFlight } : null
     }
   });
 });
 
-// Update simulation (move active drones)
-router.post('/tick', authenticateToken, (req, res) => {
-  const updatedFlights = [];
-  const now = new Date();
+// Simulation clock state
+router.get('/clock', authenticateToken, (req, res) => {
+  res.json({ success: true, data: simulationEngine.getState() });
+});
+
+// Change tick rate and/or time acceleration
+//   { tickMs, timeScale }   timeScale 10 runs the world ten times faster than real time
+router.put('/clock', authenticateToken, requireRole(...REVIEWER_ROLES), (req, res) => {
+  const changes = {};
+  const ranges = { tickMs: TICK_MS_RANGE, timeScale: TIME_SCALE_RANGE };
   
-  for (const [id, flight] of flights) {
-    // Update active flights
-    if (flight.status === 'active' && flight.waypoints?.length > 0) {
-      // Simulate movement along trajectory
-      if (!flight.currentWaypointIndex) flight.currentWaypointIndex = 0;
-      
-      const targetWp = flight.waypoints[Math.min(flight.currentWaypointIndex, flight.waypoints.length - 1)];
-      const currentPos = flight.currentPosition || {
-        lat: flight.waypoints[0].lat,
-        lng: flight.waypoints[0].lng,
-        altitude: flight.waypoints[0].altitude
-      };
-      
-      // Move towards target
-      const speed = 0.0001 * (flight.drone?.maxSpeed || 50) / 50; // Normalized movement
-      const dLat = (targetWp.lat - currentPos.lat) * 0.1 + (Math.random() - 0.5) * 0.0005;
-      const dLng = (targetWp.lng - currentPos.lng) * 0.1 + (Math.random() - 0.5) * 0.0005;
-      
-      flight.currentPosition = {
-        lat: currentPos.lat + dLat,
-        lng: currentPos.lng + dLng,
-        altitude: targetWp.altitude + (Math.random() - 0.5) * 5,
-        heading: Math.atan2(dLng, dLat) * 180 / Math.PI,
-        speed: (flight.drone?.maxSpeed || 50) * (0.5 + Math.random() * 0.3),
-        updatedAt: now
-      };
-      
-      // Check if reached waypoint
-      const distToTarget = calculateDistance(
-        flight.currentPosition.lat, flight.currentPosition.lng,
-        targetWp.lat, targetWp.lng
-      );
-      
-      if (distToTarget < 50) { // Within 50m of waypoint
-        flight.currentWaypointIndex++;
-        if (flight.currentWaypointIndex >= flight.waypoints.length) {
-          // Flight completed
-          flight.status = 'completed';
-          flight.currentPosition = null;
-        }
-      }
-      
-      flights.set(id, flight);
-      updatedFlights.push(flight);
-    }
-    
-    // Transition approved flights to active
-    if (flight.status === 'approved') {
-      const scheduledStart = new Date(flight.scheduledStart);
-      if (scheduledStart <= now) {
-        flight.status = 'active';
-        flight.currentPosition = {
-          lat: flight.waypoints[0].lat,
-          lng: flight.waypoints[0].lng,
-          altitude: flight.waypoints[0].altitude,
-          heading: 0,
-          speed: 0,
-          updatedAt: now
-        };
-        flight.currentWaypointIndex = 0;
-        flights.set(id, flight);
-        updatedFlights.push(flight);
-      }
-    }
-    
-    // Complete flights past their end time
-    if (flight.status === 'active') {
-      const scheduledEnd = new Date(flight.scheduledEnd);
-      if (scheduledEnd <= now) {
-        flight.status = 'completed';
-        flight.currentPosition = null;
-        flights.set(id, flight);
-      }
+  for (const [field, range] of Object.entries(ranges)) {
+    if (req.body[field] === undefined) continue;
+    const value = Number(req.body[field]);
+    if (!Number.isFinite(value) || value < range.min || value > range.max) {
+      return res.status(400).json({ success: false, message: `${field} must be between ${range.min} and ${range.max}` });
     }
+    changes[field] = value;
   }
   
-  res.json({
-    success: true,
-    message: `Updated ${updatedFlights.length} flights`,
-    data: {
-      updatedCount: updatedFlights.length,
-      activeFlights: Array.from(flights.values()).filter(f => f.status === 'active').length
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ success: false, message: 'Provide tickMs and/or timeScale' });
+  }
+  
+  res.json({ success: true, data: simulationEngine.configure(changes) });
+});
+
+router.post('/start', authenticateToken, requireRole(...REVIEWER_ROLES), (req, res) => {
+  res.json({ success: true, data: simulationEngine.start() });
+});
+
+router.post('/pause', authenticateToken, requireRole(...REVIEWER_ROLES), (req, res) => {
+  res.json({ success: true, data: simulationEngine.pause() });
+});
+
+router.post('/resume', authenticateToken, requireRole(...REVIEWER_ROLES), (req, res) => {
+  res.json({ success: true, data: simulationEngine.resume() });
+});
+
+// Advance a paused simulation by one tick, or by { seconds } of simulated time
+router.post('/step', authenticateToken, requireRole(...REVIEWER_ROLES), (req, res) => {
+  let seconds;
+  if (req.body?.seconds !== undefined) {
+    seconds = Number(req.body.seconds);
+    if (!Number.isFinite(seconds) || seconds <= 0 || seconds > 3600) {
+      return res.status(400).json({ success: false, message: 'seconds must be between 0 and 3600' });
     }
-  });
+  }
+  
+  const result = simulationEngine.step(seconds);
+  if (result.error) {
+    return res.status(409).json({ success: false, message: result.error });
+  }
+  
+  res.json({ success: true, data: result });
 });
 
-// Add a single new simulated flight
-router.post('/add-flight', authenticateToken, (req, res) => {
-  const flight = generateSimulatedFlight('sim_new_pilot');
+// Add a single new simulated flight (authority/admin only)
+router.post('/add-flight', authenticateToken, requireRole(...REVIEWER_ROLES), (req, res) => {
+  const run = currentRun || startRun(randomSeed(), normalizeScenario().scenario);
+  const flight = generateSimulatedFlight(run, run.random.next() < 0.7 ? run.random.pick(URBAN_AREAS) : null, 'sim_new_pilot');
   flight.status = 'approved'; // Make it active soon
-  flight.scheduledStart = new Date(Date.now() + 60000).toISOString(); // Start in 1 minute
+  flight.scheduledStart = new Date(simulationEngine.now().getTime() + 60000).toISOString(); // Start in 1 minute
   
   flights.set(flight.id, flight);
+  indexFlight(flight);
+  publishFlightStatus(flight, 'Simulated flight added');
   
   res.json({
     success: true,
@@ -344,16 +530,19 @@ router.post('/add-flight', authenticateToken, (req, res) => {
   });
 });
 
-// Clear all simulated flights
-router.delete('/clear', authenticateToken, (req, res) => {
+// Clear all simulated flights (authority/admin only)
+router.delete('/clear', authenticateToken, requireRole(...REVIEWER_ROLES), (req, res) => {
   let cleared = 0;
   
   for (const [id, flight] of flights) {
     if (flight.isSimulated) {
       flights.delete(id);
+      unindexFlight(id);
       cleared++;
     }
   }
+  failureInjector.clear();
+  publish('flights', 'flights_reset', { reason: 'Simulation cleared', count: 0 });
   
   res.json({
     success: true,
@@ -361,4 +550,113 @@ router.delete('/clear', authenticateToken, (req, res) => {
   });
 });
 
+// ---------- Failure injection ----------
+
+// Scheduled and resolved failure events (?flightId=&status=)
+router.get('/events', authenticateToken, (req, res) => {
+  const events = failureInjector.list({ flightId: req.query.flightId || null, status: req.query.status || null });
+  res.json({ success: true, data: { events } });
+});
+
+// Schedule a failure on a simulated flight
+//   { flightId | flightNumber, type, inSeconds | at, params }
+router.post('/events', authenticateToken, requireRole(...REVIEWER_ROLES), (req, res) => {
+  const { flightNumber, type, at, inSeconds = 0, params } = req.body;
+  const flight = req.body.flightId
+    ? flights.get(req.body.flightId)
+    : Array.from(flights.values()).find(f => f.flightNumber === flightNumber);
+  if (!flight?.isSimulated) {
+    return res.status(404).json({ success: false, message: 'Simulated flight not found' });
+  }
+  
+  const time = at !== undefined ? new Date(at) : new Date(simulationEngine.now().getTime() + Number(inSeconds) * 1000);
+  if (isNaN(time.getTime())) {
+    return res.status(400).json({ success: false, message: 'at must be a date, or inSeconds a number' });
+  }
+  
+  const { event, error } = failureInjector.schedule({ flightId: flight.id, type, at: time, params });
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+  
+  res.status(201).json({ success: true, data: { event } });
+});
+
+router.delete('/events/:id', authenticateToken, requireRole(...REVIEWER_ROLES), (req, res) => {
+  if (!failureInjector.list().some(e => e.id === req.params.id)) {
+    return res.status(404).json({ success: false, message: `Event not found: ${req.params.id}` });
+  }
+  
+  const { event, error } = failureInjector.cancel(req.params.id);
+  if (error) {
+    return res.status(409).json({ success: false, message: error });
+  }
+  res.json({ success: true, data: { event } });
+});
+
+// ---------- Scenario files ----------
+
+router.get('/scenarios', authenticateToken, async (req, res) => {
+  try {
+    res.json({ success: true, data: { scenarios: await listScenarios() } });
+  } catch (error) {
+    console.error('List scenarios error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list scenarios' });
+  }
+});
+
+router.get('/scenarios/:name', authenticateToken, async (req, res) => {
+  try {
+    const scenario = await loadScenario(req.params.name);
+    if (!scenario) {
+      return res.status(404).json({ success: false, message: `Scenario not found: ${req.params.name}` });
+    }
+    res.json({ success: true, data: { scenario } });
+  } catch (error) {
+    console.error('Load scenario error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load scenario' });
+  }
+});
+
+// Save a scenario; with no body, saves the current run's seed and scenario
+router.put('/scenarios/:name', authenticateToken, requireRole(...REVIEWER_ROLES), async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!isValidScenarioName(name)) {
+      return res.status(400).json({ success: false, message: 'Scenario names may only contain letters, digits, - and _' });
+    }
+    
+    let input = req.body?.scenario;
+    if (!input) {
+      if (!currentRun) {
+        return res.status(400).json({ success: false, message: 'No scenario given and no simulation run to save' });
+      }
+      input = { ...currentRun.scenario, seed: currentRun.seed };
+    }
+    
+    const { scenario, error } = normalizeScenario(input);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    
+    await saveScenario(name, scenario);
+    res.json({ success: true, message: `Scenario ${name} saved`, data: { scenario: { ...scenario, name } } });
+  } catch (error) {
+    console.error('Save scenario error:', error);
+    res.status(500).json({ success: false, message: 'Failed to save scenario' });
+  }
+});
+
+router.delete('/scenarios/:name', authenticateToken, requireRole(...REVIEWER_ROLES), async (req, res) => {
+  try {
+    if (!isValidScenarioName(req.params.name) || !(await deleteScenario(req.params.name))) {
+      return res.status(404).json({ success: false, message: `Scenario not found: ${req.params.name}` });
+    }
+    res.json({ success: true, message: `Scenario ${req.params.name} deleted` });
+  } catch (error) {
+    console.error('Delete scenario error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete scenario' });
+  }
+});
+
 export default router;
@@ -1,20 +1,129 @@
 import express from 'express';
-import { authenticateToken } from './auth.js';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import { authenticateToken, requireRole, REVIEWER_ROLES } from './auth.js';
+import { inMemoryFlights } from './flights.js';
+import TemporaryRestriction, { RESTRICTION_REASONS } from '../models/TemporaryRestriction.js';
+import {
+  inMemoryRestrictions,
+  findRestrictions,
+  flagAffectedFlights
+} from '../services/temporaryRestrictions.js';
+import {
+  ZONE_FIELDS,
+  getAirports,
+  getRestrictedZones,
+  getZone,
+  getZoneRevision,
+  getZoneBounds,
+  createZone,
+  updateZone,
+  deleteZone,
+  listRevisions
+} from '../services/zoneStore.js';
+import { ZONE_CATEGORIES } from '../models/Zone.js';
+import { publish } from '../services/realtime.js';
+import { boundsOfPoints, boundsOfCircle } from '../services/spatialIndex.js';
 import { 
   KOSOVO_BOUNDS,
   KOSOVO_BORDER,
-  AIRPORTS,
-  RESTRICTED_ZONES,
   URBAN_AREAS,
   TERRAIN_DATA,
   KCAA_REGULATIONS,
   isWithinKosovo,
   calculateDistance,
-  checkRestrictedZone
+  getRingCenter,
+  getZonePolygons,
+  getZoneVolume,
+  checkRestrictedZone,
+  checkSegmentRestrictedZone,
+  findBorderCrossing
 } from '../data/kosovoData.js';
+import {
+  ALTITUDE_REFERENCES,
+  MIN_TERRAIN_CLEARANCE,
+  getTerrainInfo,
+  profilePath,
+  summarizeProfile
+} from '../services/terrain.js';
+import { isSimpleRing } from '../services/geometry.js';
 
 const router = express.Router();
 
+// Helper to check MongoDB connection
+const isMongoConnected = () => mongoose.connection.readyState === 1;
+
+// Restricted zones with their shape and vertical volume filled in for clients
+const describeZone = (zone) => ({ ...zone, shape: zone.shape || 'circle', volume: getZoneVolume(zone) });
+
+const isPoint = (p) => p && Number.isFinite(p.lat) && Number.isFinite(p.lng);
+const isRing = (ring) => Array.isArray(ring) && ring.length >= 3 && ring.every(isPoint);
+
+// Rings whose edges cross each other have no well-defined inside
+const isSimplePolygon = (ring) => isSimpleRing(ring.map(p => ({ x: p.lng, y: p.lat })));
+
+// Check a complete zone definition; returns an error message or null
+function validateZoneDefinition(zone) {
+  if (!isPoint(zone.position)) return 'Zone position (lat, lng) is required';
+  
+  if (zone.category === 'airport') {
+    if (!(zone.restrictedRadius > 0)) return 'Airports require a restrictedRadius';
+    if (!(zone.cautionRadius >= zone.restrictedRadius)) return 'Airport cautionRadius must be at least the restrictedRadius';
+    return null;
+  }
+  
+  const shape = zone.shape || 'circle';
+  if (shape === 'circle' && !(zone.radius > 0)) return 'Circle zones require a radius';
+  if (shape === 'polygon' && !isRing(zone.polygon)) return 'Polygon zones require at least 3 polygon points';
+  if (shape === 'multipolygon' && !(Array.isArray(zone.polygons) && zone.polygons.length > 0 && zone.polygons.every(isRing))) {
+    return 'Multipolygon zones require polygons with at least 3 points each';
+  }
+  if (!getZonePolygons({ ...zone, shape }).every(isSimplePolygon)) return 'Zone polygons must not cross themselves';
+  if (!zone.volume && !(zone.maxAltitude >= 0)) return 'Zones require maxAltitude or a volume';
+  if (zone.volume?.ceiling != null && zone.volume.ceiling <= (zone.volume.floor || 0)) return 'Volume ceiling must be above its floor';
+  return null;
+}
+
+// Polygon zones without a position use the centre of their (first) ring
+function withReferencePoint(zone) {
+  if (zone.position || zone.category === 'airport') return zone;
+  if (zone.shape === 'polygon' && isRing(zone.polygon)) return { ...zone, position: getRingCenter(zone.polygon) };
+  if (zone.shape === 'multipolygon' && isRing(zone.polygons?.[0])) return { ...zone, position: getRingCenter(zone.polygons[0]) };
+  return zone;
+}
+
+const zoneValidators = [
+  body('name').optional().trim().notEmpty(),
+  body('type').optional().trim(),
+  body('description').optional().trim(),
+  body('shape').optional().isIn(['circle', 'polygon', 'multipolygon']),
+  body('position.lat').optional().isFloat({ min: -90, max: 90 }).toFloat(),
+  body('position.lng').optional().isFloat({ min: -180, max: 180 }).toFloat(),
+  body(['radius', 'restrictedRadius', 'cautionRadius']).optional().isFloat({ min: 1 }).toFloat(),
+  body(['maxAltitude', 'elevationM']).optional().isFloat({ min: 0 }).toFloat(),
+  body('runwayHeading').optional().isFloat({ min: 0, max: 360 }).toFloat(),
+  body('volume.reference').optional().isIn(['AGL', 'AMSL']),
+  body(['volume.floor', 'volume.floorGradient']).optional().isFloat({ min: 0 }).toFloat(),
+  body('volume.ceiling').optional({ nullable: true }).isFloat({ min: 0 }).toFloat()
+];
+
+// Tell real-time subscribers near a zone that it changed
+function publishZoneChange(action, { zone, revision }) {
+  publish('zones', 'zone_change', { action, zone: describeZone(zone), revision }, getZoneBounds(zone));
+}
+
+function publishRestrictionChange(action, restriction) {
+  const bounds = restriction.shape === 'polygon'
+    ? boundsOfPoints(restriction.polygon)
+    : boundsOfCircle(restriction.position, restriction.radius);
+  publish('zones', 'restriction_change', { action, restriction }, bounds);
+}
+
+// Zone fields accepted from a request body
+const pickZoneFields = (source) => Object.fromEntries(
+  ZONE_FIELDS.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
 // Get all geographic data
 router.get('/', authenticateToken, (req, res) => {
   res.json({
@@ -22,14 +131,59 @@ router.get('/', authenticateToken, (req, res) => {
     data: {
       bounds: KOSOVO_BOUNDS,
       border: KOSOVO_BORDER,
-      airports: AIRPORTS,
-      restrictedZones: RESTRICTED_ZONES,
+      airports: getAirports(),
+      restrictedZones: getRestrictedZones().map(describeZone),
       urbanAreas: URBAN_AREAS,
-      terrain: TERRAIN_DATA
+      terrain: TERRAIN_DATA,
+      zoneRevision: getZoneRevision()
     }
   });
 });
 
+// Create a zone (admin only)
+router.post('/', authenticateToken, requireRole('admin'), [
+  body('id').trim().notEmpty().toUpperCase(),
+  body('category').isIn(ZONE_CATEGORIES),
+  body('name').trim().notEmpty(),
+  ...zoneValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+    
+    if (getZone(req.body.id)) {
+      return res.status(409).json({ success: false, message: `Zone ${req.body.id} already exists` });
+    }
+    
+    const zone = withReferencePoint({ id: req.body.id, category: req.body.category, ...pickZoneFields(req.body) });
+    const invalid = validateZoneDefinition(zone);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+    
+    const result = await createZone(zone, isMongoConnected() ? req.user._id : req.user.id);
+    publishZoneChange('create', result);
+    res.status(201).json({ success: true, message: 'Zone created', data: result });
+  } catch (error) {
+    console.error('Create zone error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create zone' });
+  }
+});
+
+// Zone change history (admin only)
+router.get('/revisions', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const revisions = await listRevisions({ zoneId: req.query.zoneId || null, limit });
+    res.json({ success: true, data: { revisions, currentRevision: getZoneRevision() } });
+  } catch (error) {
+    console.error('Zone revisions error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch zone revisions' });
+  }
+});
+
 // Get Kosovo borders
 router.get('/border', (req, res) => {
   res.json({
@@ -45,28 +199,227 @@ router.get('/border', (req, res) => {
 router.get('/airports', (req, res) => {
   res.json({
     success: true,
-    data: { airports: AIRPORTS }
+    data: { airports: getAirports() }
   });
 });
 
-// Get restricted zones
+// Get restricted zones (circles, polygons and multipolygons)
 router.get('/restricted', (req, res) => {
-  const { type } = req.query;
+  const { type, shape } = req.query;
   
-  let zones = RESTRICTED_ZONES;
+  const restrictedZones = getRestrictedZones();
+  let zones = restrictedZones.map(describeZone);
   if (type) {
     zones = zones.filter(z => z.type === type);
   }
+  if (shape) {
+    zones = zones.filter(z => z.shape === shape);
+  }
   
   res.json({
     success: true,
     data: { 
       zones,
-      types: [...new Set(RESTRICTED_ZONES.map(z => z.type))]
+      types: [...new Set(restrictedZones.map(z => z.type))],
+      shapes: ['circle', 'polygon', 'multipolygon']
     }
   });
 });
 
+// Get temporary restrictions (defaults to those not yet ended)
+router.get('/temporary', async (req, res) => {
+  try {
+    const { from, to, includeCancelled } = req.query;
+    const restrictions = await findRestrictions({
+      from: from || new Date(),
+      to: to || null,
+      includeCancelled: includeCancelled === 'true'
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        restrictions: restrictions.map(describeZone),
+        reasons: RESTRICTION_REASONS
+      }
+    });
+  } catch (error) {
+    console.error('Get temporary restrictions error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch temporary restrictions' });
+  }
+});
+
+// Create a temporary restriction (authority/admin only)
+router.post('/temporary', authenticateToken, requireRole(...REVIEWER_ROLES), [
+  body('name').trim().notEmpty(),
+  body('reason').isIn(RESTRICTION_REASONS),
+  body('description').optional().trim(),
+  body('shape').optional().isIn(['circle', 'polygon']),
+  body('position.lat').optional().isFloat({ min: -90, max: 90 }).toFloat(),
+  body('position.lng').optional().isFloat({ min: -180, max: 180 }).toFloat(),
+  body('radius').optional().isFloat({ min: 1 }).toFloat(),
+  body('polygon').optional().isArray({ min: 3 }),
+  body('polygon.*.lat').isFloat({ min: -90, max: 90 }).toFloat(),
+  body('polygon.*.lng').isFloat({ min: -180, max: 180 }).toFloat(),
+  body('maxAltitude').optional().isFloat({ min: 0 }).toFloat(),
+  body('volume.reference').optional().isIn(['AGL', 'AMSL']),
+  body('volume.floor').optional().isFloat({ min: 0 }).toFloat(),
+  body('volume.ceiling').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+  body('startTime').isISO8601().toDate(),
+  body('endTime').isISO8601().toDate()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+    
+    const { name, reason, description, shape = 'circle', radius, polygon, maxAltitude = 0, volume, startTime, endTime } = req.body;
+    
+    if (endTime <= startTime) {
+      return res.status(400).json({ success: false, message: 'End time must be after start time' });
+    }
+    if (endTime <= new Date()) {
+      return res.status(400).json({ success: false, message: 'Restriction has already ended' });
+    }
+    if (shape === 'circle' && (!req.body.position || !radius)) {
+      return res.status(400).json({ success: false, message: 'Circle restrictions require position and radius' });
+    }
+    if (shape === 'polygon' && !isRing(polygon)) {
+      return res.status(400).json({ success: false, message: 'Polygon restrictions require at least 3 polygon points' });
+    }
+    
+    // Polygons default their reference point to the vertex average
+    const position = req.body.position || getRingCenter(polygon);
+    
+    const restrictionData = {
+      name,
+      reason,
+      description,
+      shape,
+      position,
+      radius: shape === 'circle' ? radius : undefined,
+      polygon: shape === 'polygon' ? polygon.map(p => ({ lat: p.lat, lng: p.lng })) : undefined,
+      maxAltitude,
+      volume,
+      startTime,
+      endTime
+    };
+    
+    // Same geometry and volume rules as permanent zones
+    const definitionError = validateZoneDefinition(restrictionData);
+    if (definitionError) {
+      return res.status(400).json({ success: false, message: definitionError });
+    }
+    
+    let restriction;
+    if (isMongoConnected()) {
+      restriction = await TemporaryRestriction.create({ ...restrictionData, createdBy: req.user._id });
+    } else {
+      restriction = {
+        id: `tfr_${Date.now()}`,
+        ...restrictionData,
+        status: 'active',
+        createdBy: req.user.id,
+        createdAt: new Date()
+      };
+      inMemoryRestrictions.set(restriction.id, restriction);
+    }
+    
+    const flaggedFlights = await flagAffectedFlights(restriction, inMemoryFlights);
+    publishRestrictionChange('create', restriction);
+    
+    res.status(201).json({
+      success: true,
+      message: flaggedFlights.length > 0
+        ? `Temporary restriction created - ${flaggedFlights.length} approved flight(s) flagged`
+        : 'Temporary restriction created',
+      data: { restriction, flaggedFlights }
+    });
+  } catch (error) {
+    console.error('Create temporary restriction error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create temporary restriction' });
+  }
+});
+
+// Cancel a temporary restriction (authority/admin only)
+router.delete('/temporary/:id', authenticateToken, requireRole(...REVIEWER_ROLES), async (req, res) => {
+  try {
+    let restriction;
+    
+    if (isMongoConnected()) {
+      restriction = await TemporaryRestriction.findById(req.params.id);
+    } else {
+      restriction = inMemoryRestrictions.get(req.params.id);
+    }
+    
+    if (!restriction) {
+      return res.status(404).json({ success: false, message: 'Temporary restriction not found' });
+    }
+    if (restriction.status === 'cancelled') {
+      return res.status(409).json({ success: false, message: 'Temporary restriction is already cancelled' });
+    }
+    
+    restriction.status = 'cancelled';
+    restriction.cancelledAt = new Date();
+    restriction.cancelledBy = isMongoConnected() ? req.user._id : req.user.id;
+    
+    if (isMongoConnected()) {
+      await restriction.save();
+    }
+    publishRestrictionChange('cancel', restriction);
+    
+    res.json({ success: true, message: 'Temporary restriction cancelled', data: { restriction } });
+  } catch (error) {
+    console.error('Cancel temporary restriction error:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel temporary restriction' });
+  }
+});
+
+// Update a zone (admin only); bumps the zone version and the store revision
+router.put('/:zoneId', authenticateToken, requireRole('admin'), zoneValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+    
+    const existing = getZone(req.params.zoneId);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Zone not found' });
+    }
+    
+    const changes = pickZoneFields(req.body);
+    const invalid = validateZoneDefinition(withReferencePoint({ ...existing, ...changes }));
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+    
+    const result = await updateZone(req.params.zoneId, changes, isMongoConnected() ? req.user._id : req.user.id);
+    publishZoneChange('update', result);
+    res.json({ success: true, message: 'Zone updated', data: result });
+  } catch (error) {
+    console.error('Update zone error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update zone' });
+  }
+});
+
+// Delete a zone (admin only); its history stays in the revision log
+router.delete('/:zoneId', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await deleteZone(req.params.zoneId, isMongoConnected() ? req.user._id : req.user.id);
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Zone not found' });
+    }
+    
+    publishZoneChange('delete', result);
+    res.json({ success: true, message: 'Zone deleted', data: result });
+  } catch (error) {
+    console.error('Delete zone error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete zone' });
+  }
+});
+
 // Get KCAA regulations
 router.get('/regulations', (req, res) => {
   res.json({
@@ -106,7 +459,7 @@ router.get('/check-point', (req, res) => {
   let nearestAirport = null;
   let nearestAirportDistance = Infinity;
   
-  for (const airport of AIRPORTS) {
+  for (const airport of getAirports()) {
     const distance = calculateDistance(latitude, longitude, airport.position.lat, airport.position.lng);
     if (distance < nearestAirportDistance) {
       nearestAirportDistance = distance;
@@ -121,6 +474,7 @@ router.get('/check-point', (req, res) => {
       withinKosovo,
       zoneViolations,
       isValidForFlight: withinKosovo && zoneViolations.filter(v => v.severity === 'error').length === 0,
+      zoneRevision: getZoneRevision(),
       nearestCity,
       nearestAirport
     }
@@ -128,8 +482,11 @@ router.get('/check-point', (req, res) => {
 });
 
 // Validate flight path
+// Each waypoint is checked at its own altitude (falling back to maxAltitude);
+// samples between waypoints interpolate the altitude of the segment ends.
 router.post('/validate-path', (req, res) => {
   const { waypoints, maxAltitude } = req.body;
+  const altitudeOf = (wp) => wp.altitude ?? maxAltitude ?? 120;
   
   if (!waypoints || waypoints.length < 2) {
     return res.status(400).json({ success: false, message: 'At least 2 waypoints required' });
@@ -157,7 +514,7 @@ router.post('/validate-path', (req, res) => {
     }
     
     // Restricted zone check
-    const violations = checkRestrictedZone(wp.lat, wp.lng, maxAltitude || 120);
+    const violations = checkRestrictedZone(wp.lat, wp.lng, altitudeOf(wp));
     for (const v of violations) {
       if (v.severity === 'error') {
         validation.isValid = false;
@@ -165,6 +522,7 @@ router.post('/validate-path', (req, res) => {
       validation.issues.push({
         type: v.type,
         waypointIndex: i,
+        altitude: altitudeOf(wp),
         zone: v.zone.name,
         message: v.message,
         severity: v.severity
@@ -178,41 +536,38 @@ router.post('/validate-path', (req, res) => {
     const wp2 = waypoints[i + 1];
     
     const distance = calculateDistance(wp1.lat, wp1.lng, wp2.lat, wp2.lng);
-    
-    // Sample points along segment
-    const numSamples = Math.ceil(distance / 500); // Sample every 500m
     let segmentValid = true;
     
-    for (let j = 1; j < numSamples; j++) {
-      const t = j / numSamples;
-      const lat = wp1.lat + t * (wp2.lat - wp1.lat);
-      const lng = wp1.lng + t * (wp2.lng - wp1.lng);
-      
-      if (!isWithinKosovo(lat, lng)) {
+    // Exact intersection of the leg with the border and the zones it passes
+    const from = { ...wp1, altitude: altitudeOf(wp1) };
+    const to = { ...wp2, altitude: altitudeOf(wp2) };
+    const crossing = isWithinKosovo(wp1.lat, wp1.lng) && isWithinKosovo(wp2.lat, wp2.lng) ? findBorderCrossing(from, to) : null;
+    if (crossing) {
+      segmentValid = false;
+      validation.isValid = false;
+      validation.issues.push({
+        type: 'path_crosses_border',
+        segmentIndex: i,
+        location: { lat: crossing.lat, lng: crossing.lng },
+        message: `Flight path between waypoints ${i + 1} and ${i + 2} crosses Kosovo border`,
+        severity: 'error'
+      });
+    }
+    
+    const segViolations = checkSegmentRestrictedZone(from, to);
+    for (const v of segViolations) {
+      if (v.severity === 'error') {
         segmentValid = false;
         validation.isValid = false;
         validation.issues.push({
-          type: 'path_crosses_border',
+          type: 'path_crosses_restricted',
           segmentIndex: i,
-          message: `Flight path between waypoints ${i + 1} and ${i + 2} crosses Kosovo border`,
+          altitude: Math.round(v.altitude ?? altitudeOf(wp1)),
+          location: v.location,
+          zone: v.zone.name,
+          message: `Flight path crosses restricted zone: ${v.zone.name}`,
           severity: 'error'
         });
-        break;
-      }
-      
-      const segViolations = checkRestrictedZone(lat, lng, maxAltitude || 120);
-      for (const v of segViolations) {
-        if (v.severity === 'error') {
-          segmentValid = false;
-          validation.isValid = false;
-          validation.issues.push({
-            type: 'path_crosses_restricted',
-            segmentIndex: i,
-            zone: v.zone.name,
-            message: `Flight path crosses restricted zone: ${v.zone.name}`,
-            severity: 'error'
-          });
-        }
       }
     }
     
@@ -232,7 +587,99 @@ router.post('/validate-path', (req, res) => {
     data: {
       ...validation,
       totalDistance,
-      waypointCount: waypoints.length
+      waypointCount: waypoints.length,
+      zoneRevision: getZoneRevision()
+    }
+  });
+});
+
+// Terrain clearance profile for a planned route
+// Samples the path like the flight conflict checks (every 50m by default) and
+// reports ground elevation, planned altitude and height above ground, plus the
+// stretches that go above the AGL ceiling or below the minimum clearance.
+router.post('/profile', (req, res) => {
+  const {
+    waypoints,
+    maxAltitude,
+    altitudeReference = 'AGL',
+    minClearance = MIN_TERRAIN_CLEARANCE,
+    sampleDistance = 50
+  } = req.body;
+  
+  if (!Array.isArray(waypoints) || waypoints.length < 2 || !waypoints.every(isPoint)) {
+    return res.status(400).json({ success: false, message: 'At least 2 waypoints with lat/lng required' });
+  }
+  
+  if (!ALTITUDE_REFERENCES.includes(altitudeReference)) {
+    return res.status(400).json({ success: false, message: `altitudeReference must be one of: ${ALTITUDE_REFERENCES.join(', ')}` });
+  }
+  
+  if (!Number.isFinite(sampleDistance) || sampleDistance < 10 || sampleDistance > 1000) {
+    return res.status(400).json({ success: false, message: 'sampleDistance must be between 10 and 1000 meters' });
+  }
+  
+  const ceiling = KCAA_REGULATIONS.maxAltitudeAGL;
+  const samples = profilePath(waypoints, {
+    sampleDistance,
+    altitudeReference,
+    defaultAltitude: maxAltitude ?? 100
+  }).map(sample => {
+    let issue = null;
+    if (sample.altitudeAGL === null) return { ...sample, issue };
+    if (sample.altitudeAGL < 0) issue = 'terrain_collision';
+    else if (sample.altitudeAGL < minClearance) issue = 'low_clearance';
+    else if (sample.altitudeAGL > ceiling) issue = 'ceiling_exceeded';
+    return { ...sample, issue };
+  });
+  
+  // Group consecutive offending samples into stretches along the route
+  const violations = [];
+  let current = null;
+  samples.forEach((sample) => {
+    if (!sample.issue) {
+      current = null;
+      return;
+    }
+    
+    if (current && current.type === sample.issue) {
+      current.toDistance = sample.distance;
+      const worse = sample.issue === 'ceiling_exceeded'
+        ? sample.altitudeAGL > current.worst.altitudeAGL
+        : sample.altitudeAGL < current.worst.altitudeAGL;
+      if (worse) current.worst = sample;
+      current.approximate = current.approximate || sample.approximateGround;
+    } else {
+      current = { type: sample.issue, fromDistance: sample.distance, toDistance: sample.distance, worst: sample, approximate: sample.approximateGround };
+      violations.push(current);
+    }
+  });
+  
+  // Stretches measured against approximate elevation data are advisory only
+  const isBlocking = (v) => v.type !== 'low_clearance' && !v.approximate;
+  
+  const describe = (v) => {
+    const where = `${v.fromDistance}-${v.toDistance}m along the route`;
+    if (v.type === 'terrain_collision') return `Path is ${-v.worst.altitudeAGL}m below terrain ${where} (ground ${v.worst.groundElevation}m AMSL)`;
+    if (v.type === 'low_clearance') return `Only ${v.worst.altitudeAGL}m above terrain ${where} (minimum ${minClearance}m)`;
+    return `Path reaches ${v.worst.altitudeAGL}m AGL ${where}, above the ${ceiling}m AGL limit`;
+  };
+  
+  res.json({
+    success: true,
+    data: {
+      samples,
+      summary: summarizeProfile(samples),
+      violations: violations.map(v => ({
+        ...v,
+        severity: isBlocking(v) ? 'error' : 'warning',
+        message: describe(v) + (v.approximate && v.type !== 'low_clearance' ? ' - approximate elevation data, advisory until TERRAIN_HGT_DIR is set; verify before flight' : '')
+      })),
+      isValid: !violations.some(isBlocking),
+      totalDistance: samples[samples.length - 1].distance,
+      altitudeReference,
+      ceilingAGL: ceiling,
+      minClearance,
+      terrain: getTerrainInfo()
     }
   });
 });
@@ -0,0 +1,137 @@
+// Benchmark the spatial indexes used by flight validation
+//
+//   node scripts/benchmark-spatial-index.js                 # 1000, 5000 and 10000 flights
+//   node scripts/benchmark-spatial-index.js 2000 20000      # custom fleet sizes
+//
+// For each fleet size it books random waypoint and area flights over one day,
+// then runs conflict checks for new flight requests twice: against every
+// flight booked at an overlapping time (the old scan) and against the flight
+// index candidates. Both must find the same conflicts. It also times
+// checkRestrictedZone through the zone index against a scan of every zone.
+
+import { KOSOVO_BOUNDS, checkRestrictedZone, setZoneSource } from '../data/kosovoData.js';
+import { getAirports, getRestrictedZones, findZonesInBounds } from '../services/zoneStore.js';
+import { indexFlight, clearFlightIndex, findNearbyFlightIds } from '../services/flightIndex.js';
+import { findLossOfSeparation } from '../services/deconfliction.js';
+
+const FLEET_SIZES = process.argv.slice(2).map(Number).filter(n => n > 0);
+const QUERIES = 100;
+const ZONE_SAMPLES = 20000;
+const DAY_START = Date.UTC(2026, 5, 1, 6);
+
+// Small seeded PRNG so runs are comparable
+function mulberry32(seed) {
+  return () => {
+    seed |= 0; seed = seed + 0x6D2B79F5 | 0;
+    let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+function randomFlight(random, id) {
+  const lat = KOSOVO_BOUNDS.south + 0.2 + random() * (KOSOVO_BOUNDS.north - KOSOVO_BOUNDS.south - 0.4);
+  const lng = KOSOVO_BOUNDS.west + 0.2 + random() * (KOSOVO_BOUNDS.east - KOSOVO_BOUNDS.west - 0.4);
+  const start = DAY_START + Math.floor(random() * 12 * 60) * 60000;
+  const flight = {
+    id,
+    status: 'approved',
+    scheduledStart: new Date(start).toISOString(),
+    scheduledEnd: new Date(start + (15 + Math.floor(random() * 75)) * 60000).toISOString(),
+    maxAltitude: 40 + Math.floor(random() * 80),
+    estimatedSpeed: 30 + random() * 40
+  };
+
+  if (random() < 0.2) {
+    flight.operationArea = { type: 'circle', center: { lat, lng }, radius: 200 + random() * 800 };
+    return flight;
+  }
+
+  // Survey routes: a few legs of up to ~3km, sometimes a long lawnmower pattern
+  const legs = random() < 0.1 ? 12 : 1 + Math.floor(random() * 5);
+  flight.waypoints = [{ lat, lng, altitude: flight.maxAltitude }];
+  for (let i = 0; i < legs; i++) {
+    const prev = flight.waypoints[i];
+    flight.waypoints.push({
+      lat: prev.lat + (random() - 0.5) * 0.05,
+      lng: prev.lng + (random() - 0.5) * 0.05,
+      altitude: 30 + Math.floor(random() * 90)
+    });
+  }
+  return flight;
+}
+
+const overlaps = (a, b) => new Date(a.scheduledStart) < new Date(b.scheduledEnd) && new Date(a.scheduledEnd) > new Date(b.scheduledStart);
+
+function time(fn) {
+  const started = process.hrtime.bigint();
+  const result = fn();
+  return { result, ms: Number(process.hrtime.bigint() - started) / 1e6 };
+}
+
+function benchmarkFleet(size) {
+  const random = mulberry32(size);
+  const fleet = new Map();
+  for (let i = 0; i < size; i++) fleet.set(`bench_${i}`, randomFlight(random, `bench_${i}`));
+  const requests = Array.from({ length: QUERIES }, (_, i) => randomFlight(random, `request_${i}`));
+
+  clearFlightIndex();
+  const build = time(() => { for (const flight of fleet.values()) indexFlight(flight); });
+
+  const scan = time(() => requests.map(request =>
+    Array.from(fleet.values())
+      .filter(flight => overlaps(request, flight))
+      .filter(flight => findLossOfSeparation(request, flight))
+      .map(flight => flight.id)
+  ));
+
+  const indexed = time(() => requests.map(request =>
+    findNearbyFlightIds(request)
+      .map(id => fleet.get(id))
+      .filter(flight => overlaps(request, flight))
+      .filter(flight => findLossOfSeparation(request, flight))
+      .map(flight => flight.id)
+  ));
+
+  const same = scan.result.every((ids, i) => ids.sort().join() === indexed.result[i].sort().join());
+  const conflicts = indexed.result.reduce((sum, ids) => sum + ids.length, 0);
+
+  console.log(
+    `${String(size).padStart(7)} flights | index build ${build.ms.toFixed(1).padStart(7)}ms | ` +
+    `scan ${(scan.ms / QUERIES).toFixed(2).padStart(8)}ms/check | indexed ${(indexed.ms / QUERIES).toFixed(2).padStart(7)}ms/check | ` +
+    `${(scan.ms / indexed.ms).toFixed(1).padStart(6)}x | ${conflicts} conflicts | ${same ? 'results match' : 'RESULTS DIFFER'}`
+  );
+  return same;
+}
+
+function benchmarkZones() {
+  const random = mulberry32(42);
+  const points = Array.from({ length: ZONE_SAMPLES }, () => ({
+    lat: KOSOVO_BOUNDS.south + random() * (KOSOVO_BOUNDS.north - KOSOVO_BOUNDS.south),
+    lng: KOSOVO_BOUNDS.west + random() * (KOSOVO_BOUNDS.east - KOSOVO_BOUNDS.west)
+  }));
+  const run = () => points.map(p => checkRestrictedZone(p.lat, p.lng, 100).map(v => v.zone.id).sort().join());
+
+  const indexed = time(run);
+  setZoneSource(() => ({ airports: getAirports(), restrictedZones: getRestrictedZones() }));
+  const scan = time(run);
+  setZoneSource(findZonesInBounds);
+
+  const same = scan.result.every((ids, i) => ids === indexed.result[i]);
+  const zoneCount = getAirports().length + getRestrictedZones().length;
+  console.log(
+    `  zone checks | ${ZONE_SAMPLES} points, ${zoneCount} zones | scan ${(scan.ms * 1000 / ZONE_SAMPLES).toFixed(1)}µs/point | ` +
+    `indexed ${(indexed.ms * 1000 / ZONE_SAMPLES).toFixed(1)}µs/point | ${same ? 'results match' : 'RESULTS DIFFER'}`
+  );
+  return same;
+}
+
+console.log(`Conflict checks: ${QUERIES} new flight requests per fleet size\n`);
+let ok = true;
+for (const size of FLEET_SIZES.length > 0 ? FLEET_SIZES : [1000, 5000, 10000]) {
+  ok = benchmarkFleet(size) && ok;
+}
+console.log('');
+ok = benchmarkZones() && ok;
+
+process.exit(ok ? 0 : 1);
@@ -0,0 +1,104 @@
+// Build the bundled compact elevation grid (data/terrain/kosovo-dem.json)
+//
+//   node scripts/build-terrain-grid.js                 # approximate grid from reference elevations
+//   node scripts/build-terrain-grid.js --hgt <dir>     # downsample SRTM .hgt tiles from <dir>
+//
+// Without SRTM tiles the grid is interpolated (inverse distance weighting) from
+// surveyed elevations of towns, airports, valleys and peaks, which is only good
+// for coarse terrain awareness. Set TERRAIN_HGT_DIR at runtime for accurate AGL.
+
+import fs from 'fs';
+import { DEFAULT_GRID_FILE, loadTerrain, getGroundElevation } from '../services/terrain.js';
+import { AIRPORTS, URBAN_AREAS, TERRAIN_DATA } from '../data/kosovoData.js';
+
+const GRID = { south: 41.84, west: 19.90, cellSize: 0.02, rows: 73, cols: 96 };
+
+// Town elevations (m AMSL) keyed by URBAN_AREAS name
+const URBAN_ELEVATIONS = {
+  Pristina: 652, Prizren: 420, Ferizaj: 585, Peja: 520, Gjakova: 370, Mitrovica: 510, Gjilan: 550, Podujeva: 600
+};
+
+// Additional reference elevations covering valleys, plateaus and border ranges
+const REFERENCE_POINTS = [
+  { name: 'Rugova Gorge', lat: 42.68, lng: 20.15, elevation: 1500 },
+  { name: 'Hajla', lat: 42.76, lng: 20.14, elevation: 2403 },
+  { name: 'Mokna', lat: 42.95, lng: 20.45, elevation: 1700 },
+  { name: 'Kopaonik (border)', lat: 43.25, lng: 20.85, elevation: 1900 },
+  { name: 'Leposavic', lat: 43.10, lng: 20.80, elevation: 560 },
+  { name: 'Zubin Potok', lat: 42.91, lng: 20.69, elevation: 600 },
+  { name: 'Vushtrri', lat: 42.82, lng: 20.97, elevation: 530 },
+  { name: 'Drenica', lat: 42.65, lng: 20.85, elevation: 700 },
+  { name: 'Malisheva', lat: 42.48, lng: 20.74, elevation: 600 },
+  { name: 'Rahovec', lat: 42.40, lng: 20.65, elevation: 380 },
+  { name: 'Junik', lat: 42.47, lng: 20.28, elevation: 600 },
+  { name: 'Suhareka', lat: 42.36, lng: 20.83, elevation: 450 },
+  { name: 'Pashtrik', lat: 42.23, lng: 20.57, elevation: 1986 },
+  { name: 'Brezovica', lat: 42.21, lng: 21.02, elevation: 1700 },
+  { name: 'Ljuboten', lat: 42.19, lng: 21.11, elevation: 2498 },
+  { name: 'Kacanik', lat: 42.23, lng: 21.26, elevation: 500 },
+  { name: 'Shtime', lat: 42.43, lng: 21.04, elevation: 600 },
+  { name: 'Karadak', lat: 42.28, lng: 21.45, elevation: 1000 },
+  { name: 'Kamenica', lat: 42.58, lng: 21.58, elevation: 480 },
+  { name: 'Novo Brdo', lat: 42.61, lng: 21.42, elevation: 1100 },
+  { name: 'Gollak', lat: 42.75, lng: 21.40, elevation: 1000 }
+];
+
+function referencePoints() {
+  return [
+    ...TERRAIN_DATA.map(t => ({ lat: t.position.lat, lng: t.position.lng, elevation: t.elevation })),
+    ...AIRPORTS.map(a => ({ lat: a.position.lat, lng: a.position.lng, elevation: a.elevationM })),
+    ...URBAN_AREAS.map(u => ({ lat: u.position.lat, lng: u.position.lng, elevation: URBAN_ELEVATIONS[u.name] })),
+    ...REFERENCE_POINTS
+  ].filter(p => Number.isFinite(p.elevation));
+}
+
+// Inverse distance weighting over the nearest reference points (distances in degrees scaled for latitude)
+const IDW_NEIGHBOURS = 6;
+const IDW_POWER = 3;
+
+function idw(points, lat, lng) {
+  const lngScale = Math.cos(lat * Math.PI / 180);
+  const nearest = points
+    .map(p => ({ elevation: p.elevation, d2: (p.lat - lat) ** 2 + ((p.lng - lng) * lngScale) ** 2 }))
+    .sort((a, b) => a.d2 - b.d2)
+    .slice(0, IDW_NEIGHBOURS);
+
+  if (nearest[0].d2 < 1e-10) return nearest[0].elevation;
+  let weighted = 0, weights = 0;
+  for (const p of nearest) {
+    const w = 1 / p.d2 ** (IDW_POWER / 2);
+    weighted += w * p.elevation;
+    weights += w;
+  }
+  return weighted / weights;
+}
+
+const hgtIndex = process.argv.indexOf('--hgt');
+const hgtDirectory = hgtIndex > -1 ? process.argv[hgtIndex + 1] : null;
+const points = referencePoints();
+
+if (hgtDirectory) {
+  loadTerrain({ hgtDirectory });
+}
+
+const elevations = [];
+for (let row = 0; row < GRID.rows; row++) {
+  for (let col = 0; col < GRID.cols; col++) {
+    const lat = GRID.south + row * GRID.cellSize;
+    const lng = GRID.west + col * GRID.cellSize;
+    const elevation = hgtDirectory ? getGroundElevation(lat, lng) ?? idw(points, lat, lng) : idw(points, lat, lng);
+    elevations.push(Math.round(elevation));
+  }
+}
+
+const output = {
+  source: hgtDirectory
+    ? `SRTM tiles downsampled to ${GRID.cellSize}° posts`
+    : `Coarse approximation interpolated from ${points.length} reference elevations (set TERRAIN_HGT_DIR for SRTM accuracy)`,
+  approximate: !hgtDirectory,
+  ...GRID,
+  elevations
+};
+
+fs.writeFileSync(DEFAULT_GRID_FILE, JSON.stringify(output) + '\n');
+console.log(`Wrote ${GRID.rows}x${GRID.cols} elevation grid to ${DEFAULT_GRID_FILE}`);
@@ -0,0 +1,56 @@
+// Run a failure-injection scenario and assert on its outcomes
+//
+//   node scripts/check-failure-drill.js                 # the bundled failure-drill scenario
+//   node scripts/check-failure-drill.js my-scenario 90  # a saved scenario, at most 90 simulated minutes
+//
+// Loads the scenario on a paused simulation clock and steps it 10 seconds at a
+// time until every scripted event is resolved (or the time limit is reached),
+// then prints each event with its expected and observed outcome. Exits with
+// status 1 unless every event was met.
+
+import { simulationEngine, failureInjector, normalizeScenario, initializeSimulation } from '../routes/simulation.js';
+import { loadScenario } from '../services/scenarios.js';
+
+const [name = 'failure-drill', limit = '60'] = process.argv.slice(2);
+const MAX_MINUTES = Number(limit);
+const STEP_SECONDS = 10;
+const UNRESOLVED = ['scheduled', 'triggered'];
+
+const input = await loadScenario(name);
+if (!input) {
+  console.error(`Scenario not found: ${name}`);
+  process.exit(1);
+}
+
+const { scenario, error } = normalizeScenario(input);
+if (error) {
+  console.error(`Invalid scenario ${name}: ${error}`);
+  process.exit(1);
+}
+if (!scenario.events?.length) {
+  console.error(`Scenario ${name} has no events to check`);
+  process.exit(1);
+}
+
+const { seed } = initializeSimulation(scenario);
+const startTime = simulationEngine.now().getTime();
+console.log(`Scenario ${name} (seed ${seed}), ${scenario.events.length} event(s)\n`);
+
+let elapsed = 0;
+while (elapsed < MAX_MINUTES * 60 && failureInjector.list().some(e => UNRESOLVED.includes(e.status))) {
+  simulationEngine.step(STEP_SECONDS);
+  elapsed += STEP_SECONDS;
+}
+
+const minutesSinceStart = (time) => (time ? `+${((new Date(time).getTime() - startTime) / 60000).toFixed(1)} min` : '-');
+
+const events = failureInjector.list();
+for (const event of events) {
+  console.log(`${event.status === 'met' ? '✓' : '✗'} ${event.flightNumber} ${event.type}: ${event.status}`);
+  console.log(`    expected  ${event.expected.outcome} (within ${Math.round(event.expected.withinSeconds ?? 0)}s)`);
+  console.log(`    observed  ${event.observed || '-'} (triggered ${minutesSinceStart(event.triggeredAt)}, resolved ${minutesSinceStart(event.resolvedAt)})`);
+}
+
+const failed = events.filter(e => e.status !== 'met');
+console.log(`\n${events.length - failed.length}/${events.length} events met after ${(elapsed / 60).toFixed(1)} simulated minutes`);
+process.exit(failed.length > 0 ? 1 : 0);
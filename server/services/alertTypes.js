@@ -0,0 +1,5 @@
+// Conformance alert types
+// Shared by the MongoDB model and services/conformanceMonitor.js; kept free of
+// imports so the model can use it without loading the monitor.
+
+export const ALERT_TYPES = ['deviation', 'altitude_bust', 'zone_incursion', 'overtime'];
@@ -0,0 +1,188 @@
+// Conformance monitoring of active flights
+// Every position update of an active flight is compared with what was
+// approved: the route corridor (or operation area), the altitude ceiling, the
+// scheduled end, the Kosovo border and the restricted zones. Each breach opens
+// a typed alert on the flight; the alert stays open while the breach lasts and
+// is cleared once the flight conforms again or lands.
+//
+//   deviation       outside the route corridor or operation area, or outside Kosovo
+//   altitude_bust   above the approved ceiling or the 120m AGL limit
+//   zone_incursion  inside a restricted zone or an airport's restricted radius
+//   overtime        still flying after the scheduled end
+
+import { KCAA_REGULATIONS, checkRestrictedZone, isWithinKosovo } from '../data/kosovoData.js';
+import { createProjection, areaToShape, pointShapeDistance } from './geometry.js';
+import { boundsOfPoints } from './spatialIndex.js';
+import { publish } from './realtime.js';
+import { ALERT_TYPES } from './alertTypes.js';
+
+export { ALERT_TYPES };
+
+const DEFAULT_LATERAL_TOLERANCE = 100; // meters either side of the route, or outside the area
+const DEFAULT_ALTITUDE_TOLERANCE = 10; // meters above the highest planned altitude
+
+const getFlightId = (flight) => String(flight._id || flight.id);
+const getOwnerId = (flight) => String(flight.userId?._id || flight.userId);
+
+// Distance (m) from a position to the approved route corridor centreline or operation area
+function distanceFromApproved(flight, position) {
+  const projection = createProjection(position.lat, position.lng);
+  const shape = flight.operationArea?.center
+    ? areaToShape(flight.operationArea, projection)
+    : { type: 'corridor', path: flight.waypoints.map(wp => projection.toXY(wp.lat, wp.lng)), halfWidth: 0 };
+  return pointShapeDistance({ x: 0, y: 0 }, shape);
+}
+
+// Highest altitude the flight may reach
+function getAltitudeCeiling(flight, altitudeTolerance) {
+  const planned = Math.max(flight.maxAltitude ?? 0, ...(flight.waypoints || []).map(wp => wp.altitude ?? 0));
+  const ceiling = planned + altitudeTolerance;
+  return (flight.altitudeReference || 'AGL') === 'AGL' ? Math.min(ceiling, KCAA_REGULATIONS.maxAltitudeAGL) : ceiling;
+}
+
+// Breaches of a flight at its current position and the given time, keyed so a
+// continuing breach maps onto the same alert
+export function checkConformance(flight, time, {
+  lateralTolerance = DEFAULT_LATERAL_TOLERANCE,
+  altitudeTolerance = DEFAULT_ALTITUDE_TOLERANCE
+} = {}) {
+  const breaches = [];
+  const position = flight.currentPosition;
+
+  if (new Date(flight.scheduledEnd) < time) {
+    const minutes = Math.round((time - new Date(flight.scheduledEnd)) / 60000);
+    breaches.push({
+      key: 'overtime',
+      type: 'overtime',
+      severity: 'warning',
+      message: `Still flying ${minutes} min after the scheduled end`,
+      value: minutes
+    });
+  }
+
+  if (!Number.isFinite(position?.lat) || !Number.isFinite(position?.lng)) return breaches;
+
+  if (!isWithinKosovo(position.lat, position.lng)) {
+    breaches.push({ key: 'deviation:border', type: 'deviation', severity: 'error', message: 'Outside Kosovo airspace' });
+  } else if (flight.operationArea?.center || flight.waypoints?.length > 0) {
+    const distance = distanceFromApproved(flight, position);
+    if (distance > lateralTolerance) {
+      const what = flight.operationArea?.center ? 'the operation area' : 'the route centreline';
+      breaches.push({
+        key: 'deviation:route',
+        type: 'deviation',
+        severity: 'warning',
+        message: `${Math.round(distance)}m from ${what} (tolerance ${lateralTolerance}m)`,
+        value: Math.round(distance),
+        limit: lateralTolerance
+      });
+    }
+  }
+
+  const ceiling = getAltitudeCeiling(flight, altitudeTolerance);
+  if (position.altitude > ceiling) {
+    breaches.push({
+      key: 'altitude_bust',
+      type: 'altitude_bust',
+      severity: position.altitude > KCAA_REGULATIONS.maxAltitudeAGL ? 'error' : 'warning',
+      message: `Flying at ${Math.round(position.altitude)}m, ceiling ${Math.round(ceiling)}m`,
+      value: Math.round(position.altitude),
+      limit: Math.round(ceiling)
+    });
+  }
+
+  for (const violation of checkRestrictedZone(position.lat, position.lng, position.altitude ?? 0)) {
+    if (violation.severity !== 'error') continue;
+    breaches.push({
+      key: `zone_incursion:${violation.zone.id}`,
+      type: 'zone_incursion',
+      severity: 'error',
+      message: violation.message,
+      zoneId: violation.zone.id,
+      zoneName: violation.zone.name
+    });
+  }
+
+  return breaches;
+}
+
+export function createConformanceMonitor(options = {}) {
+  const thresholds = {
+    lateralTolerance: options.lateralTolerance ?? DEFAULT_LATERAL_TOLERANCE,
+    altitudeTolerance: options.altitudeTolerance ?? DEFAULT_ALTITUDE_TOLERANCE
+  };
+
+  function notify(flight, alert, action) {
+    const position = alert.position || flight.currentPosition;
+    publish('alerts', 'conformance_alert', {
+      flightId: getFlightId(flight),
+      flightNumber: flight.flightNumber,
+      action,
+      alert
+    }, position ? boundsOfPoints([position]) : null, getOwnerId(flight));
+  }
+
+  function clearAlert(flight, alert, time) {
+    alert.clearedAt = time;
+    notify(flight, alert, 'cleared');
+  }
+
+  // Compare an active flight's latest position with its approval; returns the
+  // alerts raised and cleared (flight.alerts is updated in place)
+  function observe(flight, time = new Date()) {
+    if (flight.status !== 'active') return { raised: [], cleared: [] };
+    if (!flight.alerts) flight.alerts = [];
+
+    const breaches = checkConformance(flight, time, thresholds);
+    const open = flight.alerts.filter(a => !a.clearedAt);
+    const raised = [];
+    const cleared = [];
+
+    for (const breach of breaches) {
+      const existing = open.find(a => a.key === breach.key);
+      if (existing) {
+        existing.lastSeenAt = time;
+        existing.message = breach.message;
+        if (breach.value !== undefined) existing.value = breach.value;
+        continue;
+      }
+
+      const position = flight.currentPosition;
+      flight.alerts.push({
+        ...breach,
+        position: position ? { lat: position.lat, lng: position.lng, altitude: position.altitude } : undefined,
+        raisedAt: time,
+        lastSeenAt: time,
+        clearedAt: null
+      });
+      // Mongoose wraps pushed objects, so read back the stored alert
+      const alert = flight.alerts[flight.alerts.length - 1];
+      raised.push(alert);
+      notify(flight, alert, 'raised');
+    }
+
+    for (const alert of open) {
+      if (!breaches.some(b => b.key === alert.key)) {
+        clearAlert(flight, alert, time);
+        cleared.push(alert);
+      }
+    }
+
+    return { raised, cleared };
+  }
+
+  // Clear every open alert of a flight that has stopped flying
+  function close(flight, time = new Date()) {
+    for (const alert of (flight.alerts || []).filter(a => !a.clearedAt)) {
+      clearAlert(flight, alert, time);
+    }
+  }
+
+  return { observe, close, thresholds };
+}
+
+export default {
+  ALERT_TYPES,
+  checkConformance,
+  createConformanceMonitor
+};
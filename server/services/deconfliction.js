@@ -0,0 +1,254 @@
+// 4D deconfliction
+// Flights are turned into trajectories in space and time: a waypoint flight
+// leaves its first waypoint at scheduledStart, flies each leg at its estimated
+// speed (estimatedSpeed, else drone.maxSpeed) and climbs or descends linearly
+// between per-waypoint altitudes, then holds at its last waypoint until
+// scheduledEnd. An area flight may be anywhere in its operation area, from the
+// ground up to maxAltitude, for its whole scheduled window.
+//
+// Two flights only conflict when they are inside both separation minima at the
+// same moment. Each pair is checked leg by leg with the exact closest-approach
+// solution on a local flat projection, so the earliest loss of separation is
+// found without sampling.
+
+import { profilePath } from './terrain.js';
+import {
+  createProjection,
+  areaToShape,
+  pointShapeDistance,
+  segmentNearShapeIntervals,
+  shapeDistance,
+  overlapPoint
+} from './geometry.js';
+
+export const SEPARATION_MINIMA = {
+  horizontal: 200, // meters
+  vertical: 30 // meters
+};
+
+const DEFAULT_SPEED = 36; // km/h, when neither estimatedSpeed nor drone.maxSpeed is known
+
+const toMs = (date) => new Date(date).getTime();
+
+function getFlightSpeed(flight) {
+  const speed = flight.estimatedSpeed || flight.drone?.maxSpeed || DEFAULT_SPEED;
+  return speed / 3.6; // m/s
+}
+
+// Trajectory of a waypoint flight: [{ t, x, y, z }] with t in ms and z in meters AMSL
+export function buildTrajectory(flight, projection) {
+  const waypoints = flight.waypoints || [];
+  if (waypoints.length === 0) return [];
+
+  const start = toMs(flight.scheduledStart);
+  const end = toMs(flight.scheduledEnd);
+  const speed = getFlightSpeed(flight);
+
+  // Waypoint altitudes in AMSL, using the flight's altitude reference
+  const altitudes = profilePath(waypoints, {
+    sampleDistance: Infinity,
+    altitudeReference: flight.altitudeReference || 'AGL',
+    defaultAltitude: flight.maxAltitude ?? 100
+  }).map(sample => sample.altitudeAMSL);
+
+  const nodes = [];
+  let t = start;
+  waypoints.forEach((wp, i) => {
+    const { x, y } = projection.toXY(wp.lat, wp.lng);
+    if (i > 0) {
+      const prev = nodes[nodes.length - 1];
+      t += Math.hypot(x - prev.x, y - prev.y) / speed * 1000;
+    }
+    nodes.push({ t, x, y, z: altitudes[i] });
+  });
+
+  // Hold at the last waypoint for the rest of the booked window
+  const last = nodes[nodes.length - 1];
+  if (last.t < end) nodes.push({ ...last, t: end });
+
+  return nodes;
+}
+
+// Position on a trajectory at time t (null when the drone is not airborne)
+function positionAt(trajectory, t) {
+  if (trajectory.length === 0 || t < trajectory[0].t || t > trajectory[trajectory.length - 1].t) return null;
+  if (trajectory.length === 1) return { ...trajectory[0] };
+
+  for (let i = 0; i < trajectory.length - 1; i++) {
+    const a = trajectory[i], b = trajectory[i + 1];
+    if (t > b.t) continue;
+    const f = b.t === a.t ? 0 : (t - a.t) / (b.t - a.t);
+    return { t, x: a.x + f * (b.x - a.x), y: a.y + f * (b.y - a.y), z: a.z + f * (b.z - a.z) };
+  }
+  return { ...trajectory[trajectory.length - 1] };
+}
+
+// Times (ms) within [t0, t1] where a + b*s stays inside [lo, hi], s = seconds from t0
+function linearInterval(a, b, lo, hi, duration) {
+  if (b === 0) return a >= lo && a <= hi ? [0, duration] : null;
+  let s1 = (lo - a) / b, s2 = (hi - a) / b;
+  if (s1 > s2) [s1, s2] = [s2, s1];
+  const from = Math.max(0, s1), to = Math.min(duration, s2);
+  return from <= to ? [from, to] : null;
+}
+
+// Times within [0, duration] where |p + v*s| <= radius
+function circleInterval(px, py, vx, vy, radius, duration) {
+  const a = vx * vx + vy * vy;
+  const b = 2 * (px * vx + py * vy);
+  const c = px * px + py * py - radius * radius;
+  if (a === 0) return c <= 0 ? [0, duration] : null;
+  const disc = b * b - 4 * a * c;
+  if (disc < 0) return null;
+  const root = Math.sqrt(disc);
+  const from = Math.max(0, (-b - root) / (2 * a)), to = Math.min(duration, (-b + root) / (2 * a));
+  return from <= to ? [from, to] : null;
+}
+
+const intersect = (i1, i2) => {
+  if (!i1 || !i2) return null;
+  const from = Math.max(i1[0], i2[0]), to = Math.min(i1[1], i2[1]);
+  return from <= to ? [from, to] : null;
+};
+
+// Break points of both trajectories inside the common window
+function commonBreakpoints(t0, t1, ...trajectories) {
+  const times = new Set([t0, t1]);
+  for (const trajectory of trajectories) {
+    for (const node of trajectory) if (node.t > t0 && node.t < t1) times.add(node.t);
+  }
+  return Array.from(times).sort((a, b) => a - b);
+}
+
+// Earliest loss of separation between two waypoint trajectories
+function trajectoryConflict(traj1, traj2, minima) {
+  if (traj1.length === 0 || traj2.length === 0) return null;
+  const t0 = Math.max(traj1[0].t, traj2[0].t);
+  const t1 = Math.min(traj1[traj1.length - 1].t, traj2[traj2.length - 1].t);
+  if (t0 >= t1) return null;
+
+  const times = commonBreakpoints(t0, t1, traj1, traj2);
+  for (let i = 0; i < times.length - 1; i++) {
+    const ta = times[i], tb = times[i + 1];
+    const duration = (tb - ta) / 1000;
+    const p1 = positionAt(traj1, ta), q1 = positionAt(traj1, tb);
+    const p2 = positionAt(traj2, ta), q2 = positionAt(traj2, tb);
+
+    // Relative motion of flight 2 seen from flight 1 is linear on this interval
+    const dx = p2.x - p1.x, dy = p2.y - p1.y, dz = p2.z - p1.z;
+    const rate = (from, to) => (duration === 0 ? 0 : (to - from) / duration);
+    const vx = rate(dx, q2.x - q1.x), vy = rate(dy, q2.y - q1.y), vz = rate(dz, q2.z - q1.z);
+
+    const window = intersect(
+      circleInterval(dx, dy, vx, vy, minima.horizontal, duration),
+      linearInterval(dz, vz, -minima.vertical, minima.vertical, duration)
+    );
+    if (window) {
+      const t = ta + window[0] * 1000;
+      const a = positionAt(traj1, t), b = positionAt(traj2, t);
+      return { t, own: a, other: b };
+    }
+  }
+  return null;
+}
+
+// Earliest time a waypoint trajectory comes within the minima of an area flight's volume
+function trajectoryAreaConflict(trajectory, areaFlight, projection, minima) {
+  if (trajectory.length === 0) return null;
+  const area = areaFlight.operationArea;
+  const t0 = Math.max(trajectory[0].t, toMs(areaFlight.scheduledStart));
+  const t1 = Math.min(trajectory[trajectory.length - 1].t, toMs(areaFlight.scheduledEnd));
+  if (t0 >= t1) return null;
+
+  const shape = areaToShape(area, projection);
+  const top = profilePath([area.center], {
+    altitudeReference: areaFlight.altitudeReference || 'AGL',
+    defaultAltitude: areaFlight.maxAltitude ?? 100
+  })[0].altitudeAMSL;
+
+  const times = commonBreakpoints(t0, t1, trajectory);
+  for (let i = 0; i < times.length - 1; i++) {
+    const ta = times[i], tb = times[i + 1];
+    const duration = (tb - ta) / 1000;
+    const p = positionAt(trajectory, ta), q = positionAt(trajectory, tb);
+    const rate = (from, to) => (duration === 0 ? 0 : (to - from) / duration);
+
+    // Parts of this leg within the horizontal minimum of the area, in seconds from ta
+    const vertical = linearInterval(p.z, rate(p.z, q.z), -Infinity, top + minima.vertical, duration);
+    const window = segmentNearShapeIntervals(p, q, shape, minima.horizontal)
+      .map(([from, to]) => intersect([from * duration, to * duration], vertical))
+      .find(Boolean);
+    if (window) {
+      const t = ta + window[0] * 1000;
+      const own = positionAt(trajectory, t);
+      return { t, own, other: null, gap: pointShapeDistance(own, shape) };
+    }
+  }
+  return null;
+}
+
+// Two operation areas conflict as soon as both are booked and they come within the horizontal minimum
+function areaAreaConflict(flight1, flight2, projection, minima) {
+  const t0 = Math.max(toMs(flight1.scheduledStart), toMs(flight2.scheduledStart));
+  const t1 = Math.min(toMs(flight1.scheduledEnd), toMs(flight2.scheduledEnd));
+  if (t0 >= t1) return null;
+
+  const a = areaToShape(flight1.operationArea, projection);
+  const b = areaToShape(flight2.operationArea, projection);
+  const gap = shapeDistance(a, b);
+  if (gap >= minima.horizontal) return null;
+
+  // Report a point the two areas share (or the gap between them)
+  const { x, y } = overlapPoint(a, b);
+  return { t: t0, own: { x, y, z: null }, other: { x, y, z: null }, gap };
+}
+
+// Find the earliest loss of separation between two flights, or null if they stay separated
+export function findLossOfSeparation(flight1, flight2, minima = SEPARATION_MINIMA) {
+  const ref = flight1.operationArea?.center || flight1.waypoints?.[0];
+  if (!ref) return null;
+  const projection = createProjection(ref.lat, ref.lng);
+
+  const isArea1 = Boolean(flight1.operationArea?.center);
+  const isArea2 = Boolean(flight2.operationArea?.center);
+
+  let result;
+  let type;
+  if (isArea1 && isArea2) {
+    result = areaAreaConflict(flight1, flight2, projection, minima);
+    type = 'area_overlap';
+  } else if (isArea1 || isArea2) {
+    const [pathFlight, areaFlight] = isArea1 ? [flight2, flight1] : [flight1, flight2];
+    result = trajectoryAreaConflict(buildTrajectory(pathFlight, projection), areaFlight, projection, minima);
+    if (result && isArea1) result = { ...result, own: result.other, other: result.own };
+    type = 'path_enters_area';
+  } else {
+    result = trajectoryConflict(buildTrajectory(flight1, projection), buildTrajectory(flight2, projection), minima);
+    type = 'loss_of_separation';
+  }
+  if (!result) return null;
+
+  const point = result.own || result.other;
+  const location = projection.toLatLng(point.x, point.y);
+  const both = result.own && result.other && result.own.z !== null && result.other.z !== null;
+
+  return {
+    type,
+    time: new Date(result.t),
+    location: { lat: Number(location.lat.toFixed(6)), lng: Number(location.lng.toFixed(6)) },
+    horizontalDistance: both
+      ? Math.round(Math.hypot(result.own.x - result.other.x, result.own.y - result.other.y))
+      : Math.round(result.gap),
+    verticalDistance: both ? Math.round(Math.abs(result.own.z - result.other.z)) : null,
+    altitudesAMSL: {
+      own: result.own?.z != null ? Math.round(result.own.z) : null,
+      other: result.other?.z != null ? Math.round(result.other.z) : null
+    }
+  };
+}
+
+export default {
+  SEPARATION_MINIMA,
+  buildTrajectory,
+  findLossOfSeparation
+};
@@ -0,0 +1,61 @@
+// Drone category classification
+// Maps a drone's take-off weight onto the KCAA open/specific/certified
+// categories defined in KCAA_REGULATIONS.droneCategories.
+
+import { KCAA_REGULATIONS } from '../data/kosovoData.js';
+
+export const DRONE_CATEGORIES = Object.keys(KCAA_REGULATIONS.droneCategories);
+
+// Categories that may only fly with a special authorization from KCAA
+export const SPECIAL_AUTHORIZATION_CATEGORIES = ['specific', 'certified'];
+
+// Categories whose flights are rejected without a verified pilot licence; in the
+// open category basic training is the pilot's own responsibility, so a missing
+// licence there is only flagged
+export const LICENSED_CATEGORIES = ['specific', 'certified'];
+
+// Read a usable weight (kg) from a drone spec; DIY weights may arrive as strings
+export function getDroneWeight(drone) {
+  const weight = parseFloat(drone?.weight);
+  return Number.isFinite(weight) && weight > 0 ? weight : null;
+}
+
+// Classify a drone by weight; returns null when the weight is unknown
+export function classifyDrone(drone) {
+  const weight = getDroneWeight(drone);
+  if (weight === null) return null;
+
+  // Categories are ordered by ascending weight limit, certified has no limit
+  const name = DRONE_CATEGORIES.find(key => {
+    const maxWeight = KCAA_REGULATIONS.droneCategories[key].maxWeight;
+    return maxWeight === null || weight <= maxWeight;
+  });
+  const category = KCAA_REGULATIONS.droneCategories[name];
+
+  return {
+    category: name,
+    weight,
+    maxWeight: category.maxWeight,
+    requirements: category.requirements,
+    requiresSpecialAuthorization: SPECIAL_AUTHORIZATION_CATEGORIES.includes(name),
+    requiresLicense: LICENSED_CATEGORIES.includes(name)
+  };
+}
+
+// Reason shown to pilots and reviewers when a category needs special authorization
+export function describeSpecialAuthorization(classification) {
+  if (!classification?.requiresSpecialAuthorization) return null;
+  const limit = classification.category === 'certified'
+    ? `over ${KCAA_REGULATIONS.droneCategories.specific.maxWeight}kg`
+    : `over ${KCAA_REGULATIONS.droneCategories.open.maxWeight}kg`;
+  const name = classification.category[0].toUpperCase() + classification.category.slice(1);
+  return `${name} category operation (${classification.weight}kg drone, ${limit}) requires ${classification.requirements.filter(r => r !== 'registration').join(', ')}`;
+}
+
+export default {
+  DRONE_CATEGORIES,
+  SPECIAL_AUTHORIZATION_CATEGORIES,
+  getDroneWeight,
+  classifyDrone,
+  describeSpecialAuthorization
+};
@@ -0,0 +1,133 @@
+// Flight time and battery model
+// Each leg is flown at the drone's cruise airspeed. The forecast wind, scaled
+// to the leg's height with a power-law wind profile, is split into a headwind
+// and a crosswind along the leg's track: the drone crabs into the crosswind
+// and the along-track part adds to or takes from its ground speed, so a
+// headwind stretches the leg's flight time. Battery draw follows time in the
+// air at cruise power, plus extra power while climbing, against an endurance
+// of maxFlightTime minutes.
+
+import { calculateDistance, KCAA_REGULATIONS } from '../data/kosovoData.js';
+
+const DEFAULT_MAX_SPEED = 50; // km/h
+const DEFAULT_FLIGHT_TIME = 30; // minutes
+const CRUISE_FRACTION = 0.7; // cruise airspeed as a share of max speed
+const CLIMB_RATE = 3; // m/s
+const DESCENT_RATE = 2; // m/s
+const CLIMB_EXTRA_POWER = 0.6; // extra power while climbing, as a share of cruise power
+const MANEUVER_TIME = 30; // seconds per waypoint for take-off, landing and turns
+const WIND_REFERENCE_HEIGHT = 10; // meters; forecast wind is measured at 10m
+const WIND_SHEAR_EXPONENT = 1 / 7;
+const MIN_GROUND_SPEED = 1; // m/s; slower legs cannot be flown
+
+const toRadians = (deg) => deg * Math.PI / 180;
+
+// Forecast wind scaled to a height above ground
+function windAtHeight(speed, height) {
+  const h = Math.min(Math.max(height, WIND_REFERENCE_HEIGHT), KCAA_REGULATIONS.maxAltitudeAGL);
+  return speed * Math.pow(h / WIND_REFERENCE_HEIGHT, WIND_SHEAR_EXPONENT);
+}
+
+// Track bearing from a to b (radians clockwise from north)
+function trackBearing(a, b) {
+  const dx = (b.lng - a.lng) * Math.cos(toRadians((a.lat + b.lat) / 2));
+  return Math.atan2(dx, b.lat - a.lat);
+}
+
+// wind: { speed (km/h), direction (degrees the wind blows from) } or null for still air
+export function createEnergyModel(drone, { wind = null } = {}) {
+  const maxSpeed = parseFloat(drone?.maxSpeed) || DEFAULT_MAX_SPEED;
+  const maxFlightTime = parseFloat(drone?.maxFlightTime) || DEFAULT_FLIGHT_TIME;
+  const airspeed = maxSpeed * CRUISE_FRACTION / 3.6; // m/s
+  const endurance = maxFlightTime * 60; // seconds at cruise power on a full battery
+  const windSpeed = (parseFloat(wind?.speed) || 0) / 3.6; // m/s at the reference height
+  const windTowards = toRadians((parseFloat(wind?.direction) || 0) + 180);
+
+  // Ground speed, time (s) and battery used (%) flying from a to b;
+  // heights are read from wp.agl when given, else wp.altitude
+  const leg = (a, b) => {
+    const distance = calculateDistance(a.lat, a.lng, b.lat, b.lng);
+    const change = (b.altitude ?? 100) - (a.altitude ?? 100);
+
+    const height = ((a.agl ?? a.altitude ?? 100) + (b.agl ?? b.altitude ?? 100)) / 2;
+    const windHere = windAtHeight(windSpeed, height);
+    const angle = windTowards - trackBearing(a, b);
+    const tailwind = windHere * Math.cos(angle);
+    const crosswind = windHere * Math.sin(angle);
+    const groundSpeed = Math.sqrt(Math.max(0, airspeed * airspeed - crosswind * crosswind)) + tailwind;
+    const flyable = distance === 0 || (Math.abs(crosswind) < airspeed && groundSpeed >= MIN_GROUND_SPEED);
+
+    const climbTime = Math.max(0, change) / CLIMB_RATE;
+    const cruiseTime = distance / Math.max(groundSpeed, MIN_GROUND_SPEED);
+    const time = Math.max(cruiseTime, climbTime, Math.max(0, -change) / DESCENT_RATE);
+    const battery = (time + climbTime * CLIMB_EXTRA_POWER) / endurance * 100;
+
+    return { distance, time, battery, groundSpeed, headwind: -tailwind, flyable };
+  };
+
+  return { airspeed, maxFlightTime, wind, leg };
+}
+
+// Totals and per-segment figures for flying a route in order
+export function estimateRoute(route, model) {
+  const totals = { distance: 0, time: route.length * MANEUVER_TIME, battery: 0, climb: 0 };
+  totals.battery = totals.time / (model.maxFlightTime * 60) * 100;
+  const segments = [];
+
+  for (let i = 1; i < route.length; i++) {
+    const { distance, time, battery, groundSpeed, headwind, flyable } = model.leg(route[i - 1], route[i]);
+    totals.distance += distance;
+    totals.time += time;
+    totals.battery += battery;
+    totals.climb += Math.max(0, (route[i].altitude ?? 100) - (route[i - 1].altitude ?? 100));
+    segments.push({
+      from: i - 1,
+      to: i,
+      distance: Math.round(distance),
+      groundSpeed: Math.round(groundSpeed * 3.6), // km/h
+      headwind: Math.round(headwind * 3.6), // km/h, negative for a tailwind
+      headwindPenalty: Math.round(Math.max(0, model.airspeed / Math.max(groundSpeed, MIN_GROUND_SPEED) - 1) * 100), // % extra time vs still air
+      batteryUsed: Math.round(battery * 10) / 10,
+      flyable
+    });
+  }
+
+  return {
+    distance: Math.round(totals.distance),
+    flightTimeMinutes: Math.round(totals.time / 6) / 10,
+    batteryUsed: Math.round(totals.battery * 10) / 10,
+    climb: Math.round(totals.climb),
+    segments
+  };
+}
+
+// Whether a route estimate fits the drone's battery with reservePercent left over
+export function assessFeasibility(estimate, model, reservePercent) {
+  const usableBattery = 100 - reservePercent;
+  const unflyable = estimate.segments.filter(s => !s.flyable);
+  const feasible = unflyable.length === 0 && estimate.batteryUsed <= usableBattery;
+
+  let reason = `Uses ${estimate.batteryUsed}% of the battery, leaving ${Math.round((100 - estimate.batteryUsed) * 10) / 10}% (reserve ${reservePercent}%)`;
+  if (unflyable.length > 0) {
+    reason = `Wind is too strong to fly leg${unflyable.length > 1 ? 's' : ''} ${unflyable.map(s => `${s.from + 1}-${s.to + 1}`).join(', ')}`;
+  } else if (!feasible) {
+    reason = `Needs ${estimate.batteryUsed}% of the battery but only ${usableBattery}% is usable with a ${reservePercent}% reserve`;
+  }
+
+  return {
+    feasible,
+    reason,
+    reservePercent,
+    usableBattery,
+    batteryUsed: estimate.batteryUsed,
+    flightTimeMinutes: estimate.flightTimeMinutes,
+    maxFlightTime: model.maxFlightTime,
+    usableFlightTime: Math.round(model.maxFlightTime * usableBattery) / 100
+  };
+}
+
+export default {
+  createEnergyModel,
+  estimateRoute,
+  assessFeasibility
+};
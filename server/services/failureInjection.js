@@ -0,0 +1,362 @@
+// Scripted failures for simulated flights
+// Events are scheduled on a flight for a simulated time and take over the
+// drone once it is active and the time has come. While a failure runs the
+// drone's true position is kept here; what it reports (currentPosition) may
+// differ from it, or stop updating altogether, as real telemetry would.
+//
+//   lost_link       telemetry stops; after a failsafe delay the drone flies home and lands
+//   battery_drain   the battery drains faster until it is critical and the drone lands
+//   gps_drift       the reported position drifts away from the true track
+//   fly_away        the drone leaves its route and flies out across the Kosovo border
+//   zone_incursion  the drone diverts into a restricted zone and loiters there
+//   altitude_bust   the drone climbs above the 120m ceiling
+//
+// Every event carries an expected outcome with a deadline; once triggered it is
+// resolved as 'met' or 'missed' so a test harness can assert on it.
+
+import {
+  KOSOVO_BORDER,
+  KCAA_REGULATIONS,
+  calculateDistance,
+  isWithinKosovo,
+  isPointInZone,
+  getRingCenter,
+  getZonePolygons
+} from '../data/kosovoData.js';
+import { getRestrictedZones, getZone } from './zoneStore.js';
+import { publish } from './realtime.js';
+
+const CLIMB_RATE = 3; // m/s
+const OUTCOME_MARGIN = 60; // seconds of slack on each expected outcome
+const METERS_PER_DEGREE = 111320;
+
+const toRadians = (deg) => deg * Math.PI / 180;
+
+function bearingTo(a, b) {
+  const dx = (b.lng - a.lng) * Math.cos(toRadians((a.lat + b.lat) / 2));
+  return (Math.atan2(dx, b.lat - a.lat) * 180 / Math.PI + 360) % 360;
+}
+
+// Point `meters` from p on a bearing (degrees), on a local flat projection
+function offsetPoint(p, meters, bearing) {
+  const b = toRadians(bearing);
+  return {
+    ...p,
+    lat: p.lat + meters * Math.cos(b) / METERS_PER_DEGREE,
+    lng: p.lng + meters * Math.sin(b) / (METERS_PER_DEGREE * Math.cos(toRadians(p.lat)))
+  };
+}
+
+// Move straight towards target; returns the new position and whether it was reached
+function flyTowards(position, target, meters) {
+  const distance = calculateDistance(position.lat, position.lng, target.lat, target.lng);
+  if (distance <= meters) return { position: { ...position, lat: target.lat, lng: target.lng }, reached: true };
+  return { position: offsetPoint(position, meters, bearingTo(position, target)), reached: false };
+}
+
+const lastReason = (flight) => flight.statusHistory?.[flight.statusHistory.length - 1]?.reason;
+
+const zoneCenter = (zone) => zone.position || getRingCenter(getZonePolygons(zone)[0]);
+
+// ---------- Failure types ----------
+// start(ctx) -> state, fly(state, ctx) -> completion reason or null,
+// report(state) -> reported position (null leaves telemetry untouched),
+// check(state, flight, params) -> observed outcome or null while not yet met
+
+const LOST_LINK_REASON = 'Lost link - returned to home and landed';
+const BATTERY_REASON = 'Battery critical - emergency landing';
+
+export const FAILURE_TYPES = {
+  lost_link: {
+    params: { failsafeDelaySeconds: 10 },
+    expected: () => 'No telemetry while the link is down; the drone returns to its take-off point and lands',
+    start: ({ flight, position, airspeed, params }) => {
+      const home = flight.waypoints[0];
+      const distance = calculateDistance(position.lat, position.lng, home.lat, home.lng);
+      return { home, elapsed: 0, withinSeconds: params.failsafeDelaySeconds + distance / airspeed };
+    },
+    fly: (state, { seconds, airspeed, params }) => {
+      state.elapsed += seconds;
+      const flying = Math.min(seconds, state.elapsed - params.failsafeDelaySeconds);
+      if (flying <= 0) return null; // hovering until the failsafe kicks in
+      const { position, reached } = flyTowards(state.position, state.home, airspeed * flying);
+      state.position = position;
+      return reached ? LOST_LINK_REASON : null;
+    },
+    report: () => null,
+    check: (state, flight) => (flight.status === 'completed' && lastReason(flight) === LOST_LINK_REASON
+      ? 'Returned home and landed without telemetry'
+      : null)
+  },
+
+  battery_drain: {
+    params: { drainPercentPerMinute: 20, criticalPercent: 10 },
+    expected: (params) => `The drone lands where it is once the battery falls to ${params.criticalPercent}%, before it runs out`,
+    start: ({ flight, time, params }) => {
+      const maxFlightTime = parseFloat(flight.drone?.maxFlightTime) || 30;
+      const takeOff = flight.statusHistory?.findLast(h => h.status === 'active')?.changedAt || flight.scheduledStart;
+      const minutesFlown = Math.max(0, (time - new Date(takeOff)) / 60000);
+      const battery = Math.max(params.criticalPercent + 1, 100 - minutesFlown / maxFlightTime * 100);
+      const rate = 100 / maxFlightTime + params.drainPercentPerMinute; // % per minute
+      return { battery, rate, withinSeconds: (battery - params.criticalPercent) / rate * 60 };
+    },
+    fly: (state, { seconds, airspeed, flyRoute, params }) => {
+      state.battery = Math.max(0, state.battery - state.rate * seconds / 60);
+      if (state.battery <= params.criticalPercent) return BATTERY_REASON;
+      const { position, finished } = flyRoute(state.position, airspeed * seconds);
+      state.position = position;
+      return finished ? 'Reached final waypoint' : null;
+    },
+    report: (state) => ({ ...state.position, battery: Math.round(state.battery) }),
+    check: (state, flight, params) => (flight.status === 'completed' && lastReason(flight) === BATTERY_REASON &&
+      state.battery <= params.criticalPercent && state.battery > 0
+      ? `Landed with ${Math.round(state.battery)}% battery left (critical at ${params.criticalPercent}%)`
+      : null)
+  },
+
+  gps_drift: {
+    params: { driftMetersPerSecond: 5, maxDriftMeters: 300, bearing: 90 },
+    expected: (params) => `The reported position drifts ${params.maxDriftMeters}m off the true track`,
+    start: ({ params }) => ({ drift: 0, withinSeconds: params.maxDriftMeters / params.driftMetersPerSecond }),
+    fly: (state, { seconds, airspeed, flyRoute, scheduledEndReached, params }) => {
+      state.drift = Math.min(params.maxDriftMeters, state.drift + params.driftMetersPerSecond * seconds);
+      if (scheduledEndReached) return 'Scheduled end reached';
+      const { position, finished } = flyRoute(state.position, airspeed * seconds);
+      state.position = position;
+      return finished ? 'Reached final waypoint' : null;
+    },
+    report: (state, params) => offsetPoint(state.position, state.drift, params.bearing),
+    check: (state, flight, params) => (state.drift >= params.maxDriftMeters
+      ? `Reported position ${Math.round(state.drift)}m from the true position`
+      : null)
+  },
+
+  fly_away: {
+    params: { bearing: null }, // default: towards the nearest border point
+    expected: () => 'The drone leaves its route and crosses the Kosovo border',
+    start: ({ position, airspeed, params }) => {
+      const nearest = KOSOVO_BORDER.reduce((best, p) => {
+        const distance = calculateDistance(position.lat, position.lng, p.lat, p.lng);
+        return distance < best.distance ? { point: p, distance } : best;
+      }, { point: null, distance: Infinity });
+      return {
+        bearing: params.bearing ?? bearingTo(position, nearest.point),
+        withinSeconds: nearest.distance / airspeed * 2
+      };
+    },
+    fly: (state, { seconds, airspeed, scheduledEndReached }) => {
+      if (scheduledEndReached) return 'Scheduled end reached';
+      state.position = offsetPoint(state.position, airspeed * seconds, state.bearing);
+      return null;
+    },
+    check: (state) => (!isWithinKosovo(state.position.lat, state.position.lng)
+      ? `Outside Kosovo at ${state.position.lat.toFixed(4)}, ${state.position.lng.toFixed(4)}`
+      : null)
+  },
+
+  zone_incursion: {
+    params: { zoneId: null }, // default: the nearest restricted zone
+    expected: () => 'The drone flies into a restricted zone and loiters there',
+    start: ({ position, airspeed, params }) => {
+      const zones = params.zoneId ? [getZone(params.zoneId)].filter(Boolean) : getRestrictedZones();
+      const zone = zones.reduce((best, z) => {
+        const c = zoneCenter(z);
+        const distance = calculateDistance(position.lat, position.lng, c.lat, c.lng);
+        return distance < best.distance ? { zone: z, distance } : best;
+      }, { zone: null, distance: Infinity }).zone;
+      if (!zone) return { error: `Zone not found: ${params.zoneId}` };
+      const target = zoneCenter(zone);
+      const distance = calculateDistance(position.lat, position.lng, target.lat, target.lng);
+      return { zone, target, withinSeconds: distance / airspeed };
+    },
+    fly: (state, { seconds, airspeed, scheduledEndReached }) => {
+      if (scheduledEndReached) return 'Scheduled end reached';
+      state.position = flyTowards(state.position, state.target, airspeed * seconds).position;
+      return null;
+    },
+    check: (state) => (isPointInZone(state.position.lat, state.position.lng, state.zone)
+      ? `Inside ${state.zone.name} (${state.zone.id})`
+      : null)
+  },
+
+  altitude_bust: {
+    params: { altitude: 150 },
+    expected: (params) => `The drone climbs to ${params.altitude}m` +
+      (params.altitude > KCAA_REGULATIONS.maxAltitudeAGL ? `, above the ${KCAA_REGULATIONS.maxAltitudeAGL}m ceiling` : ''),
+    start: ({ position, params }) => ({
+      withinSeconds: Math.max(0, params.altitude - (position.altitude || 0)) / CLIMB_RATE
+    }),
+    fly: (state, { seconds, airspeed, flyRoute, scheduledEndReached, params }) => {
+      if (scheduledEndReached) return 'Scheduled end reached';
+      const altitude = Math.min(params.altitude, (state.position.altitude || 0) + CLIMB_RATE * seconds);
+      const { position, finished } = flyRoute(state.position, airspeed * seconds);
+      state.position = { ...position, altitude };
+      return finished ? 'Reached final waypoint' : null;
+    },
+    // The climb is capped at the target, so within one step's climb of it counts as reached
+    check: (state, flight, params) => (state.position.altitude >= params.altitude - CLIMB_RATE
+      ? `Flying at ${Math.round(state.position.altitude)}m (target ${params.altitude}m)`
+      : null)
+  }
+};
+
+// Fill in a failure's parameters; returns { params } or { error }
+export function resolveFailureParams(type, params = {}) {
+  const definition = FAILURE_TYPES[type];
+  if (!definition) {
+    return { error: `Unknown failure type: ${type} (available: ${Object.keys(FAILURE_TYPES).join(', ')})` };
+  }
+  const unknown = Object.keys(params).filter(key => !(key in definition.params));
+  if (unknown.length > 0) {
+    return { error: `Unknown ${type} parameter(s): ${unknown.join(', ')} (available: ${Object.keys(definition.params).join(', ')})` };
+  }
+  for (const [key, value] of Object.entries(params)) {
+    if (key === 'zoneId') continue;
+    if (value !== null && !(Number.isFinite(value) && value >= 0)) {
+      return { error: `${type}.${key} must be a non-negative number` };
+    }
+  }
+  return { params: { ...definition.params, ...params } };
+}
+
+// Create an injector over the in-memory flight map
+export function createFailureInjector({ flights = new Map() } = {}) {
+  const events = new Map();
+  const running = new Map(); // flightId -> { event, state }
+  let nextId = 1;
+
+  const describe = ({ state, ...event }) => event;
+
+  function notify(event) {
+    publish('flights', 'simulation_event', describe(event));
+  }
+
+  // Schedule a failure; `at` is a simulated time
+  function schedule({ flightId, type, at, params = {} }) {
+    const resolved = resolveFailureParams(type, params);
+    if (resolved.error) return { error: resolved.error };
+    const flight = flights.get(flightId);
+    if (!flight) return { error: `Flight not found: ${flightId}` };
+
+    const event = {
+      id: `evt_${nextId++}`,
+      type,
+      flightId,
+      flightNumber: flight.flightNumber,
+      at: new Date(at).toISOString(),
+      params: resolved.params,
+      status: 'scheduled',
+      expected: { outcome: FAILURE_TYPES[type].expected(resolved.params), withinSeconds: null },
+      triggeredAt: null,
+      resolvedAt: null,
+      observed: null
+    };
+    events.set(event.id, event);
+    return { event: describe(event) };
+  }
+
+  function cancel(id) {
+    const event = events.get(id);
+    if (!event) return { error: `Event not found: ${id}` };
+    if (event.status !== 'scheduled') return { error: `Only scheduled events can be cancelled (status: ${event.status})` };
+    event.status = 'cancelled';
+    return { event: describe(event) };
+  }
+
+  function finish(event, status, observed, time) {
+    event.status = status;
+    event.observed = observed;
+    event.resolvedAt = time.toISOString();
+    notify(event);
+  }
+
+  // The running failure of an active flight, triggering a due event if there is one
+  function failureFor(flight, time, airspeed) {
+    const flightId = String(flight.id || flight._id);
+    if (running.has(flightId)) return running.get(flightId);
+
+    const due = Array.from(events.values())
+      .find(e => e.flightId === flightId && e.status === 'scheduled' && new Date(e.at) <= time);
+    if (!due) return null;
+
+    const definition = FAILURE_TYPES[due.type];
+    const position = { ...(flight.currentPosition || flight.waypoints[0]) };
+    const state = definition.start({ flight, position, airspeed, time, params: due.params });
+    due.triggeredAt = time.toISOString();
+    if (state.error) {
+      finish(due, 'skipped', state.error, time);
+      return null;
+    }
+
+    state.position = position;
+    due.expected.withinSeconds = Math.round(state.withinSeconds + OUTCOME_MARGIN);
+    due.status = 'triggered';
+    due.state = state;
+    notify(due);
+
+    const failure = {
+      event: due,
+      reporting: true,
+      // Fly one step; returns a completion reason or null
+      fly(ctx) {
+        const reason = definition.fly(state, { ...ctx, params: due.params });
+        const reported = definition.report ? definition.report(state, due.params) : state.position;
+        failure.reporting = Boolean(reported);
+        if (reported) flight.currentPosition = { ...flight.currentPosition, ...reported, updatedAt: ctx.time };
+        return reason;
+      }
+    };
+    running.set(flightId, failure);
+    return failure;
+  }
+
+  // Settle events after a step: triggered ones are met, missed or still running;
+  // scheduled ones whose flight has finished are skipped
+  function resolve(time) {
+    // A failure runs until its flight has landed
+    for (const flightId of running.keys()) {
+      if (flights.get(flightId)?.status !== 'active') running.delete(flightId);
+    }
+
+    for (const event of events.values()) {
+      const flight = flights.get(event.flightId);
+
+      if (event.status === 'scheduled') {
+        if (!flight || !['pending', 'approved', 'active'].includes(flight.status)) {
+          finish(event, 'skipped', flight ? `Flight ${flight.status} before the event` : 'Flight no longer exists', time);
+        } else if (running.has(event.flightId) && new Date(event.at) <= time) {
+          finish(event, 'skipped', 'Flight already has a failure running', time);
+        }
+        continue;
+      }
+
+      if (event.status !== 'triggered') continue;
+      const observed = flight && FAILURE_TYPES[event.type].check(event.state, flight, event.params);
+      const deadline = new Date(event.triggeredAt).getTime() + event.expected.withinSeconds * 1000;
+      if (observed) {
+        finish(event, 'met', observed, time);
+      } else if (!running.has(event.flightId) || time.getTime() > deadline) {
+        finish(event, 'missed', flight ? `Not observed (flight ${flight.status})` : 'Flight no longer exists', time);
+      }
+    }
+  }
+
+  function list({ flightId = null, status = null } = {}) {
+    return Array.from(events.values())
+      .filter(e => (!flightId || e.flightId === flightId) && (!status || e.status === status))
+      .map(describe);
+  }
+
+  function clear() {
+    events.clear();
+    running.clear();
+  }
+
+  return { schedule, cancel, failureFor, resolve, list, clear };
+}
+
+export default {
+  FAILURE_TYPES,
+  resolveFailureParams,
+  createFailureInjector
+};
@@ -0,0 +1,112 @@
+// Automatic expiry of stale flight requests
+// Pending flights whose scheduled start has passed were never reviewed in time,
+// and approved flights that did not go active within the grace window were never flown.
+
+import mongoose from 'mongoose';
+import Flight from '../models/Flight.js';
+import { applyStatusTransition } from './flightStatus.js';
+import { indexFlight } from './flightIndex.js';
+import { publishFlightStatus } from './realtime.js';
+
+const DEFAULT_INTERVAL_MS = 60 * 1000; // check every minute
+const DEFAULT_APPROVED_GRACE_MINUTES = 30;
+
+// Reason a flight is stale at the given time, or null if it is not
+function getExpiryReason(flight, currentTime, approvedGraceMinutes) {
+  const scheduledStart = new Date(flight.scheduledStart);
+  
+  if (flight.status === 'pending' && scheduledStart <= currentTime) {
+    return 'Not reviewed before scheduled start';
+  }
+  
+  const graceDeadline = new Date(scheduledStart.getTime() + approvedGraceMinutes * 60000);
+  if (flight.status === 'approved' && graceDeadline <= currentTime) {
+    return `Not activated within ${approvedGraceMinutes} min of scheduled start`;
+  }
+  
+  return null;
+}
+
+// Create an expiry scheduler over MongoDB (when connected) and the in-memory flight map.
+// `now` can be replaced with a fixed clock for testing; simulated flights are
+// judged by `simulationNow`, the simulation engine's clock, which may be
+// accelerated, paused or set to a scenario's start time.
+export function createExpiryScheduler(options = {}) {
+  const {
+    flights = new Map(),
+    intervalMs = DEFAULT_INTERVAL_MS,
+    approvedGraceMinutes = DEFAULT_APPROVED_GRACE_MINUTES,
+    now = () => new Date(),
+    simulationNow = now,
+    isMongoConnected = () => mongoose.connection.readyState === 1
+  } = options;
+  
+  let timer = null;
+  
+  // Expire all stale flights once; returns the expired flight numbers
+  async function runOnce() {
+    const currentTime = now();
+    const expired = [];
+    
+    if (isMongoConnected()) {
+      const graceCutoff = new Date(currentTime.getTime() - approvedGraceMinutes * 60000);
+      const staleFlights = await Flight.find({
+        $or: [
+          { status: 'pending', scheduledStart: { $lte: currentTime } },
+          { status: 'approved', scheduledStart: { $lte: graceCutoff } }
+        ]
+      });
+      
+      for (const flight of staleFlights) {
+        await flight.updateStatus('expired', null, getExpiryReason(flight, currentTime, approvedGraceMinutes));
+        indexFlight(flight);
+        publishFlightStatus(flight);
+        expired.push(flight.flightNumber);
+      }
+    }
+    
+    // In-memory flights (all flights in memory mode, simulated flights otherwise)
+    const simulatedTime = simulationNow();
+    for (const flight of flights.values()) {
+      const time = flight.isSimulated ? simulatedTime : currentTime;
+      const reason = getExpiryReason(flight, time, approvedGraceMinutes);
+      if (reason && applyStatusTransition(flight, 'expired', 'system', reason, time)) {
+        indexFlight(flight);
+        publishFlightStatus(flight);
+        expired.push(flight.flightNumber);
+      }
+    }
+    
+    if (expired.length > 0) {
+      console.log(`⏰ Expired ${expired.length} stale flight(s): ${expired.join(', ')}`);
+    }
+    
+    return expired;
+  }
+  
+  async function tick() {
+    try {
+      await runOnce();
+    } catch (error) {
+      console.error('Flight expiry error:', error.message);
+    }
+  }
+  
+  function start() {
+    if (timer) return;
+    tick();
+    timer = setInterval(tick, intervalMs);
+    timer.unref?.();
+  }
+  
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+  
+  return { start, stop, runOnce, isRunning: () => timer !== null };
+}
+
+export default createExpiryScheduler;
@@ -0,0 +1,92 @@
+// Index of flight volumes that can still conflict (pending, approved, active)
+// Each flight is stored under the bounding box of its route or operation area
+// with its scheduled window, so conflict checks only run the 4D engine against
+// flights that are nearby and booked at an overlapping time.
+//
+// Kept current by the flight routes, the simulation and the expiry scheduler,
+// which call indexFlight after every create and status change. Callers re-check
+// status and time against the flight store, so an entry that outlives its
+// flight is harmless.
+
+import mongoose from 'mongoose';
+import Flight from '../models/Flight.js';
+import { createSpatialIndex, boundsOfPoints, expandBounds } from './spatialIndex.js';
+import { SEPARATION_MINIMA } from './deconfliction.js';
+import { getAreaBounds } from '../data/kosovoData.js';
+
+export const CONFLICT_STATUSES = ['pending', 'approved', 'active'];
+
+const index = createSpatialIndex();
+
+const isMongoConnected = () => mongoose.connection.readyState === 1;
+
+const getFlightId = (flight) => String(flight._id || flight.id);
+
+// Bounding box of a flight's route or operation area, or null without geometry
+export function getFlightBounds(flight) {
+  if (flight.operationArea?.center) return getAreaBounds(flight.operationArea);
+  return boundsOfPoints(flight.waypoints);
+}
+
+// Add, move or drop a flight depending on its current status
+export function indexFlight(flight) {
+  const id = getFlightId(flight);
+  const bounds = CONFLICT_STATUSES.includes(flight.status) ? getFlightBounds(flight) : null;
+
+  if (!bounds) {
+    index.remove(id);
+    return;
+  }
+  index.insert(id, bounds, {
+    id,
+    start: new Date(flight.scheduledStart).getTime(),
+    end: new Date(flight.scheduledEnd).getTime()
+  });
+}
+
+export function unindexFlight(flightOrId) {
+  index.remove(typeof flightOrId === 'string' ? flightOrId : getFlightId(flightOrId));
+}
+
+export function clearFlightIndex() {
+  index.clear();
+}
+
+export function getFlightIndexSize() {
+  return index.size();
+}
+
+// Ids of indexed flights within the horizontal separation minimum of a flight's
+// box and booked at an overlapping time
+export function findNearbyFlightIds(flight, buffer = SEPARATION_MINIMA.horizontal) {
+  const bounds = getFlightBounds(flight);
+  if (!bounds) return [];
+
+  const start = new Date(flight.scheduledStart).getTime();
+  const end = new Date(flight.scheduledEnd).getTime();
+  return index.search(expandBounds(bounds, buffer))
+    .filter(entry => entry.start < end && entry.end > start)
+    .map(entry => entry.id);
+}
+
+// Load the flights that can still conflict from MongoDB
+export async function initFlightIndex() {
+  if (!isMongoConnected()) return;
+
+  const flights = await Flight.find({ status: { $in: CONFLICT_STATUSES } })
+    .select('status scheduledStart scheduledEnd waypoints operationArea')
+    .lean();
+  for (const flight of flights) indexFlight(flight);
+  console.log(`🗂️  Indexed ${flights.length} flight volume(s)`);
+}
+
+export default {
+  CONFLICT_STATUSES,
+  getFlightBounds,
+  indexFlight,
+  unindexFlight,
+  clearFlightIndex,
+  getFlightIndexSize,
+  findNearbyFlightIds,
+  initFlightIndex
+};
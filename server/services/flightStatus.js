@@ -0,0 +1,52 @@
+// Flight status state machine
+// Shared by the MongoDB model and the in-memory flight storage so both
+// paths accept exactly the same status changes.
+
+export const FLIGHT_STATUSES = ['pending', 'approved', 'rejected', 'active', 'completed', 'cancelled', 'expired'];
+
+// Legal transitions: current status -> statuses it may move to
+export const STATUS_TRANSITIONS = {
+  pending: ['pending', 'approved', 'rejected', 'cancelled', 'expired'], // pending -> pending when changes are requested
+  approved: ['active', 'cancelled', 'expired'],
+  active: ['completed', 'cancelled'],
+  rejected: [],
+  completed: [],
+  cancelled: [],
+  expired: []
+};
+
+// Check if a flight may move from one status to another
+export function canTransition(from, to) {
+  return STATUS_TRANSITIONS[from]?.includes(to) || false;
+}
+
+// Human-readable reason for a refused transition
+export function describeIllegalTransition(from, to) {
+  const allowed = STATUS_TRANSITIONS[from] || [];
+  return allowed.length > 0
+    ? `Cannot change flight status from ${from} to ${to} (allowed: ${allowed.join(', ')})`
+    : `Cannot change flight status from ${from} to ${to} (${from} is final)`;
+}
+
+// Apply a transition to a plain (in-memory) flight object, recording it in statusHistory
+// at changedAt (the simulation passes its own clock).
+// Returns false without touching the flight if the transition is illegal.
+export function applyStatusTransition(flight, newStatus, changedBy, reason, changedAt = new Date()) {
+  if (!canTransition(flight.status, newStatus)) {
+    return false;
+  }
+  
+  flight.status = newStatus;
+  flight.statusHistory = flight.statusHistory || [];
+  flight.statusHistory.push({ status: newStatus, changedAt, changedBy, reason });
+  flight.updatedAt = changedAt;
+  return true;
+}
+
+export default {
+  FLIGHT_STATUSES,
+  STATUS_TRANSITIONS,
+  canTransition,
+  describeIllegalTransition,
+  applyStatusTransition
+};
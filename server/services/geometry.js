@@ -0,0 +1,408 @@
+// Planar geometry on a local projection
+// Lat/lng positions are projected to meters on an equirectangular plane
+// centred near the shapes being compared (accurate to well under a meter over
+// the few tens of kilometers a drone flight covers), and intersections and
+// distances are then computed exactly rather than by sampling.
+//
+// Shapes are { type: 'circle', center: { x, y }, radius },
+// { type: 'polygon', ring: [{ x, y }, ...] } (ring not closed, either winding) or
+// { type: 'corridor', path: [{ x, y }, ...], halfWidth } (every point within
+// halfWidth of the polyline).
+// Segment results are given as parameter intervals [t0, t1] along the segment,
+// with t = 0 at its start and t = 1 at its end.
+
+const METERS_PER_DEG_LAT = 111320;
+const EPSILON = 1e-9;
+
+// Local equirectangular projection around a reference point (meters)
+export function createProjection(refLat, refLng) {
+  const cosLat = Math.cos(refLat * Math.PI / 180);
+  return {
+    toXY: (lat, lng) => ({ x: (lng - refLng) * METERS_PER_DEG_LAT * cosLat, y: (lat - refLat) * METERS_PER_DEG_LAT }),
+    toLatLng: (x, y) => ({ lat: refLat + y / METERS_PER_DEG_LAT, lng: refLng + x / (METERS_PER_DEG_LAT * cosLat) })
+  };
+}
+
+// ---------- Shape adapters ----------
+
+// Shape of an operation area (circle, polygon, corridor, or rectangle bounds as a polygon)
+export function areaToShape(area, projection) {
+  if (area.type === 'polygon') {
+    return { type: 'polygon', ring: area.polygon.map(p => projection.toXY(p.lat, p.lng)) };
+  }
+  if (area.type === 'corridor') {
+    return { type: 'corridor', path: area.path.map(p => projection.toXY(p.lat, p.lng)), halfWidth: (area.width || 0) / 2 };
+  }
+  if (area.type !== 'circle' && area.bounds?.north !== undefined) {
+    const { north, south, east, west } = area.bounds;
+    return {
+      type: 'polygon',
+      ring: [
+        projection.toXY(north, west),
+        projection.toXY(north, east),
+        projection.toXY(south, east),
+        projection.toXY(south, west)
+      ]
+    };
+  }
+  return { type: 'circle', center: projection.toXY(area.center.lat, area.center.lng), radius: area.radius || 0 };
+}
+
+// Shapes of a zone: its polygon rings, or a circle of the given radius
+// (defaults to restrictedRadius for airports, radius otherwise)
+export function zoneToShapes(zone, projection, radius = zone.restrictedRadius || zone.radius) {
+  if (zone.shape === 'polygon') {
+    return [{ type: 'polygon', ring: zone.polygon.map(p => projection.toXY(p.lat, p.lng)) }];
+  }
+  if (zone.shape === 'multipolygon') {
+    return zone.polygons.map(ring => ({ type: 'polygon', ring: ring.map(p => projection.toXY(p.lat, p.lng)) }));
+  }
+  return [{ type: 'circle', center: projection.toXY(zone.position.lat, zone.position.lng), radius: radius || 0 }];
+}
+
+// ---------- Points ----------
+
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y });
+const dot = (a, b) => a.x * b.x + a.y * b.y;
+const cross = (a, b) => a.x * b.y - a.y * b.x;
+const lerp = (a, b, t) => ({ x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y) });
+
+// Ray casting; points exactly on an edge may fall either way
+export function isPointInRing(p, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i], b = ring[j];
+    if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Distance from a point to a segment, and the parameter of the closest point
+export function pointSegmentDistance(p, a, b) {
+  const ab = sub(b, a);
+  const lengthSq = dot(ab, ab);
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, dot(sub(p, a), ab) / lengthSq));
+  const closest = lerp(a, b, t);
+  return { distance: Math.hypot(p.x - closest.x, p.y - closest.y), t };
+}
+
+const edgesOf = (ring) => ring.map((a, i) => [a, ring[(i + 1) % ring.length]]);
+const legsOf = (path) => (path.length === 1 ? [[path[0], path[0]]] : path.slice(1).map((b, i) => [path[i], b]));
+
+// Closest point to p on a list of [a, b] segments, and its distance
+function closestPointOnEdges(p, edges) {
+  let best = null;
+  for (const [a, b] of edges) {
+    const { distance, t } = pointSegmentDistance(p, a, b);
+    if (!best || distance < best.distance) best = { distance, point: lerp(a, b, t) };
+  }
+  return best;
+}
+
+// Distance from a point to a shape (0 inside it)
+export function pointShapeDistance(p, shape) {
+  if (shape.type === 'circle') {
+    return Math.max(0, Math.hypot(p.x - shape.center.x, p.y - shape.center.y) - shape.radius);
+  }
+  if (shape.type === 'corridor') {
+    return Math.max(0, closestPointOnEdges(p, legsOf(shape.path)).distance - shape.halfWidth);
+  }
+  if (isPointInRing(p, shape.ring)) return 0;
+  return closestPointOnEdges(p, edgesOf(shape.ring)).distance;
+}
+
+// ---------- Intervals ----------
+
+// Merge overlapping [t0, t1] intervals, clipped to [0, 1]
+export function mergeIntervals(intervals) {
+  const sorted = intervals
+    .map(([t0, t1]) => [Math.max(0, t0), Math.min(1, t1)])
+    .filter(([t0, t1]) => t0 <= t1)
+    .sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval[0] <= last[1] + EPSILON) {
+      last[1] = Math.max(last[1], interval[1]);
+    } else {
+      merged.push([...interval]);
+    }
+  }
+  return merged;
+}
+
+// Parameters where value0 + t * rate stays within [lo, hi]
+function linearInterval(value0, rate, lo, hi) {
+  if (Math.abs(rate) < EPSILON) return value0 >= lo && value0 <= hi ? [0, 1] : null;
+  let t0 = (lo - value0) / rate, t1 = (hi - value0) / rate;
+  if (t0 > t1) [t0, t1] = [t1, t0];
+  return t0 <= 1 && t1 >= 0 ? [t0, t1] : null;
+}
+
+// ---------- Segment intersections ----------
+
+// Parameter intervals of segment a-b inside a circle
+export function segmentCircleIntervals(a, b, center, radius) {
+  const d = sub(b, a), f = sub(a, center);
+  const qa = dot(d, d), qb = 2 * dot(f, d), qc = dot(f, f) - radius * radius;
+
+  if (qa < EPSILON) return qc <= 0 ? [[0, 1]] : [];
+  const disc = qb * qb - 4 * qa * qc;
+  if (disc < 0) return [];
+  const root = Math.sqrt(disc);
+  return mergeIntervals([[(-qb - root) / (2 * qa), (-qb + root) / (2 * qa)]]);
+}
+
+// Parameter where segment a-b crosses segment c-d, or null
+export function segmentIntersection(a, b, c, d) {
+  const r = sub(b, a), s = sub(d, c);
+  const denominator = cross(r, s);
+  const ca = sub(c, a);
+
+  if (Math.abs(denominator) < EPSILON) {
+    // Parallel; collinear overlap counts as touching at the first shared point
+    if (Math.abs(cross(ca, r)) > EPSILON) return null;
+    const rr = dot(r, r);
+    if (rr < EPSILON) return pointSegmentDistance(a, c, d).distance < EPSILON ? 0 : null;
+    const t0 = dot(ca, r) / rr, t1 = dot(sub(d, a), r) / rr;
+    const from = Math.max(0, Math.min(t0, t1)), to = Math.min(1, Math.max(t0, t1));
+    return from <= to ? from : null;
+  }
+
+  const t = cross(ca, s) / denominator;
+  const u = cross(ca, r) / denominator;
+  return t >= -EPSILON && t <= 1 + EPSILON && u >= -EPSILON && u <= 1 + EPSILON ? Math.max(0, Math.min(1, t)) : null;
+}
+
+// Parameter intervals of segment a-b inside a polygon ring
+export function segmentPolygonIntervals(a, b, ring) {
+  const cuts = [0, 1];
+  for (const [c, d] of edgesOf(ring)) {
+    const t = segmentIntersection(a, b, c, d);
+    if (t !== null) cuts.push(t);
+  }
+  cuts.sort((x, y) => x - y);
+
+  // Between consecutive crossings the segment is wholly inside or outside
+  const intervals = [];
+  for (let i = 0; i < cuts.length - 1; i++) {
+    const [t0, t1] = [cuts[i], cuts[i + 1]];
+    if (isPointInRing(lerp(a, b, (t0 + t1) / 2), ring) || (t1 - t0 < EPSILON && isPointInRing(lerp(a, b, t0), ring))) {
+      intervals.push([t0, t1]);
+    }
+  }
+  return mergeIntervals(intervals);
+}
+
+// Parameter intervals of segment a-b within `radius` of segment c-d (a capsule:
+// a band along c-d plus a disc at each end)
+export function segmentCapsuleIntervals(a, b, c, d, radius) {
+  const intervals = [...segmentCircleIntervals(a, b, c, radius), ...segmentCircleIntervals(a, b, d, radius)];
+  const edge = sub(d, c);
+  const length = Math.hypot(edge.x, edge.y);
+  if (length >= EPSILON) {
+    const ab = sub(b, a);
+    const dir = { x: edge.x / length, y: edge.y / length };
+    const start = sub(a, c);
+    const along = linearInterval(dot(start, dir), dot(ab, dir), 0, length);
+    const across = linearInterval(cross(dir, start), cross(dir, ab), -radius, radius);
+    if (along && across) intervals.push([Math.max(along[0], across[0]), Math.min(along[1], across[1])]);
+  }
+  return mergeIntervals(intervals);
+}
+
+// Parameter intervals of segment a-b inside a shape
+export function segmentShapeIntervals(a, b, shape) {
+  return segmentNearShapeIntervals(a, b, shape, 0);
+}
+
+// Parameter intervals of segment a-b that come within `distance` of a shape
+export function segmentNearShapeIntervals(a, b, shape, distance) {
+  if (shape.type === 'circle') {
+    return segmentCircleIntervals(a, b, shape.center, shape.radius + distance);
+  }
+  if (shape.type === 'corridor') {
+    return mergeIntervals(legsOf(shape.path).flatMap(([c, d]) => segmentCapsuleIntervals(a, b, c, d, shape.halfWidth + distance)));
+  }
+
+  const intervals = segmentPolygonIntervals(a, b, shape.ring);
+  if (distance > 0) {
+    for (const [c, d] of edgesOf(shape.ring)) intervals.push(...segmentCapsuleIntervals(a, b, c, d, distance));
+  }
+  return mergeIntervals(intervals);
+}
+
+// ---------- Distances ----------
+
+// Closest points p (on a-b) and q (on c-d) of two segments, and their distance
+function closestPointsOfSegments(a, b, c, d) {
+  const t = segmentIntersection(a, b, c, d);
+  if (t !== null) {
+    const p = lerp(a, b, t);
+    return { distance: 0, p, q: p };
+  }
+  const candidates = [
+    { ...pointSegmentDistance(a, c, d), p: a, q: (r) => lerp(c, d, r.t) },
+    { ...pointSegmentDistance(b, c, d), p: b, q: (r) => lerp(c, d, r.t) },
+    { ...pointSegmentDistance(c, a, b), q: c, p: (r) => lerp(a, b, r.t) },
+    { ...pointSegmentDistance(d, a, b), q: d, p: (r) => lerp(a, b, r.t) }
+  ];
+  const best = candidates.reduce((x, y) => (y.distance < x.distance ? y : x));
+  return {
+    distance: best.distance,
+    p: typeof best.p === 'function' ? best.p(best) : best.p,
+    q: typeof best.q === 'function' ? best.q(best) : best.q
+  };
+}
+
+// Shortest distance between two segments (0 when they cross)
+export function segmentSegmentDistance(a, b, c, d) {
+  return closestPointsOfSegments(a, b, c, d).distance;
+}
+
+// Shortest distance between a segment and a shape (0 when they touch)
+export function segmentShapeDistance(a, b, shape) {
+  if (shape.type === 'circle') {
+    return Math.max(0, pointSegmentDistance(shape.center, a, b).distance - shape.radius);
+  }
+  if (shape.type === 'corridor') {
+    return Math.max(0, Math.min(...legsOf(shape.path).map(([c, d]) => segmentSegmentDistance(a, b, c, d))) - shape.halfWidth);
+  }
+  if (segmentPolygonIntervals(a, b, shape.ring).length > 0) return 0;
+  return Math.min(...edgesOf(shape.ring).map(([c, d]) => segmentSegmentDistance(a, b, c, d)));
+}
+
+// Shortest distance between two shapes (0 when they overlap or touch)
+export function shapeDistance(s1, s2) {
+  // A corridor is its polyline grown by its half width
+  if (s1.type === 'corridor' || s2.type === 'corridor') {
+    const [corridor, other] = s1.type === 'corridor' ? [s1, s2] : [s2, s1];
+    return Math.max(0, Math.min(...legsOf(corridor.path).map(([c, d]) => segmentShapeDistance(c, d, other))) - corridor.halfWidth);
+  }
+  if (s1.type === 'circle' && s2.type === 'circle') {
+    return Math.max(0, Math.hypot(s1.center.x - s2.center.x, s1.center.y - s2.center.y) - s1.radius - s2.radius);
+  }
+  if (s1.type === 'circle' || s2.type === 'circle') {
+    const [circle, polygon] = s1.type === 'circle' ? [s1, s2] : [s2, s1];
+    return Math.max(0, pointShapeDistance(circle.center, polygon) - circle.radius);
+  }
+
+  // Polygon-polygon: overlapping if any edges cross or one contains the other
+  if (isPointInRing(s1.ring[0], s2.ring) || isPointInRing(s2.ring[0], s1.ring)) return 0;
+  let best = Infinity;
+  for (const [a, b] of edgesOf(s1.ring)) {
+    for (const [c, d] of edgesOf(s2.ring)) {
+      best = Math.min(best, segmentSegmentDistance(a, b, c, d));
+      if (best === 0) return 0;
+    }
+  }
+  return best;
+}
+
+export const shapesIntersect = (s1, s2) => shapeDistance(s1, s2) === 0;
+
+// Closest point of a shape to p (p itself when it is inside)
+export function closestPointOnShape(p, shape) {
+  if (shape.type === 'circle') {
+    const d = Math.hypot(p.x - shape.center.x, p.y - shape.center.y);
+    if (d <= shape.radius) return { ...p };
+    const f = shape.radius / d;
+    return { x: shape.center.x + (p.x - shape.center.x) * f, y: shape.center.y + (p.y - shape.center.y) * f };
+  }
+  if (shape.type === 'corridor') {
+    const { distance, point } = closestPointOnEdges(p, legsOf(shape.path));
+    if (distance <= shape.halfWidth) return { ...p };
+    return lerp(point, p, shape.halfWidth / distance);
+  }
+  return isPointInRing(p, shape.ring) ? { ...p } : closestPointOnEdges(p, edgesOf(shape.ring)).point;
+}
+
+// A point of a shape outside a polygon ring (on the ring's edge where the
+// shape straddles it), or null if the shape lies entirely within the ring
+export function findPointOutsideRing(shape, ring) {
+  if (shape.type === 'circle') {
+    if (!isPointInRing(shape.center, ring)) return { ...shape.center };
+    const nearest = closestPointOnEdges(shape.center, edgesOf(ring));
+    return nearest.distance < shape.radius ? nearest.point : null;
+  }
+  if (shape.type === 'corridor') {
+    const outside = shape.path.find(p => !isPointInRing(p, ring));
+    if (outside) return { ...outside };
+    for (const [a, b] of legsOf(shape.path)) {
+      for (const [c, d] of edgesOf(ring)) {
+        const closest = closestPointsOfSegments(a, b, c, d);
+        if (closest.distance < shape.halfWidth) return closest.q;
+      }
+    }
+    return null;
+  }
+
+  const outside = shape.ring.find(p => !isPointInRing(p, ring));
+  if (outside) return { ...outside };
+  for (const [a, b] of edgesOf(shape.ring)) {
+    for (const [c, d] of edgesOf(ring)) {
+      const t = segmentIntersection(a, b, c, d);
+      if (t !== null) return lerp(a, b, t);
+    }
+  }
+  return null;
+}
+
+// A point inside (or closest to) the overlap of two shapes, for reporting
+export function overlapPoint(s1, s2) {
+  const points = s2.type === 'circle' ? [s2.center] : (s2.ring || s2.path);
+  let q = points.length === 1 || s2.type === 'corridor' ? points[Math.floor(points.length / 2)] : {
+    x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+    y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+  };
+
+  // Alternate between the closest points of each shape until one lies in both
+  let p = closestPointOnShape(q, s1);
+  for (let i = 0; i < 5; i++) {
+    q = closestPointOnShape(p, s2);
+    if (pointShapeDistance(q, s1) === 0) return q;
+    p = closestPointOnShape(q, s1);
+  }
+  return lerp(p, q, 0.5);
+}
+
+// Check a polygon ring for edges that cross each other (other than neighbours)
+export function isSimpleRing(ring) {
+  const first = ring[0], last = ring[ring.length - 1];
+  const open = ring.length > 3 && first.x === last.x && first.y === last.y ? ring.slice(0, -1) : ring;
+  const edges = edgesOf(open);
+  for (let i = 0; i < edges.length; i++) {
+    for (let j = i + 2; j < edges.length; j++) {
+      if (i === 0 && j === edges.length - 1) continue; // first and last edges share a vertex
+      if (segmentIntersection(edges[i][0], edges[i][1], edges[j][0], edges[j][1]) !== null) return false;
+    }
+  }
+  return true;
+}
+
+export default {
+  createProjection,
+  areaToShape,
+  zoneToShapes,
+  isPointInRing,
+  pointSegmentDistance,
+  pointShapeDistance,
+  mergeIntervals,
+  segmentCircleIntervals,
+  segmentCapsuleIntervals,
+  segmentIntersection,
+  segmentPolygonIntervals,
+  segmentShapeIntervals,
+  segmentNearShapeIntervals,
+  segmentSegmentDistance,
+  segmentShapeDistance,
+  shapeDistance,
+  shapesIntersect,
+  closestPointOnShape,
+  findPointOutsideRing,
+  overlapPoint,
+  isSimpleRing
+};
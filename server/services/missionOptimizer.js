@@ -0,0 +1,146 @@
+// Multi-waypoint mission optimisation
+// The waypoint order is solved as a travelling salesman path over leg costs
+// from the energy model (distance, battery or a balance of time and battery):
+// the first waypoint stays first, the last optionally stays last and the route
+// may return home; the planned order and a nearest-neighbour order are each
+// improved with 2-opt (reversing a stretch) and Or-opt (moving a run of up to
+// three waypoints, either way round) until neither finds a cheaper order.
+
+import { calculateDistance } from '../data/kosovoData.js';
+
+const OR_OPT_MAX_RUN = 3;
+const MAX_PASSES = 200;
+
+// Leg costs to optimise for
+export const ROUTE_COSTS = {
+  distance: () => (a, b) => calculateDistance(a.lat, a.lng, b.lat, b.lng),
+  battery: (model) => (a, b) => model.leg(a, b).battery,
+  // Equal weight on flight time and battery, both in seconds of cruise
+  balanced: (model) => (a, b) => {
+    const { time, battery } = model.leg(a, b);
+    return (time + battery / 100 * model.maxFlightTime * 60) / 2;
+  }
+};
+
+// ---------- Solver ----------
+
+function nearestNeighbour(cost, first, free, last) {
+  const order = [first];
+  const remaining = [...free];
+  while (remaining.length > 0) {
+    const current = order[order.length - 1];
+    let best = 0;
+    remaining.forEach((node, i) => { if (cost[current][node] < cost[current][remaining[best]]) best = i; });
+    order.push(remaining.splice(best, 1)[0]);
+  }
+  if (last !== null) order.push(last);
+  return order;
+}
+
+// Improve an order in place between positions lo and hi (inclusive)
+// Moves are costed from the legs they change rather than by re-costing the
+// route: prefix sums of the leg costs both ways round give the cost of any
+// stretch flown forwards or reversed in constant time.
+function improve(order, lo, hi, cost, returnToHome) {
+  const n = order.length;
+  const home = returnToHome ? order[0] : null;
+  const edge = (a, b) => (a === null || b === null ? 0 : cost[a][b]);
+  const after = (p) => (p + 1 < n ? order[p + 1] : home);
+  const forward = new Array(n).fill(0); // forward[p]: order[0..p] flown as planned
+  const reverse = new Array(n).fill(0); // reverse[p]: the same legs flown backwards
+
+  const prepare = () => {
+    for (let p = 1; p < n; p++) {
+      forward[p] = forward[p - 1] + cost[order[p - 1]][order[p]];
+      reverse[p] = reverse[p - 1] + cost[order[p]][order[p - 1]];
+    }
+    return forward[n - 1] + edge(order[n - 1], home);
+  };
+  const stretch = (i, j, reversed) => (reversed ? reverse[j] - reverse[i] : forward[j] - forward[i]);
+
+  let best = prepare();
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    let move = null;
+
+    // 2-opt: reverse order[i..j]
+    for (let i = lo; i < hi && !move; i++) {
+      for (let j = i + 1; j <= hi && !move; j++) {
+        const before = order[i - 1];
+        const next = after(j);
+        const delta = edge(before, order[j]) + stretch(i, j, true) + edge(order[i], next) -
+          (edge(before, order[i]) + stretch(i, j, false) + edge(order[j], next));
+        if (delta < -1e-9) {
+          move = () => order.splice(i, j - i + 1, ...order.slice(i, j + 1).reverse());
+        }
+      }
+    }
+
+    // Or-opt: move a run of up to OR_OPT_MAX_RUN waypoints to between order[p] and the next waypoint
+    for (let run = 1; run <= OR_OPT_MAX_RUN && !move; run++) {
+      for (let i = lo; i + run - 1 <= hi && !move; i++) {
+        const end = i + run - 1;
+        const removed = edge(order[i - 1], after(end)) -
+          (edge(order[i - 1], order[i]) + stretch(i, end, false) + edge(order[end], after(end)));
+        for (let p = lo - 1; p <= hi && !move; p++) {
+          if (p >= i - 1 && p <= end) continue;
+          const x = order[p];
+          const y = after(p);
+          // Climbs make leg costs direction-dependent, so try the run both ways round
+          for (const reversed of [false, true]) {
+            const [first, last] = reversed ? [order[end], order[i]] : [order[i], order[end]];
+            const delta = removed - edge(x, y) + edge(x, first) + stretch(i, end, reversed) + edge(last, y);
+            if (delta < -1e-9) {
+              move = () => {
+                const runWaypoints = order.slice(i, end + 1);
+                if (reversed) runWaypoints.reverse();
+                const target = order[p];
+                order.splice(i, run);
+                order.splice(order.indexOf(target) + 1, 0, ...runWaypoints);
+              };
+              break;
+            }
+          }
+        }
+      }
+    }
+
+    if (!move) break;
+    move();
+    best = prepare();
+  }
+  return best;
+}
+
+// Best visiting order for the waypoints under a leg cost function
+// Returns the reordered route (with home appended when returning home)
+export function optimizeMission(waypoints, legCost, { fixedEnd = false, returnToHome = false } = {}) {
+  const n = waypoints.length;
+  const finish = (order) => {
+    const route = order.map((i, idx) => ({ ...waypoints[i], order: idx }));
+    if (returnToHome) route.push({ ...waypoints[0], order: route.length, returnToHome: true });
+    return route;
+  };
+  if (n < 3 || (n === 3 && fixedEnd)) return finish(waypoints.map((_, i) => i));
+
+  const cost = waypoints.map(a => waypoints.map(b => legCost(a, b)));
+
+  const last = fixedEnd ? n - 1 : null;
+  const free = waypoints.map((_, i) => i).filter(i => i !== 0 && i !== last);
+  const lo = 1;
+  const hi = fixedEnd ? n - 2 : n - 1;
+
+  // Improve both starting orders and keep the cheaper result
+  const candidates = [waypoints.map((_, i) => i), nearestNeighbour(cost, 0, free, last)];
+  let best = null;
+  let bestValue = Infinity;
+  for (const order of candidates) {
+    const value = improve(order, lo, hi, cost, returnToHome);
+    if (value < bestValue) { best = order; bestValue = value; }
+  }
+  return finish(best);
+}
+
+export default {
+  ROUTE_COSTS,
+  optimizeMission
+};
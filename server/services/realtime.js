@@ -0,0 +1,161 @@
+// Real-time push channel
+// Clients keep a Server-Sent Events stream open (GET /api/realtime/stream),
+// subscribe to topics and may pass a bounding box; located events are only
+// sent to clients whose box they touch, while events without a location (a
+// simulation reset, say) reach every subscriber of their topic.
+//
+//   positions  drone position updates from the simulation
+//   flights    flight created / status transitions, simulation clock and failure events
+//   conflicts  loss-of-separation conflicts found for a new flight request (reviewers only)
+//   zones      zone and temporary restriction changes
+//   aircraft   manned traffic from OpenSky
+//   alerts     conformance alerts raised and cleared on active flights
+//
+// An event published with an owner only reaches that user and clients opened
+// with seesAll (reviewers), matching what the REST endpoints return.
+
+import { boundsOfPoints, boundsOverlap } from './spatialIndex.js';
+import { getFlightBounds } from './flightIndex.js';
+
+export const TOPICS = ['positions', 'flights', 'conflicts', 'zones', 'aircraft', 'alerts'];
+export const REVIEWER_TOPICS = ['conflicts'];
+
+const HEARTBEAT_MS = 25000; // keeps proxies from closing idle streams
+
+const clients = new Set();
+let nextEventId = 1;
+let heartbeat = null;
+
+// Parse "west,south,east,north"; returns null for a missing or malformed box
+export function parseBoundingBox(value) {
+  if (!value) return null;
+  const [west, south, east, north] = String(value).split(',').map(Number);
+  if (![west, south, east, north].every(Number.isFinite) || west > east || south > north) return null;
+  return { west, south, east, north };
+}
+
+function send(client, event, data) {
+  client.res.write(`id: ${nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+const wants = (client, topic, bounds, ownerId = null) =>
+  client.topics.has(topic) &&
+  (!ownerId || client.seesAll || String(client.userId) === String(ownerId)) &&
+  (!bounds || !client.bounds || boundsOverlap(client.bounds, bounds));
+
+// Open an event stream on an Express response
+export function addClient(req, res, { topics = TOPICS, bounds = null, userId = null, seesAll = false } = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const client = { res, topics: new Set(topics), bounds, userId, seesAll };
+  clients.add(client);
+  send(client, 'ready', { topics: Array.from(client.topics), bounds });
+
+  if (!heartbeat) {
+    heartbeat = setInterval(() => {
+      for (const c of clients) c.res.write(': heartbeat\n\n');
+    }, HEARTBEAT_MS);
+    heartbeat.unref?.();
+  }
+
+  req.on('close', () => {
+    clients.delete(client);
+    if (clients.size === 0 && heartbeat) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  });
+  return client;
+}
+
+export function getSubscriberCount(topic = null) {
+  return Array.from(clients).filter(c => !topic || c.topics.has(topic)).length;
+}
+
+// Send one event to every subscriber of the topic whose box it touches; with
+// an ownerId, only to that user and to clients that see every flight
+export function publish(topic, event, data, bounds = null, ownerId = null) {
+  const payload = { ...data, timestamp: new Date().toISOString() };
+  for (const client of clients) {
+    if (wants(client, topic, bounds, ownerId)) send(client, event, payload);
+  }
+}
+
+// Send a list, each subscriber receiving only the items inside its box; an
+// empty list is still sent so clients can clear what has left their view
+export function publishItems(topic, event, key, items, boundsOf) {
+  if (clients.size === 0) return;
+  const located = items.map(item => ({ item, bounds: boundsOf(item) }));
+  const timestamp = new Date().toISOString();
+
+  for (const client of clients) {
+    if (!client.topics.has(topic)) continue;
+    const visible = located.filter(({ bounds }) => wants(client, topic, bounds)).map(({ item }) => item);
+    send(client, event, { [key]: visible, timestamp });
+  }
+}
+
+// ---------- Flight events ----------
+
+// The parts of a flight the map needs to draw it
+export function summarizeFlight(flight) {
+  return {
+    id: String(flight._id || flight.id),
+    flightNumber: flight.flightNumber,
+    status: flight.status,
+    flightType: flight.flightType,
+    waypoints: flight.waypoints,
+    operationArea: flight.operationArea,
+    scheduledStart: flight.scheduledStart,
+    scheduledEnd: flight.scheduledEnd,
+    drone: flight.drone ? { model: flight.drone.model, type: flight.drone.type } : undefined,
+    currentPosition: flight.currentPosition || null,
+    alerts: (flight.alerts || []).filter(a => !a.clearedAt),
+    isSimulated: flight.isSimulated || false
+  };
+}
+
+const flightBounds = (flight) => (flight.currentPosition ? boundsOfPoints([flight.currentPosition]) : getFlightBounds(flight));
+
+// A flight was created or changed status; call after the change is stored
+export function publishFlightStatus(flight, reason = null) {
+  const history = flight.statusHistory || [];
+  publish('flights', 'flight_status', {
+    flightId: String(flight._id || flight.id),
+    flightNumber: flight.flightNumber,
+    status: flight.status,
+    previousStatus: history.length > 1 ? history[history.length - 2].status : null,
+    reason: reason ?? history[history.length - 1]?.reason ?? null,
+    flight: summarizeFlight(flight)
+  }, flightBounds(flight));
+}
+
+// Positions of active flights after a simulation step
+export function publishPositions(flights) {
+  publishItems('positions', 'positions', 'drones', flights
+    .filter(f => f.currentPosition)
+    .map(f => ({
+      flightId: String(f._id || f.id),
+      flightNumber: f.flightNumber,
+      model: f.drone?.model,
+      position: f.currentPosition
+    })), d => boundsOfPoints([d.position]));
+}
+
+export default {
+  TOPICS,
+  REVIEWER_TOPICS,
+  parseBoundingBox,
+  addClient,
+  getSubscriberCount,
+  publish,
+  publishItems,
+  summarizeFlight,
+  publishFlightStatus,
+  publishPositions
+};
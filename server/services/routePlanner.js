@@ -0,0 +1,239 @@
+// Detour planning around restricted airspace
+// Each leg of a route that passes through a no-fly zone, an airport's
+// restricted radius or out of Kosovo is replaced by the shortest detour found
+// on a visibility graph: the graph's nodes sit a safety margin outside every
+// blocking zone near the route (around its convex hull for polygon zones), an
+// edge exists where the straight line between two nodes stays clear of every
+// zone and inside the border, and A* finds the shortest path along them.
+//
+// Altitudes are treated as meters AGL when deciding which zones block the
+// route (wp.agl if given, else wp.altitude); detour waypoints take altitudes
+// interpolated along the detour from the leg's end waypoints.
+
+import { KOSOVO_BORDER, isWithinKosovo, calculateDistance, getZoneAltitudeBand } from '../data/kosovoData.js';
+import { findZonesInBounds } from './zoneStore.js';
+import { boundsOfPoints, expandBounds, boundsOverlap } from './spatialIndex.js';
+import { createProjection, zoneToShapes, segmentNearShapeIntervals, segmentIntersection, pointShapeDistance } from './geometry.js';
+
+export const DETOUR_MARGIN = 150; // meters kept between detours and zone edges
+
+const SEARCH_RADIUS = 10000; // meters around the route searched for zones and detour nodes
+const CIRCLE_SIDES = 16;
+
+const getAltitude = (wp) => wp.agl ?? wp.altitude ?? 100;
+
+// ---------- Obstacles ----------
+
+// Zones that make a route at these altitudes invalid (error severity)
+function findBlockingZones(bounds, lowAltitude, highAltitude) {
+  const { airports, restrictedZones } = findZonesInBounds(bounds);
+  const blocking = restrictedZones.filter(zone => {
+    const band = getZoneAltitudeBand(zone, zone.position.lat, zone.position.lng);
+    return band.severity === 'error' && highAltitude > band.floor && (band.ceiling === null || lowAltitude <= band.ceiling);
+  });
+  return [
+    ...airports.map(zone => ({ zone, radius: zone.restrictedRadius })),
+    ...blocking.map(zone => ({ zone, radius: zone.radius }))
+  ];
+}
+
+// Convex hull of { x, y } points (monotone chain, counter-clockwise)
+function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  const turn = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const build = (list) => {
+    const hull = [];
+    for (const p of list) {
+      while (hull.length >= 2 && turn(hull[hull.length - 2], hull[hull.length - 1], p) <= 0) hull.pop();
+      hull.push(p);
+    }
+    hull.pop();
+    return hull;
+  };
+  return [...build(sorted), ...build([...sorted].reverse())];
+}
+
+// Graph nodes around a shape, `margin` outside it
+function nodesAround(shape, margin) {
+  if (shape.type === 'circle') {
+    // Corners of a circumscribed polygon, so the sides between them stay clear too
+    const radius = (shape.radius + margin) / Math.cos(Math.PI / CIRCLE_SIDES);
+    return Array.from({ length: CIRCLE_SIDES }, (_, i) => {
+      const angle = (i / CIRCLE_SIDES) * 2 * Math.PI;
+      return { x: shape.center.x + radius * Math.cos(angle), y: shape.center.y + radius * Math.sin(angle) };
+    });
+  }
+
+  // Polygons: offset each hull corner outward along both edge normals and between them
+  const hull = convexHull(shape.ring);
+  const nodes = [];
+  hull.forEach((p, i) => {
+    const prev = hull[(i - 1 + hull.length) % hull.length];
+    const next = hull[(i + 1) % hull.length];
+    const normal = (a, b) => {
+      const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+      return { x: (b.y - a.y) / length, y: -(b.x - a.x) / length };
+    };
+    const n1 = normal(prev, p), n2 = normal(p, next);
+    const mid = { x: n1.x + n2.x, y: n1.y + n2.y };
+    const midLength = Math.hypot(mid.x, mid.y) || 1;
+    for (const n of [n1, { x: mid.x / midLength, y: mid.y / midLength }, n2]) {
+      nodes.push({ x: p.x + n.x * margin * 1.1, y: p.y + n.y * margin * 1.1 });
+    }
+  });
+  return nodes;
+}
+
+// ---------- Search ----------
+
+// A* from node start to node goal; nodes before firstFree (the route's other
+// waypoints) are not used as stepping stones
+function shortestPath(nodes, start, goal, firstFree, isClear) {
+  const distance = (i, j) => Math.hypot(nodes[i].x - nodes[j].x, nodes[i].y - nodes[j].y);
+  const cost = new Map([[start, 0]]);
+  const previous = new Map();
+  const open = new Set([start]);
+  const closed = new Set();
+
+  while (open.size > 0) {
+    let current = null;
+    let best = Infinity;
+    for (const i of open) {
+      const f = cost.get(i) + distance(i, goal);
+      if (f < best) { best = f; current = i; }
+    }
+    if (current === goal) {
+      const path = [goal];
+      while (previous.has(path[0])) path.unshift(previous.get(path[0]));
+      return path;
+    }
+    open.delete(current);
+    closed.add(current);
+
+    for (let next = 0; next < nodes.length; next++) {
+      if (closed.has(next) || next === current || (next < firstFree && next !== goal)) continue;
+      const g = cost.get(current) + distance(current, next);
+      if (g >= (cost.get(next) ?? Infinity) || !isClear(current, next)) continue;
+      cost.set(next, g);
+      previous.set(next, current);
+      open.add(next);
+    }
+  }
+  return null;
+}
+
+// Plan a route that keeps `margin` meters from every blocking zone and stays in Kosovo
+// Returns { route, originalDistance, plannedDistance, addedDistance, reroutedLegs, avoidedZones }
+// or { error } when a waypoint itself is unusable or no detour exists
+export function planRouteAround(waypoints, { margin = DETOUR_MARGIN } = {}) {
+  const altitudes = waypoints.map(getAltitude);
+  const bounds = expandBounds(boundsOfPoints(waypoints), SEARCH_RADIUS);
+  const obstacles = findBlockingZones(bounds, Math.min(...altitudes), Math.max(...altitudes));
+
+  const ref = waypoints[0];
+  const projection = createProjection(ref.lat, ref.lng);
+  const shapes = obstacles.flatMap(({ zone, radius }) => zoneToShapes(zone, projection, radius).map(shape => ({ zone, shape })));
+
+  // Border edges near the route; a leg that crosses one leaves Kosovo
+  const borderEdges = [];
+  for (let i = 0; i < KOSOVO_BORDER.length; i++) {
+    const a = KOSOVO_BORDER[i], b = KOSOVO_BORDER[(i + 1) % KOSOVO_BORDER.length];
+    if (boundsOverlap(boundsOfPoints([a, b]), bounds)) {
+      borderEdges.push([projection.toXY(a.lat, a.lng), projection.toXY(b.lat, b.lng)]);
+    }
+  }
+
+  const points = waypoints.map(wp => projection.toXY(wp.lat, wp.lng));
+  for (let i = 0; i < waypoints.length; i++) {
+    if (!isWithinKosovo(waypoints[i].lat, waypoints[i].lng)) {
+      return { error: `Waypoint ${i + 1} is outside Kosovo borders; move it before re-routing` };
+    }
+    const inside = shapes.find(({ shape }) => pointShapeDistance(points[i], shape) === 0);
+    if (inside) {
+      return { error: `Waypoint ${i + 1} is inside ${inside.zone.name}; move it before re-routing` };
+    }
+  }
+
+  // Graph nodes: the route's waypoints first, then clear points around every obstacle
+  const nodes = [...points];
+  for (const { shape } of shapes) {
+    for (const node of nodesAround(shape, margin)) {
+      const { lat, lng } = projection.toLatLng(node.x, node.y);
+      if (isWithinKosovo(lat, lng) && shapes.every(s => pointShapeDistance(node, s.shape) >= margin / 2)) {
+        nodes.push(node);
+      }
+    }
+  }
+
+  // Detour lines are tested against the zones with half the margin (less where
+  // they start or end closer), so lines between nodes placed a full margin out
+  // always pass; the route's own legs only fail if they actually enter a zone
+  const blockedBy = (a, b, clearance) => shapes.filter(({ shape }) => {
+    const allowed = Math.min(clearance, pointShapeDistance(a, shape), pointShapeDistance(b, shape));
+    return segmentNearShapeIntervals(a, b, shape, Math.max(0, allowed - 1)).length > 0;
+  });
+  const crossesBorder = (a, b) => borderEdges.some(([c, d]) => segmentIntersection(a, b, c, d) !== null);
+  const clearCache = new Map();
+  const isClear = (i, j) => {
+    const key = i < j ? `${i}:${j}` : `${j}:${i}`;
+    if (!clearCache.has(key)) {
+      clearCache.set(key, blockedBy(nodes[i], nodes[j], margin / 2).length === 0 && !crossesBorder(nodes[i], nodes[j]));
+    }
+    return clearCache.get(key);
+  };
+
+  const route = [{ ...waypoints[0] }];
+  const avoided = new Set();
+  let reroutedLegs = 0;
+
+  for (let i = 0; i < waypoints.length - 1; i++) {
+    const blocking = blockedBy(points[i], points[i + 1], 0);
+    if (blocking.length === 0 && !crossesBorder(points[i], points[i + 1])) {
+      route.push({ ...waypoints[i + 1] });
+      continue;
+    }
+    blocking.forEach(({ zone }) => avoided.add(zone.name));
+
+    const path = shortestPath(nodes, i, i + 1, points.length, isClear);
+    if (!path) {
+      return { error: `No detour found between waypoints ${i + 1} and ${i + 2} within ${SEARCH_RADIUS / 1000}km of the route` };
+    }
+    reroutedLegs++;
+
+    // Detour waypoints get altitudes interpolated along the detour
+    const lengths = path.slice(1).map((node, k) => Math.hypot(nodes[node].x - nodes[path[k]].x, nodes[node].y - nodes[path[k]].y));
+    const total = lengths.reduce((sum, d) => sum + d, 0);
+    const from = waypoints[i], to = waypoints[i + 1];
+    let travelled = 0;
+    path.slice(1, -1).forEach((node, k) => {
+      travelled += lengths[k];
+      const f = total === 0 ? 0 : travelled / total;
+      const { lat, lng } = projection.toLatLng(nodes[node].x, nodes[node].y);
+      route.push({
+        lat: Number(lat.toFixed(6)),
+        lng: Number(lng.toFixed(6)),
+        altitude: Math.round((from.altitude ?? 100) + f * ((to.altitude ?? 100) - (from.altitude ?? 100))),
+        detour: true
+      });
+    });
+    route.push({ ...to });
+  }
+
+  const length = (list) => list.slice(1).reduce((sum, wp, k) => sum + calculateDistance(list[k].lat, list[k].lng, wp.lat, wp.lng), 0);
+  const originalDistance = length(waypoints);
+  const plannedDistance = length(route);
+
+  return {
+    route: route.map(({ agl, ...wp }, order) => ({ ...wp, order })),
+    originalDistance: Math.round(originalDistance),
+    plannedDistance: Math.round(plannedDistance),
+    addedDistance: Math.round(plannedDistance - originalDistance),
+    reroutedLegs,
+    avoidedZones: Array.from(avoided)
+  };
+}
+
+export default {
+  DETOUR_MARGIN,
+  planRouteAround
+};
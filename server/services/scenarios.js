@@ -0,0 +1,76 @@
+// Simulation scenario files
+// Scenarios are stored as <name>.json in data/scenarios (or SIMULATION_SCENARIO_DIR)
+// so a reproducible run can be shared and reloaded. Content is checked by the
+// simulation routes; this module only reads and writes the files.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const SCENARIO_DIR = process.env.SIMULATION_SCENARIO_DIR || path.join(__dirname, '../data/scenarios');
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+export const isValidScenarioName = (name) => NAME_PATTERN.test(String(name));
+
+const scenarioFile = (name) => path.join(SCENARIO_DIR, `${name}.json`);
+
+// Names and descriptions of the saved scenarios
+export async function listScenarios() {
+  let files;
+  try {
+    files = await fs.readdir(SCENARIO_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const scenarios = [];
+  for (const file of files.filter(f => f.endsWith('.json')).sort()) {
+    const name = file.slice(0, -'.json'.length);
+    try {
+      const scenario = JSON.parse(await fs.readFile(scenarioFile(name), 'utf8'));
+      scenarios.push({ name, description: scenario.description || null, seed: scenario.seed ?? null });
+    } catch (error) {
+      console.error(`Unreadable scenario ${file}:`, error.message);
+    }
+  }
+  return scenarios;
+}
+
+// The saved scenario, or null if there is none by that name
+export async function loadScenario(name) {
+  if (!isValidScenarioName(name)) return null;
+  try {
+    return JSON.parse(await fs.readFile(scenarioFile(name), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+export async function saveScenario(name, scenario) {
+  await fs.mkdir(SCENARIO_DIR, { recursive: true });
+  await fs.writeFile(scenarioFile(name), JSON.stringify({ ...scenario, name }, null, 2) + '\n');
+}
+
+export async function deleteScenario(name) {
+  try {
+    await fs.unlink(scenarioFile(name));
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+export default {
+  SCENARIO_DIR,
+  isValidScenarioName,
+  listScenarios,
+  loadScenario,
+  saveScenario,
+  deleteScenario
+};
@@ -0,0 +1,63 @@
+// Seeded pseudo-random numbers
+// A string or number seed is hashed to 32 bits and drives a mulberry32
+// generator, so the same seed always yields the same sequence. Used by the
+// simulation so a run can be reproduced from its seed.
+
+// FNV-1a hash of the seed's string form
+function hashSeed(seed) {
+  let hash = 2166136261;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+const TOKEN_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// A fresh seed for runs that did not ask for one
+export function randomSeed() {
+  return Math.random().toString(36).substring(2, 10);
+}
+
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+
+  // mulberry32: uniform in [0, 1)
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Uniform in [min, max)
+  const between = (min, max) => min + next() * (max - min);
+
+  // Integer in [min, max]
+  const int = (min, max) => Math.floor(between(min, max + 1));
+
+  const pick = (items) => items[Math.floor(next() * items.length)];
+
+  // Key of { key: weight }, chosen in proportion to its weight
+  const weighted = (weights) => {
+    const entries = Object.entries(weights).filter(([, w]) => w > 0);
+    let r = next() * entries.reduce((sum, [, w]) => sum + w, 0);
+    for (const [key, w] of entries) {
+      r -= w;
+      if (r < 0) return key;
+    }
+    return entries[entries.length - 1][0];
+  };
+
+  // Upper-case alphanumeric string
+  const token = (length) => Array.from({ length }, () => TOKEN_CHARS[Math.floor(next() * TOKEN_CHARS.length)]).join('');
+
+  return { seed, next, between, int, pick, weighted, token };
+}
+
+export default {
+  randomSeed,
+  createRandom
+};
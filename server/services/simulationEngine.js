@@ -0,0 +1,257 @@
+// Server-owned simulation clock
+// The simulated world advances on a server timer, independent of how many
+// clients are watching. Each tick moves the simulated clock on by the real
+// time elapsed multiplied by the time scale; active flights then fly that far
+// along their waypoints at the drone's cruise airspeed, approved flights whose
+// scheduled start has come take off, and flights past their scheduled end or
+// final waypoint complete. All schedule checks use the simulated clock, so a
+// paused simulation holds every flight where it is. Only simulated flights are
+// flown; real flights report their own positions. Flights with an injected
+// failure are flown by the failure instead of along their route, and every
+// flight still airborne is checked by the conformance monitor after its step.
+
+import { calculateDistance } from '../data/kosovoData.js';
+import { applyStatusTransition } from './flightStatus.js';
+import { indexFlight } from './flightIndex.js';
+import { createEnergyModel } from './energyModel.js';
+import { publish, publishFlightStatus, publishPositions } from './realtime.js';
+
+const DEFAULT_TICK_MS = 1000;
+const DEFAULT_TIME_SCALE = 1;
+export const TICK_MS_RANGE = { min: 100, max: 60000 };
+export const TIME_SCALE_RANGE = { min: 0.1, max: 100 };
+const MAX_TICK_LAG = 5; // a late tick advances at most this many tick intervals
+
+const toRadians = (deg) => deg * Math.PI / 180;
+
+function bearing(a, b) {
+  const dx = (b.lng - a.lng) * Math.cos(toRadians((a.lat + b.lat) / 2));
+  return (Math.atan2(dx, b.lat - a.lat) * 180 / Math.PI + 360) % 360;
+}
+
+// Fly a flight `meters` along its remaining waypoints; returns true once the
+// final waypoint is reached. currentWaypointIndex is the waypoint being flown to.
+function flyAlongRoute(flight, meters, airspeed, time) {
+  const waypoints = flight.waypoints;
+  let index = flight.currentWaypointIndex || 0;
+  let position = flight.currentPosition || { ...waypoints[0] };
+  let heading = position.heading || 0;
+  let remaining = meters;
+
+  while (index < waypoints.length) {
+    const target = waypoints[index];
+    const distance = calculateDistance(position.lat, position.lng, target.lat, target.lng);
+    if (distance > 0) heading = bearing(position, target);
+
+    if (distance > remaining) {
+      const fraction = remaining / distance;
+      const altitude = position.altitude ?? target.altitude;
+      position = {
+        lat: position.lat + (target.lat - position.lat) * fraction,
+        lng: position.lng + (target.lng - position.lng) * fraction,
+        altitude: altitude + ((target.altitude ?? altitude) - altitude) * fraction
+      };
+      break;
+    }
+
+    remaining -= distance;
+    position = { lat: target.lat, lng: target.lng, altitude: target.altitude ?? position.altitude };
+    index++;
+  }
+
+  flight.currentWaypointIndex = index;
+  flight.currentPosition = {
+    ...position,
+    heading: Math.round(heading),
+    speed: Math.round(airspeed * 3.6), // km/h
+    updatedAt: time
+  };
+  return index >= waypoints.length;
+}
+
+// Create the simulation engine over the in-memory flight map
+export function createSimulationEngine(options = {}) {
+  const {
+    flights = new Map(),
+    injector = null, // failure injector (see failureInjection.js)
+    monitor = null, // conformance monitor (see conformanceMonitor.js)
+    tickMs: initialTickMs = DEFAULT_TICK_MS,
+    timeScale: initialTimeScale = DEFAULT_TIME_SCALE
+  } = options;
+
+  let tickMs = initialTickMs;
+  let timeScale = initialTimeScale;
+  let status = 'stopped'; // 'stopped' | 'running' | 'paused'
+  let simTime = Date.now();
+  let lastTick = null;
+  let ticks = 0;
+  let timer = null;
+
+  const now = () => new Date(simTime);
+
+  // Advance the world by elapsedMs of simulated time; returns what changed
+  function advance(elapsedMs) {
+    simTime += elapsedMs;
+    ticks++;
+    const time = now();
+    const moved = [];
+    const started = [];
+    const completed = [];
+
+    for (const flight of flights.values()) {
+      if (!flight.isSimulated) continue;
+      
+      if (flight.status === 'approved' && new Date(flight.scheduledStart) <= time &&
+          flight.waypoints?.length > 0 &&
+          applyStatusTransition(flight, 'active', 'simulation', 'Scheduled start reached', time)) {
+        flight.currentPosition = { ...flight.waypoints[0], heading: 0, speed: 0, updatedAt: time };
+        flight.currentWaypointIndex = 0;
+        indexFlight(flight);
+        publishFlightStatus(flight);
+        started.push(flight);
+        moved.push(flight);
+        continue;
+      }
+
+      if (flight.status !== 'active' || !(flight.waypoints?.length > 0)) continue;
+
+      const { airspeed } = createEnergyModel(flight.drone);
+      const scheduledEndReached = new Date(flight.scheduledEnd) <= time;
+      const failure = injector?.failureFor(flight, time, airspeed);
+      let reason = null;
+      if (failure) {
+        reason = failure.fly({
+          seconds: elapsedMs / 1000,
+          airspeed,
+          time,
+          scheduledEndReached,
+          flyRoute: (position, meters) => {
+            flight.currentPosition = position;
+            const finished = flyAlongRoute(flight, meters, airspeed, time);
+            return { position: flight.currentPosition, finished };
+          }
+        });
+      } else if (scheduledEndReached) {
+        reason = 'Scheduled end reached';
+      } else if (flyAlongRoute(flight, airspeed * elapsedMs / 1000, airspeed, time)) {
+        reason = 'Reached final waypoint';
+      }
+
+      if (reason && applyStatusTransition(flight, 'completed', 'simulation', reason, time)) {
+        monitor?.close(flight, time);
+        flight.currentPosition = null;
+        indexFlight(flight);
+        publishFlightStatus(flight);
+        completed.push(flight);
+      } else {
+        monitor?.observe(flight, time);
+        if (!failure || failure.reporting) moved.push(flight);
+      }
+    }
+
+    injector?.resolve(time);
+    publishPositions(moved);
+    return { time, moved: moved.length, started: started.length, completed: completed.length };
+  }
+
+  function tick() {
+    const realNow = Date.now();
+    const elapsed = Math.min(realNow - lastTick, tickMs * MAX_TICK_LAG);
+    lastTick = realNow;
+    try {
+      advance(elapsed * timeScale);
+    } catch (error) {
+      console.error('Simulation tick error:', error);
+    }
+  }
+
+  function startTimer() {
+    lastTick = Date.now();
+    timer = setInterval(tick, tickMs);
+    timer.unref?.();
+  }
+
+  function stopTimer() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  function getState() {
+    return {
+      status,
+      simulatedTime: now().toISOString(),
+      tickMs,
+      timeScale,
+      ticks,
+      activeFlights: Array.from(flights.values()).filter(f => f.isSimulated && f.status === 'active').length
+    };
+  }
+
+  function notify() {
+    publish('flights', 'simulation_clock', getState());
+    return getState();
+  }
+
+  // Start from the current real time
+  function start() {
+    if (status === 'running') return getState();
+    stopTimer();
+    if (status === 'stopped') simTime = Date.now();
+    status = 'running';
+    startTimer();
+    return notify();
+  }
+
+  // Stop advancing, keeping the simulated time
+  function pause() {
+    if (status !== 'running') return getState();
+    stopTimer();
+    status = 'paused';
+    return notify();
+  }
+
+  function resume() {
+    if (status !== 'paused') return getState();
+    status = 'running';
+    startTimer();
+    return notify();
+  }
+
+  // Advance one tick (or `seconds` of simulated time) while not running
+  function step(seconds = tickMs * timeScale / 1000) {
+    if (status === 'running') return { error: 'Pause the simulation before stepping' };
+    if (status === 'stopped') {
+      simTime = Date.now();
+      status = 'paused';
+    }
+    const result = advance(seconds * 1000);
+    return { ...notify(), step: { seconds, moved: result.moved, started: result.started, completed: result.completed } };
+  }
+
+  // Move the simulated clock, e.g. to replay a scenario from its start time
+  function setTime(time) {
+    simTime = time.getTime();
+    if (status === 'stopped') status = 'paused';
+    return notify();
+  }
+
+  function configure(changes = {}) {
+    if (changes.tickMs !== undefined) tickMs = changes.tickMs;
+    if (changes.timeScale !== undefined) timeScale = changes.timeScale;
+    if (status === 'running') {
+      stopTimer();
+      startTimer();
+    }
+    return notify();
+  }
+
+  return { start, pause, resume, step, setTime, configure, getState, now, advance };
+}
+
+export default {
+  TICK_MS_RANGE,
+  TIME_SCALE_RANGE,
+  createSimulationEngine
+};
@@ -0,0 +1,150 @@
+// Spatial index
+// A uniform lat/lng grid (geohash-style buckets): each entry is stored under
+// every cell its bounding box touches, so a query only looks at entries in the
+// cells around it instead of scanning everything. Entries covering a very large
+// area go into a small overflow list that every query checks.
+//
+// Used for the live zone store (zoneStore.js) and the active flight volumes
+// (flightIndex.js). Results are candidates: callers still run the exact check.
+
+const METERS_PER_DEG_LAT = 111320;
+const DEFAULT_CELL_SIZE = 0.02; // degrees, roughly 2km in Kosovo
+const MAX_CELLS_PER_ENTRY = 2500;
+
+// Check if two { north, south, east, west } boxes overlap
+export function boundsOverlap(a, b) {
+  return a.west <= b.east && a.east >= b.west && a.south <= b.north && a.north >= b.south;
+}
+
+// Grow a box by a distance in meters on every side
+export function expandBounds(bounds, meters) {
+  const dLat = meters / METERS_PER_DEG_LAT;
+  const midLat = (bounds.north + bounds.south) / 2;
+  const dLng = meters / (METERS_PER_DEG_LAT * Math.cos(midLat * Math.PI / 180));
+  return {
+    north: bounds.north + dLat,
+    south: bounds.south - dLat,
+    east: bounds.east + dLng,
+    west: bounds.west - dLng
+  };
+}
+
+// Box around a list of { lat, lng } points, or null for an empty list
+export function boundsOfPoints(points) {
+  if (!points || points.length === 0) return null;
+  const lats = points.map(p => p.lat);
+  const lngs = points.map(p => p.lng);
+  return {
+    north: Math.max(...lats),
+    south: Math.min(...lats),
+    east: Math.max(...lngs),
+    west: Math.min(...lngs)
+  };
+}
+
+// Box around a circle of the given radius (meters)
+export function boundsOfCircle(center, radius) {
+  return expandBounds({ north: center.lat, south: center.lat, east: center.lng, west: center.lng }, radius);
+}
+
+// Create an empty grid index
+export function createSpatialIndex({ cellSize = DEFAULT_CELL_SIZE } = {}) {
+  const cells = new Map(); // "row:col" -> Set of ids
+  const entries = new Map(); // id -> { bounds, value, keys }
+  const overflow = new Set(); // ids too large to bucket
+
+  const cellRange = (bounds) => ({
+    rowFrom: Math.floor(bounds.south / cellSize),
+    rowTo: Math.floor(bounds.north / cellSize),
+    colFrom: Math.floor(bounds.west / cellSize),
+    colTo: Math.floor(bounds.east / cellSize)
+  });
+
+  function remove(id) {
+    const entry = entries.get(id);
+    if (!entry) return false;
+    for (const key of entry.keys) {
+      const bucket = cells.get(key);
+      bucket.delete(id);
+      if (bucket.size === 0) cells.delete(key);
+    }
+    overflow.delete(id);
+    entries.delete(id);
+    return true;
+  }
+
+  // Add an entry, replacing any previous entry with the same id
+  function insert(id, bounds, value) {
+    remove(id);
+    const { rowFrom, rowTo, colFrom, colTo } = cellRange(bounds);
+    const keys = [];
+
+    if ((rowTo - rowFrom + 1) * (colTo - colFrom + 1) > MAX_CELLS_PER_ENTRY) {
+      overflow.add(id);
+    } else {
+      for (let row = rowFrom; row <= rowTo; row++) {
+        for (let col = colFrom; col <= colTo; col++) {
+          const key = `${row}:${col}`;
+          if (!cells.has(key)) cells.set(key, new Set());
+          cells.get(key).add(id);
+          keys.push(key);
+        }
+      }
+    }
+    entries.set(id, { bounds, value, keys });
+  }
+
+  // Values whose bounding box overlaps the query box
+  function search(bounds) {
+    const { rowFrom, rowTo, colFrom, colTo } = cellRange(bounds);
+    const found = new Set(overflow);
+
+    // Very large queries are cheaper as a scan
+    if ((rowTo - rowFrom + 1) * (colTo - colFrom + 1) > entries.size) {
+      for (const id of entries.keys()) found.add(id);
+    } else {
+      for (let row = rowFrom; row <= rowTo; row++) {
+        for (let col = colFrom; col <= colTo; col++) {
+          const bucket = cells.get(`${row}:${col}`);
+          if (bucket) for (const id of bucket) found.add(id);
+        }
+      }
+    }
+
+    const results = [];
+    for (const id of found) {
+      const entry = entries.get(id);
+      if (boundsOverlap(entry.bounds, bounds)) results.push(entry.value);
+    }
+    return results;
+  }
+
+  // Values whose bounding box contains the point
+  function searchPoint(lat, lng) {
+    return search({ north: lat, south: lat, east: lng, west: lng });
+  }
+
+  function clear() {
+    cells.clear();
+    entries.clear();
+    overflow.clear();
+  }
+
+  return {
+    insert,
+    remove,
+    search,
+    searchPoint,
+    clear,
+    has: (id) => entries.has(id),
+    size: () => entries.size
+  };
+}
+
+export default {
+  boundsOverlap,
+  expandBounds,
+  boundsOfPoints,
+  boundsOfCircle,
+  createSpatialIndex
+};
@@ -0,0 +1,131 @@
+// Temporary flight restrictions (TFR/NOTAM-style zones)
+// Stored in MongoDB when connected, otherwise in memory. Restrictions use the
+// same geometry and volume rules as RESTRICTED_ZONES, but only apply between
+// their start and end times.
+
+import mongoose from 'mongoose';
+import Flight from '../models/Flight.js';
+import TemporaryRestriction from '../models/TemporaryRestriction.js';
+import { getZoneAltitudeBand, findZoneEntry } from '../data/kosovoData.js';
+import { createProjection, areaToShape, zoneToShapes, shapesIntersect, overlapPoint } from './geometry.js';
+
+// In-memory restriction storage fallback
+export const inMemoryRestrictions = new Map();
+
+const isMongoConnected = () => mongoose.connection.readyState === 1;
+
+const getRestrictionId = (restriction) => String(restriction._id || restriction.id);
+
+// Check if a restriction is in force at any time during [start, end)
+export function restrictionOverlapsWindow(restriction, start, end) {
+  return restriction.status !== 'cancelled' &&
+    new Date(restriction.startTime) < new Date(end) &&
+    new Date(restriction.endTime) > new Date(start);
+}
+
+// List restrictions in force during a time window (all non-cancelled ones when no window is given)
+export async function findRestrictions({ from = null, to = null, includeCancelled = false } = {}) {
+  if (isMongoConnected()) {
+    const query = {};
+    if (!includeCancelled) query.status = 'active';
+    if (to) query.startTime = { $lt: new Date(to) };
+    if (from) query.endTime = { $gt: new Date(from) };
+    return TemporaryRestriction.find(query).sort({ startTime: 1 }).lean();
+  }
+
+  return Array.from(inMemoryRestrictions.values())
+    .filter(r => includeCancelled || r.status !== 'cancelled')
+    .filter(r => !to || new Date(r.startTime) < new Date(to))
+    .filter(r => !from || new Date(r.endTime) > new Date(from))
+    .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+}
+
+// Find where a flight enters a restriction's volume; null if it stays clear
+export function findRestrictionIntersection(flight, restriction) {
+  const defaultAltitude = flight.maxAltitude ?? 100;
+  const area = flight.operationArea;
+
+  // Operation areas: anywhere the area and the restriction overlap, up to maxAltitude
+  if (area?.center) {
+    const projection = createProjection(area.center.lat, area.center.lng);
+    const areaShape = areaToShape(area, projection);
+    for (const shape of zoneToShapes(restriction, projection)) {
+      if (!shapesIntersect(areaShape, shape)) continue;
+      const { x, y } = overlapPoint(areaShape, shape);
+      const { lat, lng } = projection.toLatLng(x, y);
+      const band = getZoneAltitudeBand(restriction, lat, lng);
+      if (defaultAltitude > band.floor && (band.ceiling === null || band.ceiling >= 0)) {
+        return { lat, lng, altitude: defaultAltitude };
+      }
+    }
+    return null;
+  }
+
+  // Waypoint routes: each leg is intersected exactly with the restriction
+  const waypoints = (flight.waypoints || []).map(wp => ({ lat: wp.lat, lng: wp.lng, altitude: wp.altitude ?? defaultAltitude }));
+  if (waypoints.length === 1) waypoints.push(waypoints[0]);
+  for (let i = 0; i < waypoints.length - 1; i++) {
+    const entry = findZoneEntry(restriction, waypoints[i], waypoints[i + 1]);
+    if (entry) return { lat: entry.lat, lng: entry.lng, altitude: entry.altitude };
+  }
+  return null;
+}
+
+// Restrictions a planned flight would violate during its scheduled window
+export async function checkTemporaryRestrictions(flight) {
+  const restrictions = await findRestrictions({ from: flight.scheduledStart, to: flight.scheduledEnd });
+  const violations = [];
+
+  for (const restriction of restrictions) {
+    const point = findRestrictionIntersection(flight, restriction);
+    if (point) violations.push({ restriction, point });
+  }
+  return violations;
+}
+
+// Flag approved flights that intersect a newly created restriction; returns the flagged flight numbers
+export async function flagAffectedFlights(restriction, inMemoryFlights = new Map()) {
+  const flag = {
+    restrictionId: getRestrictionId(restriction),
+    name: restriction.name,
+    reason: restriction.reason,
+    startTime: restriction.startTime,
+    endTime: restriction.endTime,
+    flaggedAt: new Date()
+  };
+  const flagged = [];
+
+  if (isMongoConnected()) {
+    const candidates = await Flight.find({
+      status: 'approved',
+      scheduledStart: { $lt: restriction.endTime },
+      scheduledEnd: { $gt: restriction.startTime }
+    });
+
+    for (const flight of candidates) {
+      if (!findRestrictionIntersection(flight, restriction)) continue;
+      flight.restrictionFlags.push(flag);
+      await flight.save();
+      flagged.push(flight.flightNumber);
+    }
+    return flagged;
+  }
+
+  for (const flight of inMemoryFlights.values()) {
+    if (flight.status !== 'approved' || !restrictionOverlapsWindow(restriction, flight.scheduledStart, flight.scheduledEnd)) continue;
+    if (!findRestrictionIntersection(flight, restriction)) continue;
+    flight.restrictionFlags = [...(flight.restrictionFlags || []), flag];
+    flight.updatedAt = new Date();
+    flagged.push(flight.flightNumber);
+  }
+  return flagged;
+}
+
+export default {
+  inMemoryRestrictions,
+  restrictionOverlapsWindow,
+  findRestrictions,
+  findRestrictionIntersection,
+  checkTemporaryRestrictions,
+  flagAffectedFlights
+};
@@ -0,0 +1,220 @@
+// Terrain elevation (digital elevation model)
+// Answers ground elevation (meters AMSL) for any point in Kosovo from:
+// - SRTM .hgt tiles (e.g. N42E020.hgt) in TERRAIN_HGT_DIR, when configured, or
+// - the bundled compact grid in data/terrain/kosovo-dem.json (coarse, ~2km cells).
+// Elevations are bilinearly interpolated between grid posts. A grid marked
+// `approximate` (interpolated from a few reference elevations rather than
+// survey data) only gives coarse terrain awareness, and profile samples taken
+// from it are flagged so callers can treat their results as advisory.
+//
+// Flight altitudes are converted along a sampled path: waypoint altitudes are
+// given relative to a reference (AGL at the waypoint, AMSL, or the take-off
+// point) and the drone flies straight lines in AMSL between waypoints, so the
+// height above ground changes with the terrain underneath.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { calculateDistance } from '../data/kosovoData.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_GRID_FILE = path.join(__dirname, '../data/terrain/kosovo-dem.json');
+export const ALTITUDE_REFERENCES = ['AGL', 'AMSL', 'takeoff'];
+
+// Height above terrain below which a path is treated as too low (meters)
+export const MIN_TERRAIN_CLEARANCE = 30;
+
+const HGT_VOID = -32768;
+
+let grid = null;
+let hgtDir = null;
+const hgtTiles = new Map(); // tile name -> { size, data } or null when missing
+
+// Load the elevation sources; called lazily with the environment defaults
+export function loadTerrain({
+  gridFile = process.env.TERRAIN_GRID_FILE || DEFAULT_GRID_FILE,
+  hgtDirectory = process.env.TERRAIN_HGT_DIR || null
+} = {}) {
+  const raw = JSON.parse(fs.readFileSync(gridFile, 'utf8'));
+  if (raw.elevations.length !== raw.rows * raw.cols) {
+    throw new Error(`Elevation grid ${gridFile} has ${raw.elevations.length} values, expected ${raw.rows * raw.cols}`);
+  }
+  grid = raw;
+  hgtDir = hgtDirectory;
+  hgtTiles.clear();
+  return getTerrainInfo();
+}
+
+function ensureLoaded() {
+  if (!grid) loadTerrain();
+}
+
+export function getTerrainInfo() {
+  ensureLoaded();
+  return {
+    source: hgtDir ? `SRTM tiles (${hgtDir}) with bundled grid fallback` : grid.source,
+    approximate: !hgtDir && Boolean(grid.approximate),
+    gridResolutionDeg: grid.cellSize,
+    bounds: {
+      south: grid.south,
+      west: grid.west,
+      north: Number((grid.south + (grid.rows - 1) * grid.cellSize).toFixed(6)),
+      east: Number((grid.west + (grid.cols - 1) * grid.cellSize).toFixed(6))
+    }
+  };
+}
+
+// Bilinear interpolation over a row-major grid; returns null outside it or on voids
+function interpolate(values, cols, rowF, colF, rows) {
+  if (rowF < 0 || colF < 0 || rowF > rows - 1 || colF > cols - 1) return null;
+  const r0 = Math.floor(rowF), c0 = Math.floor(colF);
+  const r1 = Math.min(r0 + 1, rows - 1), c1 = Math.min(c0 + 1, cols - 1);
+  const corners = [values[r0 * cols + c0], values[r0 * cols + c1], values[r1 * cols + c0], values[r1 * cols + c1]];
+  if (corners.some(v => v === null || v === undefined || v === HGT_VOID)) return null;
+  const tr = rowF - r0, tc = colF - c0;
+  const top = corners[0] + (corners[1] - corners[0]) * tc;
+  const bottom = corners[2] + (corners[3] - corners[2]) * tc;
+  return top + (bottom - top) * tr;
+}
+
+function getHgtTile(lat, lng) {
+  const tileLat = Math.floor(lat), tileLng = Math.floor(lng);
+  const name = `${tileLat >= 0 ? 'N' : 'S'}${String(Math.abs(tileLat)).padStart(2, '0')}${tileLng >= 0 ? 'E' : 'W'}${String(Math.abs(tileLng)).padStart(3, '0')}.hgt`;
+
+  if (!hgtTiles.has(name)) {
+    const file = path.join(hgtDir, name);
+    if (fs.existsSync(file)) {
+      const buffer = fs.readFileSync(file);
+      const size = Math.round(Math.sqrt(buffer.length / 2)); // 1201 (3") or 3601 (1") posts per side
+      const data = new Int16Array(size * size);
+      for (let i = 0; i < data.length; i++) data[i] = buffer.readInt16BE(i * 2); // big-endian, north row first
+      hgtTiles.set(name, { size, data, tileLat, tileLng });
+    } else {
+      hgtTiles.set(name, null);
+    }
+  }
+  return hgtTiles.get(name);
+}
+
+function elevationFromHgt(lat, lng) {
+  const tile = getHgtTile(lat, lng);
+  if (!tile) return null;
+  const rowF = (tile.tileLat + 1 - lat) * (tile.size - 1);
+  const colF = (lng - tile.tileLng) * (tile.size - 1);
+  return interpolate(tile.data, tile.size, rowF, colF, tile.size);
+}
+
+function elevationFromGrid(lat, lng) {
+  const rowF = (lat - grid.south) / grid.cellSize;
+  const colF = (lng - grid.west) / grid.cellSize;
+  return interpolate(grid.elevations, grid.cols, rowF, colF, grid.rows);
+}
+
+// Ground elevation with whether it came from an approximate source
+function lookupElevation(lat, lng) {
+  ensureLoaded();
+  const fromHgt = hgtDir ? elevationFromHgt(lat, lng) : null;
+  const elevation = fromHgt ?? elevationFromGrid(lat, lng);
+  return {
+    elevation: elevation === null ? null : Math.round(elevation),
+    approximate: elevation !== null && fromHgt === null && Boolean(grid.approximate)
+  };
+}
+
+// Ground elevation in meters AMSL, or null outside the elevation data
+export function getGroundElevation(lat, lng) {
+  return lookupElevation(lat, lng).elevation;
+}
+
+// Convert a waypoint altitude to meters AMSL
+function toAMSL(altitude, reference, groundElevation, takeoffElevation) {
+  if (reference === 'AMSL') return altitude;
+  if (reference === 'takeoff') return takeoffElevation + altitude;
+  return groundElevation + altitude;
+}
+
+// Sample a waypoint path and give ground elevation, AMSL and AGL altitude at each sample.
+// Samples with no elevation data have null groundElevation/altitudeAGL;
+// approximateGround marks samples from an approximate elevation grid.
+export function profilePath(waypoints, { sampleDistance = 100, altitudeReference = 'AGL', defaultAltitude = 100 } = {}) {
+  if (!waypoints || waypoints.length === 0) return [];
+
+  const grounds = waypoints.map(wp => lookupElevation(wp.lat, wp.lng));
+  const takeoffElevation = grounds[0].elevation ?? 0;
+  const amsl = waypoints.map((wp, i) => toAMSL(wp.altitude ?? defaultAltitude, altitudeReference, grounds[i].elevation ?? 0, takeoffElevation));
+
+  const samples = [];
+  let cumulative = 0;
+
+  const pushSample = (lat, lng, altitudeAMSL, waypointIndex, ground = lookupElevation(lat, lng)) => {
+    samples.push({
+      lat,
+      lng,
+      distance: Math.round(cumulative),
+      groundElevation: ground.elevation,
+      approximateGround: ground.approximate,
+      altitudeAMSL: Math.round(altitudeAMSL),
+      altitudeAGL: ground.elevation === null ? null : Math.round(altitudeAMSL - ground.elevation),
+      waypointIndex
+    });
+  };
+
+  pushSample(waypoints[0].lat, waypoints[0].lng, amsl[0], 0, grounds[0]);
+
+  for (let i = 0; i < waypoints.length - 1; i++) {
+    const wp1 = waypoints[i];
+    const wp2 = waypoints[i + 1];
+    const segmentDistance = calculateDistance(wp1.lat, wp1.lng, wp2.lat, wp2.lng);
+    const numSamples = Math.floor(segmentDistance / sampleDistance);
+    const segmentStart = cumulative;
+
+    for (let j = 1; j <= numSamples; j++) {
+      const t = j / (numSamples + 1);
+      cumulative = segmentStart + t * segmentDistance;
+      pushSample(
+        wp1.lat + t * (wp2.lat - wp1.lat),
+        wp1.lng + t * (wp2.lng - wp1.lng),
+        amsl[i] + t * (amsl[i + 1] - amsl[i]),
+        null
+      );
+    }
+    cumulative = segmentStart + segmentDistance;
+    pushSample(wp2.lat, wp2.lng, amsl[i + 1], i + 1, grounds[i + 1]);
+  }
+
+  return samples;
+}
+
+// Summarise a profile: highest/lowest height above ground and where they occur,
+// and whether any of it rests on approximate elevation data
+export function summarizeProfile(samples) {
+  const known = samples.filter(s => s.altitudeAGL !== null);
+  if (known.length === 0) return null;
+
+  const highest = known.reduce((a, b) => (b.altitudeAGL > a.altitudeAGL ? b : a));
+  const lowest = known.reduce((a, b) => (b.altitudeAGL < a.altitudeAGL ? b : a));
+  const grounds = known.map(s => s.groundElevation);
+
+  return {
+    maxAGL: highest.altitudeAGL,
+    maxAGLAt: highest,
+    minAGL: lowest.altitudeAGL,
+    minAGLAt: lowest,
+    minGroundElevation: Math.min(...grounds),
+    maxGroundElevation: Math.max(...grounds),
+    missingSamples: samples.length - known.length,
+    approximate: known.some(s => s.approximateGround)
+  };
+}
+
+export default {
+  DEFAULT_GRID_FILE,
+  ALTITUDE_REFERENCES,
+  MIN_TERRAIN_CLEARANCE,
+  loadTerrain,
+  getTerrainInfo,
+  getGroundElevation,
+  profilePath,
+  summarizeProfile
+};
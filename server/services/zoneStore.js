@@ -0,0 +1,245 @@
+// Live zone store
+// Airports and restricted zones start from the bundled data in kosovoData.js and
+// are then managed through the admin zone API. Zones are cached in memory so
+// checkRestrictedZone can stay synchronous; MongoDB, when connected, holds the
+// zones and their revision history across restarts.
+//
+// Every change bumps a store-wide revision number, which flight validations
+// record so a decision can be traced back to the zones it was made against.
+// A spatial index over the zone extents keeps point checks from scanning
+// every zone.
+
+import mongoose from 'mongoose';
+import Zone from '../models/Zone.js';
+import ZoneRevision from '../models/ZoneRevision.js';
+import { AIRPORTS, RESTRICTED_ZONES, setZoneSource, getZonePolygons } from '../data/kosovoData.js';
+import { createSpatialIndex, boundsOfPoints, boundsOfCircle } from './spatialIndex.js';
+
+const isMongoConnected = () => mongoose.connection.readyState === 1;
+
+// Fields a zone may carry besides its id, category and version
+export const ZONE_FIELDS = [
+  'name', 'type', 'description',
+  'shape', 'position', 'radius', 'polygon', 'polygons',
+  'maxAltitude', 'volume',
+  'icao', 'runwayHeading', 'restrictedRadius', 'cautionRadius', 'elevationM'
+];
+
+// Geometry fields that only make sense for one shape
+const SHAPE_FIELDS = { circle: 'radius', polygon: 'polygon', multipolygon: 'polygons' };
+
+const zones = new Map(); // zoneId -> zone in the bundled data shape plus category and version
+const zoneIndex = createSpatialIndex();
+const inMemoryRevisions = [];
+let currentRevision = 0;
+
+// Drop empty fields and geometry belonging to a different shape
+function cleanZone(zone) {
+  const cleaned = { id: zone.id, category: zone.category, version: zone.version };
+  for (const field of ZONE_FIELDS) {
+    if (zone[field] !== undefined && zone[field] !== null) cleaned[field] = zone[field];
+  }
+  if (cleaned.category === 'restricted') {
+    const shape = cleaned.shape || 'circle';
+    for (const [fieldShape, field] of Object.entries(SHAPE_FIELDS)) {
+      if (fieldShape !== shape) delete cleaned[field];
+    }
+  }
+  return cleaned;
+}
+
+// Extent of the area a zone restricts (airports include their caution ring)
+export function getZoneBounds(zone) {
+  if (zone.category === 'restricted' && (zone.shape === 'polygon' || zone.shape === 'multipolygon')) {
+    return boundsOfPoints(getZonePolygons(zone).flat());
+  }
+  const radius = zone.category === 'airport'
+    ? Math.max(zone.restrictedRadius || 0, zone.cautionRadius || 0)
+    : zone.restrictedRadius || zone.radius || 0;
+  return boundsOfCircle(zone.position, radius);
+}
+
+// Store a zone in the cache and the spatial index
+function putZone(zone) {
+  zones.set(zone.id, zone);
+  zoneIndex.insert(zone.id, getZoneBounds(zone), zone);
+}
+
+function removeZone(zoneId) {
+  zones.delete(zoneId);
+  zoneIndex.remove(zoneId);
+}
+
+function clearZones() {
+  zones.clear();
+  zoneIndex.clear();
+}
+
+function fromDocument(doc) {
+  return cleanZone({ ...doc, id: doc.zoneId });
+}
+
+function toDocument(zone) {
+  const { id, ...rest } = zone;
+  return { zoneId: id, ...rest };
+}
+
+function seedFromBundledData() {
+  clearZones();
+  for (const airport of AIRPORTS) {
+    putZone(cleanZone({ ...structuredClone(airport), category: 'airport', version: 1 }));
+  }
+  for (const zone of RESTRICTED_ZONES) {
+    putZone(cleanZone({ ...structuredClone(zone), category: 'restricted', version: 1 }));
+  }
+}
+
+// Start with the bundled zones so the store works before (or without) MongoDB
+seedFromBundledData();
+currentRevision = 1;
+inMemoryRevisions.push({ revision: 1, action: 'seed', changedAt: new Date() });
+
+export function getAirports() {
+  return Array.from(zones.values()).filter(z => z.category === 'airport');
+}
+
+export function getRestrictedZones() {
+  return Array.from(zones.values()).filter(z => z.category === 'restricted');
+}
+
+export function getZone(zoneId) {
+  return zones.get(zoneId) || null;
+}
+
+export function getZoneRevision() {
+  return currentRevision;
+}
+
+// Zones whose extent overlaps a { north, south, east, west } box
+export function findZonesInBounds(bounds) {
+  const candidates = zoneIndex.search(bounds);
+  return {
+    airports: candidates.filter(z => z.category === 'airport'),
+    restrictedZones: candidates.filter(z => z.category === 'restricted')
+  };
+}
+
+// Zones whose extent covers a point (candidates for the exact shape check)
+export function findZonesAt(lat, lng) {
+  return findZonesInBounds({ north: lat, south: lat, east: lng, west: lng });
+}
+
+// Zone checks in kosovoData.js read the live zones from here on
+setZoneSource(findZonesInBounds);
+
+// Load zones from MongoDB, seeding the collection from the bundled data on first run
+export async function initZoneStore() {
+  if (!isMongoConnected()) return;
+
+  if (await Zone.countDocuments() === 0) {
+    await Zone.insertMany(Array.from(zones.values()).map(toDocument));
+    await ZoneRevision.create({ revision: 1, action: 'seed' });
+    console.log(`🗺️  Seeded ${zones.size} zones from bundled data`);
+  }
+
+  const docs = await Zone.find().lean();
+  clearZones();
+  for (const doc of docs) {
+    putZone(fromDocument(doc));
+  }
+
+  const latest = await ZoneRevision.findOne().sort({ revision: -1 }).lean();
+  currentRevision = latest?.revision || 1;
+}
+
+// The number is reserved before the write so concurrent changes never share one
+async function recordRevision(action, zone, changedBy) {
+  const entry = {
+    revision: ++currentRevision,
+    action,
+    zoneId: zone.id,
+    zoneVersion: zone.version,
+    snapshot: zone,
+    changedBy,
+    changedAt: new Date()
+  };
+
+  if (isMongoConnected()) {
+    await ZoneRevision.create(entry);
+  } else {
+    inMemoryRevisions.push(entry);
+  }
+  return entry.revision;
+}
+
+// Add a zone; the caller checks the id is free and the definition is valid
+export async function createZone(data, changedBy) {
+  const zone = cleanZone({ ...data, version: 1 });
+
+  if (isMongoConnected()) {
+    await Zone.create(toDocument(zone));
+  }
+  putZone(zone);
+
+  const revision = await recordRevision('create', zone, changedBy);
+  return { zone, revision };
+}
+
+// Apply changes to a zone and bump its version; returns null if the zone does not exist
+export async function updateZone(zoneId, changes, changedBy) {
+  const existing = zones.get(zoneId);
+  if (!existing) return null;
+
+  const zone = cleanZone({ ...existing, ...changes, id: zoneId, category: existing.category, version: existing.version + 1 });
+
+  if (isMongoConnected()) {
+    await Zone.replaceOne({ zoneId }, toDocument(zone));
+  }
+  putZone(zone);
+
+  const revision = await recordRevision('update', zone, changedBy);
+  return { zone, revision };
+}
+
+// Remove a zone (its history stays in the revision log); returns null if the zone does not exist
+export async function deleteZone(zoneId, changedBy) {
+  const zone = zones.get(zoneId);
+  if (!zone) return null;
+
+  if (isMongoConnected()) {
+    await Zone.deleteOne({ zoneId });
+  }
+  removeZone(zoneId);
+
+  const revision = await recordRevision('delete', zone, changedBy);
+  return { zone, revision };
+}
+
+// Revision history, newest first
+export async function listRevisions({ zoneId = null, limit = 50 } = {}) {
+  if (isMongoConnected()) {
+    const query = zoneId ? { zoneId } : {};
+    return ZoneRevision.find(query).sort({ revision: -1 }).limit(limit).lean();
+  }
+
+  return inMemoryRevisions
+    .filter(r => !zoneId || r.zoneId === zoneId)
+    .slice(-limit)
+    .reverse();
+}
+
+export default {
+  ZONE_FIELDS,
+  getAirports,
+  getRestrictedZones,
+  getZone,
+  getZoneRevision,
+  getZoneBounds,
+  findZonesInBounds,
+  findZonesAt,
+  initZoneStore,
+  createZone,
+  updateZone,
+  deleteZone,
+  listRevisions
+};